@@ -2,6 +2,13 @@ const express = require("express");
 const mysql = require("mysql2/promise");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const multer = require("multer");
+const sharp = require("sharp");
+const PDFDocument = require("pdfkit");
+const archiver = require("archiver");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJSDoc = require("swagger-jsdoc");
 require("dotenv").config();
@@ -24,7 +31,9 @@ app.use(cors({
   allowedHeaders: ["Content-Type", "Authorization"],
 }));
 
-app.use(express.json());
+// POST /recipes/import ima svoj parser z višjo omejitvijo (cele HTML strani v JSON telesu)
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path === "/recipes/import" ? next() : jsonBody(req, res, next)));
 
 
 
@@ -43,6 +52,7 @@ const swaggerSpec = swaggerJSDoc({
           type: "http",
           scheme: "bearer",
           bearerFormat: "JWT",
+          description: "Access token (JWT) ali personal access token (mrp_...) z ustreznim scope",
         },
       },
     },
@@ -50,9 +60,17 @@ const swaggerSpec = swaggerJSDoc({
       { name: "System", description: "Health check" },
       { name: "Auth", description: "Authentication & user management" },
       { name: "Recipes", description: "Recipe CRUD" },
+      { name: "Public", description: "Javni katalog receptov (brez prijave)" },
       { name: "Recipe Ingredients", description: "Ingredients inside recipes" },
+      { name: "Recipe Steps", description: "Koraki priprave recepta (vrstni red, časovniki)" },
+      { name: "Recipe Revisions", description: "Zgodovina sprememb recepta, primerjava in obnova" },
+      { name: "Reviews", description: "Ocene (1-5) in mnenja o javnih receptih" },
+      { name: "Collections", description: "Priljubljeni recepti in zbirke (kuharske knjige)" },
+      { name: "Tags", description: "Oznake receptov (vrsta obroka, kuhinja, prehrana, proste)" },
       { name: "Ingredients", description: "Global ingredients catalog" },
+      { name: "Units", description: "Katalog enot in pretvorbe (masa, volumen, kosi)" },
       { name: "Inventory", description: "Inventory items" },
+      { name: "Admin", description: "Moderacija kataloga sestavin in vloge uporabnikov" },
     ]
 
   },
@@ -75,6 +93,393 @@ const pool = mysql.createPool({
   queueLimit: 0,
 });
 
+// Mailer
+// MAIL_TRANSPORT: outbox (default, zapiše .eml v MAIL_OUTBOX_DIR), smtp (npr. Mailpit) ali console
+function createMailer() {
+  const transport = process.env.MAIL_TRANSPORT || "outbox";
+  const from = process.env.MAIL_FROM || "Moji Recepti <no-reply@moji-recepti.local>";
+
+  if (transport === "smtp") {
+    const nodemailer = require("nodemailer");
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return {
+      async send({ to, subject, text }) {
+        await smtp.sendMail({ from, to, subject, text });
+      },
+    };
+  }
+
+  if (transport === "console") {
+    return {
+      async send({ to, subject, text }) {
+        console.log(`[mail] to=${to} subject=${subject}\n${text}`);
+      },
+    };
+  }
+
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+  return {
+    async send({ to, subject, text }) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const file = path.join(outboxDir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+      const eml = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+      ].join("\r\n");
+      await fs.writeFile(file, eml, "utf8");
+    },
+  };
+}
+
+const mailer = createMailer();
+
+// Base URL of the front end, used in links inside emails
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+// Media storage for recipe photos. Vsak backend implementira put/get/remove/url; MEDIA_STORAGE=local
+// (privzeto) piše v MEDIA_DIR in streže datoteke na /media. S3-kompatibilen backend se doda tu.
+function createStorage() {
+  const driver = process.env.MEDIA_STORAGE || "local";
+  if (driver !== "local") {
+    throw new Error(`Unsupported MEDIA_STORAGE: ${driver}`);
+  }
+
+  const root = path.resolve(process.env.MEDIA_DIR || "uploads");
+  const baseUrl = (process.env.MEDIA_BASE_URL || "/media").replace(/\/$/, "");
+  return {
+    root,
+    async put(key, buffer) {
+      const file = path.join(root, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async get(key) {
+      return fs.readFile(path.join(root, key));
+    },
+    async remove(key) {
+      await fs.rm(path.join(root, key), { force: true });
+    },
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+  };
+}
+
+const storage = createStorage();
+if (storage.root) {
+  app.use("/media", express.static(storage.root, { fallthrough: false, maxAge: "7d", immutable: true }));
+}
+
+// Photo uploads: multipart polje "photo", samo JPEG/PNG/WebP; shranijo se le pomanjšane WebP
+// različice (EXIF se odstrani), original ne.
+const PHOTO_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 5 * 1024 * 1024);
+const PHOTO_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const PHOTO_SIZES = {
+  thumb: { width: 200, height: 200, fit: "cover" },
+  medium: { width: 800, height: 800, fit: "inside" },
+  large: { width: 1600, height: 1600, fit: "inside" },
+};
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_BYTES, files: 1 },
+  fileFilter(req, file, cb) {
+    if (!PHOTO_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error("photo must be a JPEG, PNG or WebP image"));
+    }
+    cb(null, true);
+  },
+});
+
+// Runs photoUpload.single("photo") and maps multer errors to the API error format
+function uploadPhoto(req, res, next) {
+  photoUpload.single("photo")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: { code: "PAYLOAD_TOO_LARGE", message: `photo must be at most ${PHOTO_MAX_BYTES} bytes` },
+      });
+    }
+    return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: err.message } });
+  });
+}
+
+// Validates the actual image content (ne le Content-Type), resizes it into PHOTO_SIZES and stores
+// the variants. Returns recipe_photos fields or null if the buffer is not a supported image.
+async function storePhoto(buffer, recipeId) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+  if (!["jpeg", "png", "webp"].includes(meta.format)) return null;
+
+  const storageKey = `recipes/${recipeId}/${crypto.randomUUID()}`;
+  for (const [size, opts] of Object.entries(PHOTO_SIZES)) {
+    const variant = await sharp(buffer)
+      .rotate()
+      .resize({ ...opts, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+    await storage.put(`${storageKey}/${size}.webp`, variant);
+  }
+
+  // EXIF orientation 5-8 pomeni, da je slika zasukana za 90°
+  const rotated = meta.orientation >= 5;
+  return {
+    storageKey,
+    width: rotated ? meta.height : meta.width,
+    height: rotated ? meta.width : meta.height,
+    sizeBytes: buffer.length,
+  };
+}
+
+async function removePhotoFiles(storageKeys) {
+  for (const key of storageKeys) {
+    for (const size of Object.keys(PHOTO_SIZES)) {
+      try {
+        await storage.remove(`${key}/${size}.webp`);
+      } catch (err) {
+        console.error(`Failed to remove photo ${key}/${size}:`, err.message);
+      }
+    }
+  }
+}
+
+function photoUrls(storageKey) {
+  if (!storageKey) return null;
+  return Object.fromEntries(
+    Object.keys(PHOTO_SIZES).map((size) => [size, storage.url(`${storageKey}/${size}.webp`)])
+  );
+}
+
+// Auth throttling (brute-force zaščita za /auth/login, /auth/login/2fa in /auth/register)
+// AUTH_THROTTLE_STORE: memory (ena instanca) ali mysql (več API kontejnerjev, tabela auth_throttle)
+const AUTH_THROTTLE = {
+  windowMs: Number(process.env.AUTH_THROTTLE_WINDOW_MINUTES || 60) * 60 * 1000, // po tem času se števec resetira
+  freeAttempts: Number(process.env.AUTH_THROTTLE_FREE_ATTEMPTS || 3), // brez zamika
+  baseDelayMs: 1000, // nato 1s, 2s, 4s, ...
+  maxDelayMs: 15 * 60 * 1000,
+  lockoutThreshold: Number(process.env.AUTH_LOCKOUT_THRESHOLD || 10), // napačnih gesel na e-mail oz. 2FA kod na uporabnika
+  lockoutMs: Number(process.env.AUTH_LOCKOUT_MINUTES || 15) * 60 * 1000,
+  challengeAttempts: 5, // 2FA kod na en challenge token, nato je treba ponovno vnesti geslo
+};
+
+// Stores keep { failures, lastFailureMs, blockedUntilMs } per key; update(key, fn) replaces the entry with
+// fn(entry | null) atomically (null = delete), so concurrent requests can't both read the same count
+function createMemoryThrottleStore() {
+  const entries = new Map();
+
+  // počisti stare vnose, da Map ne raste v nedogled
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) {
+      if (now - e.lastFailureMs > AUTH_THROTTLE.windowMs && now > e.blockedUntilMs) entries.delete(key);
+    }
+  }, 10 * 60 * 1000).unref();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    // brez await med branjem in pisanjem, zato atomarno
+    async update(key, fn) {
+      const next = fn(entries.get(key) || null);
+      if (next) entries.set(key, next);
+      else entries.delete(key);
+      return next;
+    },
+  };
+}
+
+function createMysqlThrottleStore() {
+  setInterval(() => {
+    const now = Date.now();
+    pool
+      .query("DELETE FROM auth_throttle WHERE last_failure_ms < ? AND blocked_until_ms < ?", [
+        now - AUTH_THROTTLE.windowMs,
+        now,
+      ])
+      .catch((err) => console.error(err));
+  }, 10 * 60 * 1000).unref();
+
+  function toEntry(row) {
+    return {
+      failures: row.failures,
+      lastFailureMs: Number(row.last_failure_ms),
+      blockedUntilMs: Number(row.blocked_until_ms),
+    };
+  }
+
+  return {
+    async get(key) {
+      const [rows] = await pool.query(
+        "SELECT failures, last_failure_ms, blocked_until_ms FROM auth_throttle WHERE throttle_key = ? LIMIT 1",
+        [key]
+      );
+      return rows.length > 0 && rows[0].failures > 0 ? toEntry(rows[0]) : null;
+    },
+    async update(key, fn) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+
+        // prazna vrstica (failures = 0), da je tudi prvi poskus kaj zakleniti; ON DUPLICATE KEY (namesto
+        // INSERT IGNORE) takoj vzame ekskluzivno zaklepanje, deljeno + FOR UPDATE bi se med sočasnimi zaklenilo
+        await conn.query(
+          `INSERT INTO auth_throttle (throttle_key, failures, last_failure_ms, blocked_until_ms)
+           VALUES (?, 0, 0, 0)
+           ON DUPLICATE KEY UPDATE throttle_key = throttle_key`,
+          [key]
+        );
+        const [rows] = await conn.query(
+          "SELECT failures, last_failure_ms, blocked_until_ms FROM auth_throttle WHERE throttle_key = ? FOR UPDATE",
+          [key]
+        );
+        const next = fn(rows[0].failures > 0 ? toEntry(rows[0]) : null);
+        if (next) {
+          await conn.query(
+            "UPDATE auth_throttle SET failures = ?, last_failure_ms = ?, blocked_until_ms = ? WHERE throttle_key = ?",
+            [next.failures, next.lastFailureMs, next.blockedUntilMs, key]
+          );
+        } else {
+          await conn.query("DELETE FROM auth_throttle WHERE throttle_key = ?", [key]);
+        }
+
+        await conn.commit();
+        return next;
+      } catch (e) {
+        await conn.rollback();
+        throw e;
+      } finally {
+        conn.release();
+      }
+    },
+  };
+}
+
+// Delay before the next attempt after `failures` counted attempts: exponential backoff per key,
+// lockout for account keys (email:, 2fa:); a 2fa-challenge: key is blocked for the token's lifetime
+function throttleDelayMs(key, failures) {
+  if (key.startsWith("2fa-challenge:")) {
+    return failures >= AUTH_THROTTLE.challengeAttempts ? CHALLENGE_TTL_SECONDS * 1000 : 0;
+  }
+  let delayMs = 0;
+  if (failures > AUTH_THROTTLE.freeAttempts) {
+    delayMs = Math.min(
+      AUTH_THROTTLE.maxDelayMs,
+      AUTH_THROTTLE.baseDelayMs * 2 ** (failures - AUTH_THROTTLE.freeAttempts - 1)
+    );
+  }
+  if ((key.startsWith("email:") || key.startsWith("2fa:")) && failures >= AUTH_THROTTLE.lockoutThreshold) {
+    delayMs = Math.max(delayMs, AUTH_THROTTLE.lockoutMs);
+  }
+  return delayMs;
+}
+
+// Throttle key for an e-mail; hashed so any input fits auth_throttle.throttle_key
+function throttleEmailKey(email) {
+  return `email:${crypto.createHash("sha256").update(String(email).trim().toLowerCase()).digest("hex")}`;
+}
+
+function createAuthThrottle(store) {
+  // števec se po windowMs brez napak začne znova (razen med aktivno blokado)
+  function live(e, now) {
+    return e && (now - e.lastFailureMs <= AUTH_THROTTLE.windowMs || e.blockedUntilMs > now) ? e : null;
+  }
+
+  function counted(key, e, now) {
+    const failures = (e ? e.failures : 0) + 1;
+    return {
+      failures,
+      lastFailureMs: now,
+      blockedUntilMs: Math.max(e ? e.blockedUntilMs : 0, now + throttleDelayMs(key, failures)),
+    };
+  }
+
+  return {
+    // Returns seconds until the next attempt is allowed (0 = allowed)
+    async retryAfter(keys) {
+      const now = Date.now();
+      let waitMs = 0;
+      for (const key of keys) {
+        const e = await store.get(key);
+        if (e && e.blockedUntilMs > now) waitMs = Math.max(waitMs, e.blockedUntilMs - now);
+      }
+      return Math.ceil(waitMs / 1000);
+    },
+
+    // Counts an attempt before the credentials are checked, so parallel requests can't all pass a
+    // check made before any of them failed. Returns seconds to wait if a key is blocked (attempt
+    // refused), 0 if the attempt may proceed; call release/reset once it succeeds.
+    async attempt(keys) {
+      const now = Date.now();
+      for (const key of keys) {
+        let waitMs = 0;
+        await store.update(key, (stored) => {
+          const e = live(stored, now);
+          if (e && e.blockedUntilMs > now) {
+            waitMs = e.blockedUntilMs - now;
+            return e;
+          }
+          return counted(key, e, now);
+        });
+        if (waitMs > 0) return Math.ceil(waitMs / 1000);
+      }
+      return 0;
+    },
+
+    // Records a failed attempt that wasn't counted by attempt()
+    async fail(keys) {
+      const now = Date.now();
+      for (const key of keys) {
+        await store.update(key, (stored) => counted(key, live(stored, now), now));
+      }
+    },
+
+    // Uncounts a successful attempt (e.g. the IP key), keeping earlier failures
+    async release(keys) {
+      const now = Date.now();
+      for (const key of keys) {
+        await store.update(key, (stored) => {
+          const e = live(stored, now);
+          if (!e || e.failures <= 1) return null;
+          const failures = e.failures - 1;
+          return { ...e, failures, blockedUntilMs: throttleDelayMs(key, failures) > 0 ? e.blockedUntilMs : 0 };
+        });
+      }
+    },
+
+    async reset(keys) {
+      for (const key of keys) await store.update(key, () => null);
+    },
+  };
+}
+
+const authThrottle = createAuthThrottle(
+  process.env.AUTH_THROTTLE_STORE === "mysql" ? createMysqlThrottleStore() : createMemoryThrottleStore()
+);
+
+function tooManyAttempts(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: { code: "TOO_MANY_REQUESTS", message: `Too many attempts, try again in ${retryAfter}s` },
+  });
+}
+
 // JWT helpers
 function signAccessToken(payload) {
   return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
@@ -87,6 +492,300 @@ function signRefreshToken(payload) {
   });
 }
 
+// Short-lived token between password and 2FA code; own secret so authRequired never accepts it.
+// jti identifies the challenge for the per-challenge attempt limit (AUTH_THROTTLE.challengeAttempts).
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+function signChallengeToken(userId) {
+  return jwt.sign({ sub: String(userId), purpose: "2fa", jti: crypto.randomUUID() }, challengeSecret(), {
+    expiresIn: CHALLENGE_TTL_SECONDS,
+  });
+}
+function challengeSecret() {
+  return process.env.JWT_CHALLENGE_SECRET || `${process.env.JWT_ACCESS_SECRET}:2fa`;
+}
+
+// Refresh tokens are stored only as SHA-256 hashes
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Signs a refresh token and stores it in refresh_tokens.
+// familyId links all tokens that were rotated from the same login (= one session).
+async function issueRefreshToken(userId, { familyId = crypto.randomUUID(), userAgent = null, ip = null } = {}, db = pool) {
+  const refreshToken = signRefreshToken({ sub: String(userId), jti: crypto.randomUUID() });
+  const { exp } = jwt.decode(refreshToken);
+
+  const [result] = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, ip_address, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, FROM_UNIXTIME(?), NOW())`,
+    [userId, hashToken(refreshToken), familyId, userAgent, ip, exp]
+  );
+
+  return { id: result.insertId, refreshToken, familyId };
+}
+
+// Client info stored with each session
+function sessionMeta(req) {
+  return {
+    userAgent: (req.get("user-agent") || "").slice(0, 255) || null,
+    ip: req.ip || null,
+  };
+}
+
+// Access + refresh token pair for a fresh login; sid in the access token points to the session
+async function issueTokens(user, req) {
+  const { refreshToken, familyId } = await issueRefreshToken(user.id, sessionMeta(req));
+  const accessToken = signAccessToken({ sub: String(user.id), email: user.email, sid: familyId });
+  return { accessToken, refreshToken };
+}
+
+// Revokes every still-active token of one rotation family
+async function revokeTokenFamily(familyId, db = pool) {
+  await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+    [familyId]
+  );
+}
+
+// Random one-time token (password reset, email verification); only the hash goes to the DB
+function generateOneTimeToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Basic email format check (local@domain.tld, no spaces)
+function isValidEmail(email) {
+  return typeof email === "string" && email.length <= 255 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+// Creates a verification token bound to `email` and sends the confirmation link there
+async function sendVerificationEmail(user, email = user.email) {
+  const token = generateOneTimeToken();
+  const ttlHours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48);
+
+  await pool.query(
+    "UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at, created_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+    [user.id, email, hashToken(token), ttlHours]
+  );
+
+  await mailer.send({
+    to: email,
+    subject: "Potrditev e-poštnega naslova",
+    text:
+      `Pozdravljeni${user.full_name ? ` ${user.full_name}` : ""},\n\n` +
+      `za potrditev e-poštnega naslova odprite povezavo:\n` +
+      `${APP_URL}/verify-email?token=${token}\n\n` +
+      `Povezava velja ${ttlHours} ur.\n`,
+  });
+}
+
+// Kaj nepotrjeni uporabniki NE smejo (UNVERIFIED_RESTRICTIONS, ločeno z vejico; prazno = brez omejitev)
+//   public_recipes - objava receptov (isPublic)
+//   reviews        - ocene in mnenja o javnih receptih
+const UNVERIFIED_RESTRICTIONS = new Set(
+  (process.env.UNVERIFIED_RESTRICTIONS ?? "public_recipes,reviews")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+// Helper to check whether the user may perform `action` under the unverified-email policy
+async function assertVerifiedFor(action, userId) {
+  if (!UNVERIFIED_RESTRICTIONS.has(action)) return true;
+  const [rows] = await pool.query(
+    "SELECT id FROM users WHERE id = ? AND email_verified_at IS NOT NULL LIMIT 1",
+    [userId]
+  );
+  return rows.length > 0;
+}
+
+// Loads the user and checks the password (for sensitive account changes)
+async function verifyUserPassword(userId, password) {
+  if (!password || typeof password !== "string") return null;
+  const [rows] = await pool.query(
+    "SELECT id, email, full_name, password_hash FROM users WHERE id = ? LIMIT 1",
+    [userId]
+  );
+  if (rows.length === 0) return null;
+  const ok = await bcrypt.compare(password, rows[0].password_hash);
+  return ok ? rows[0] : null;
+}
+
+function emailNotVerified(res) {
+  return res.status(403).json({
+    error: { code: "EMAIL_NOT_VERIFIED", message: "Please verify your email address first" },
+  });
+}
+
+// TOTP (RFC 6238, SHA-1, 6 mest, 30 s) za 2FA
+const TOTP_ISSUER = "Moji Recepti";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, "").toUpperCase()) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+  return String(bin).padStart(6, "0");
+}
+
+// Returns the matched time step (±1 step for clock drift) or null; steps <= lastStep are replays
+function verifyTotp(secret, code, lastStep = null) {
+  if (!/^\d{6}$/.test(code)) return null;
+  const now = Math.floor(Date.now() / 1000 / 30);
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+function totpUri(secret, email) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=30`;
+}
+
+// Generates a new set of recovery codes (old ones are deleted); plain codes are returned only once
+async function regenerateRecoveryCodes(userId, db = pool) {
+  const codes = Array.from({ length: 10 }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.query("DELETE FROM totp_recovery_codes WHERE user_id = ?", [userId]);
+  await db.query(
+    "INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES ?",
+    [codes.map((c) => [userId, hashToken(c)])]
+  );
+
+  return codes;
+}
+
+// Checks a TOTP code or an unused recovery code for a user with 2FA enabled
+async function verifySecondFactor(user, code) {
+  if (!code || typeof code !== "string") return false;
+  const clean = code.trim().toLowerCase();
+
+  const step = verifyTotp(user.totp_secret, clean, user.totp_last_step);
+  if (step !== null) {
+    const [upd] = await pool.query(
+      "UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+      [step, user.id, step]
+    );
+    return upd.affectedRows > 0;
+  }
+
+  const [used] = await pool.query(
+    "UPDATE totp_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+    [user.id, hashToken(clean)]
+  );
+  return used.affectedRows > 0;
+}
+
+// Personal access tokens (skripte, integracije): "mrp_" + naključni del, v bazi samo hash
+const PAT_PREFIX = "mrp_";
+
+// Področja API-ja, ki so dosegljiva s PAT; GET zahteva <področje>:read, ostalo <področje>:write.
+// /auth in /admin s PAT niso dosegljivi.
+const PAT_SCOPE_AREAS = {
+  "/recipes": "recipes",
+  "/public/recipes": "recipes",
+  "/tags": "recipes",
+  "/collections": "recipes",
+  "/ingredients": "ingredients",
+  "/inventory": "inventory",
+  "/shopping-lists": "shopping",
+};
+const PAT_SCOPES = [...new Set(Object.values(PAT_SCOPE_AREAS))].flatMap((area) => [`${area}:read`, `${area}:write`]);
+
+function requiredPatScope(req) {
+  const prefix = Object.keys(PAT_SCOPE_AREAS).find(
+    (p) => req.path === p || req.path.startsWith(`${p}/`)
+  );
+  if (!prefix) return null;
+  return `${PAT_SCOPE_AREAS[prefix]}:${req.method === "GET" ? "read" : "write"}`;
+}
+
+async function authenticatePat(req, res, next, token) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, user_id, scopes
+       FROM personal_access_tokens
+       WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       LIMIT 1`,
+      [hashToken(token)]
+    );
+    if (rows.length === 0) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid token" },
+      });
+    }
+
+    const pat = rows[0];
+    const scopes = pat.scopes.split(",");
+    const needed = requiredPatScope(req);
+    if (!needed || !scopes.includes(needed)) {
+      return res.status(403).json({
+        error: { code: "FORBIDDEN", message: `Token is missing scope ${needed || "(not available for tokens)"}` },
+      });
+    }
+
+    // last_used_at največ enkrat na minuto, da ne pišemo ob vsakem requestu
+    pool
+      .query(
+        `UPDATE personal_access_tokens SET last_used_at = NOW()
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE)`,
+        [pat.id]
+      )
+      .catch((err) => console.error(err));
+
+    req.user = { sub: String(pat.user_id), tokenId: pat.id, scopes };
+    next();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+}
+
 function authRequired(req, res, next) {
   // DEV MODE – avtomatski user
   if (process.env.NODE_ENV === "development" && process.env.DEV_USER_ID) {
@@ -102,6 +801,10 @@ function authRequired(req, res, next) {
     });
   }
 
+  if (auth.startsWith(`Bearer ${PAT_PREFIX}`)) {
+    return authenticatePat(req, res, next, auth.slice(7));
+  }
+
   try {
     const token = auth.slice(7);
     const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
@@ -114,6 +817,47 @@ function authRequired(req, res, next) {
   }
 }
 
+// Optional auth for public routes: without Authorization header req.user = null,
+// with a header the token must be valid (same rules as authRequired)
+function authOptional(req, res, next) {
+  if (!req.headers.authorization) {
+    req.user = null;
+    return next();
+  }
+  return authRequired(req, res, next);
+}
+
+// Vloge uporabnikov (users.role); prvega admina nastaviš ročno v bazi
+const ROLES = ["user", "moderator", "admin"];
+
+// Role check middleware; use after authRequired.
+// Role is read from the DB, so role changes apply without a new token.
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const [rows] = await pool.query("SELECT role FROM users WHERE id = ? LIMIT 1", [req.user.sub]);
+      if (rows.length === 0 || !roles.includes(rows[0].role)) {
+        return res.status(403).json({
+          error: { code: "FORBIDDEN", message: "Insufficient permissions" },
+        });
+      }
+      req.user.role = rows[0].role;
+      next();
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+    }
+  };
+}
+
+// Helper to check whether the user can curate the ingredients catalog
+async function isCatalogModerator(userId) {
+  const [rows] = await pool.query(
+    "SELECT id FROM users WHERE id = ? AND role IN ('moderator', 'admin') LIMIT 1",
+    [userId]
+  );
+  return rows.length > 0;
+}
 
 // Helper to check recipe ownership
 async function assertRecipeOwnership(recipeId, userId) {
@@ -124,55 +868,1701 @@ async function assertRecipeOwnership(recipeId, userId) {
   return rows.length > 0;
 }
 
-// Helper to check inventory item ownership
-async function assertInventoryOwnership(itemId, userId) {
-  const [rows] = await pool.query(
-    "SELECT id FROM inventory_items WHERE id = ? AND user_id = ? LIMIT 1",
-    [itemId, userId]
+// Helper to load ingredients of one recipe (GET /recipes/:id, javni katalog)
+async function loadRecipeIngredients(recipeId) {
+  const [ingredients] = await pool.query(
+    `SELECT
+       ri.id AS recipeIngredientId,
+       ri.ingredient_id AS ingredientId,
+       i.name AS ingredientName,
+       i.category AS ingredientCategory,
+       ri.quantity,
+       ri.unit,
+       ri.note,
+       ri.created_at,
+       ri.updated_at
+     FROM recipe_ingredients ri
+     JOIN ingredients i ON i.id = ri.ingredient_id
+     WHERE ri.recipe_id = ?
+     ORDER BY ri.id ASC`,
+    [recipeId]
   );
-  return rows.length > 0;
+  // DECIMAL pride iz mysql2 kot niz; skalirane količine so števila, zato vedno vrnemo število
+  return ingredients.map((ing) => ({ ...ing, quantity: ing.quantity === null ? null : Number(ing.quantity) }));
 }
 
-// Helper to parse and validate ID params
-function parseId(param) {
-  const n = Number(param);
-  if (!Number.isInteger(n) || n <= 0) return null;
-  return n;
+// Helper to load ordered steps of one recipe with linked recipe_ingredients
+async function loadRecipeSteps(recipeId, db = pool) {
+  const [rows] = await db.query(
+    `SELECT rs.id, rs.position, rs.instruction, rs.duration_seconds, rs.created_at, rs.updated_at,
+            p.storage_key AS photo_key
+     FROM recipe_steps rs
+     LEFT JOIN recipe_photos p ON p.step_id = rs.id
+     WHERE rs.recipe_id = ?
+     ORDER BY rs.position ASC, rs.id ASC`,
+    [recipeId]
+  );
+  const steps = rows.map(({ photo_key: photoKey, ...st }) => ({ ...st, photo: photoUrls(photoKey) }));
+  if (steps.length === 0) return steps;
+
+  const [links] = await db.query(
+    `SELECT rsi.step_id, rsi.recipe_ingredient_id
+     FROM recipe_step_ingredients rsi
+     JOIN recipe_steps rs ON rs.id = rsi.step_id
+     WHERE rs.recipe_id = ?
+     ORDER BY rsi.recipe_ingredient_id ASC`,
+    [recipeId]
+  );
+  const byStep = new Map(steps.map((st) => [st.id, []]));
+  for (const l of links) byStep.get(l.step_id).push(l.recipe_ingredient_id);
+
+  return steps.map((st) => ({ ...st, recipe_ingredient_ids: byStep.get(st.id) }));
 }
 
-// Helper to pick pagination params
-function pickPagination(req, defaultPage = 1, defaultPageSize = 20, maxPageSize = 100) {
-  const page = Math.max(1, parseInt(req.query.page || defaultPage, 10));
-  const pageSize = Math.min(
-    maxPageSize,
-    Math.max(1, parseInt(req.query.pageSize || defaultPageSize, 10))
-  );
-  const offset = (page - 1) * pageSize;
-  return { page, pageSize, offset };
+// Helper to validate step fields (instruction, durationSeconds); returns error message or null
+function validateStepFields({ instruction, durationSeconds }, partial = false) {
+  if (!partial || instruction !== undefined) {
+    if (typeof instruction !== "string" || instruction.trim().length === 0) {
+      return "instruction is required";
+    }
+  }
+  if (durationSeconds !== undefined && durationSeconds !== null) {
+    if (!Number.isInteger(durationSeconds) || durationSeconds <= 0) {
+      return "durationSeconds must be a positive integer or null";
+    }
+  }
+  return null;
 }
 
-// Helper to ensure shopping list ownership
-async function ensureShoppingListOwned(listId, userId) {
+// Helper to check that all recipeIngredientIds belong to the recipe; returns unique ids or null
+async function checkStepIngredientIds(recipeId, ids) {
+  if (!Array.isArray(ids)) return null;
+  const unique = [...new Set(ids.map(Number))];
+  if (unique.some((n) => !Number.isInteger(n) || n <= 0)) return null;
+  if (unique.length === 0) return unique;
+
   const [rows] = await pool.query(
-    `SELECT id FROM shopping_lists WHERE id = ? AND user_id = ?`,
-    [listId, userId]
+    "SELECT id FROM recipe_ingredients WHERE recipe_id = ? AND id IN (?)",
+    [recipeId, unique]
   );
-  return rows.length > 0;
+  return rows.length === unique.length ? unique : null;
 }
 
+async function replaceStepIngredients(stepId, ids, db = pool) {
+  await db.query("DELETE FROM recipe_step_ingredients WHERE step_id = ?", [stepId]);
+  if (ids.length > 0) {
+    await db.query(
+      "INSERT INTO recipe_step_ingredients (step_id, recipe_ingredient_id) VALUES ?",
+      [ids.map((riId) => [stepId, riId])]
+    );
+  }
+}
 
-/**
- * @openapi
- * components:
- *   schemas:
- *     ErrorResponse:
- *       type: object
- *       properties:
- *         error:
- *           type: object
- *           properties:
- *             code: { type: string, example: "VALIDATION_ERROR" }
- *             message: { type: string, example: "Invalid input" }
+// Helper to copy steps (with ingredient links) to another recipe; riIdMap maps old -> new recipe_ingredient ids
+async function copyRecipeSteps(sourceRecipeId, targetRecipeId, riIdMap, db = pool) {
+  const steps = await loadRecipeSteps(sourceRecipeId, db);
+  for (const st of steps) {
+    const [result] = await db.query(
+      `INSERT INTO recipe_steps (recipe_id, position, instruction, duration_seconds, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())`,
+      [targetRecipeId, st.position, st.instruction, st.duration_seconds]
+    );
+    const riIds = st.recipe_ingredient_ids.map((id) => riIdMap.get(id)).filter(Boolean);
+    await replaceStepIngredients(result.insertId, riIds, db);
+  }
+}
+
+// Razdeli prosto besedilo recipes.instructions na korake: odstavki, sicer vrstice;
+// odstrani oštevilčenje ("1.", "2)", "Korak 3:") in alineje.
+function splitInstructions(text) {
+  if (typeof text !== "string") return [];
+  const normalized = text.replace(/\r\n?/g, "\n").trim();
+  if (!normalized) return [];
+
+  const paragraphs = normalized.split(/\n\s*\n/);
+  const parts = paragraphs.length > 1 ? paragraphs : normalized.split("\n");
+
+  return parts
+    .map((p) =>
+      p
+        .replace(/^\s*(?:(?:korak|step)\s*)?\d+\s*[.):-]\s*/i, "")
+        .replace(/^\s*[-*\u2022]\s+/, "")
+        .replace(/\s*\n\s*/g, " ")
+        .trim()
+    )
+    .filter((p) => p.length > 0);
+}
+
+// schema.org Recipe JSON-LD import (POST /recipes/import)
+function decodeHtmlEntities(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return named[code.toLowerCase()] ?? m;
+  });
+}
+
+// Removes <...> tags in linear time; /<[^>]*>/g je pri vnosu "<<<<..." brez ">" kvadratičen (2 MB uvoz)
+function stripHtmlTags(text, replacement = "") {
+  let out = "";
+  let i = 0;
+  while (i < text.length) {
+    const open = text.indexOf("<", i);
+    if (open === -1) break;
+    const close = text.indexOf(">", open + 1);
+    if (close === -1) break;
+    out += text.slice(i, open) + replacement;
+    i = close + 1;
+  }
+  return out + text.slice(i);
+}
+
+function cleanJsonLdText(value) {
+  if (value === null || value === undefined) return null;
+  const text = decodeHtmlEntities(stripHtmlTags(String(value), " "))
+    .replace(/\s+/g, " ")
+    .replace(/ ([.,;:!?])/g, "$1")
+    .trim();
+  return text || null;
+}
+
+// Finds the first schema.org Recipe node in JSON-LD (object, array or @graph) or in an HTML document
+function extractJsonLdRecipe(input) {
+  const isRecipe = (node) => {
+    const type = node && node["@type"];
+    return Array.isArray(type) ? type.includes("Recipe") : type === "Recipe";
+  };
+  const find = (node) => {
+    if (!node || typeof node !== "object") return null;
+    if (Array.isArray(node)) {
+      for (const n of node) {
+        const found = find(n);
+        if (found) return found;
+      }
+      return null;
+    }
+    if (isRecipe(node)) return node;
+    return find(node["@graph"]) || find(node.mainEntity);
+  };
+
+  if (typeof input === "object") return find(input);
+
+  const text = String(input);
+  try {
+    return find(JSON.parse(text));
+  } catch {
+    // ni čisti JSON -> HTML z <script type="application/ld+json">
+  }
+  // linearen pregled (indexOf + regexi brez prekrivajočih se kvantifikatorjev), ker je HTML velik in od klienta
+  const scriptOpen = /<script\b/gi;
+  const scriptClose = /<\/script\s*>/gi;
+  for (;;) {
+    const open = scriptOpen.exec(text);
+    if (!open) return null;
+    const tagEnd = text.indexOf(">", open.index);
+    if (tagEnd === -1) return null;
+    scriptClose.lastIndex = tagEnd + 1;
+    const close = scriptClose.exec(text);
+    if (!close) return null;
+    scriptOpen.lastIndex = close.index + close[0].length;
+
+    if (!/\btype\s*=\s*["']?application\/ld\+json/i.test(text.slice(open.index, tagEnd))) continue;
+    try {
+      const found = find(JSON.parse(text.slice(tagEnd + 1, close.index).trim()));
+      if (found) return found;
+    } catch {
+      // pokvarjen blok preskočimo
+    }
+  }
+}
+
+// ISO 8601 duration ("PT1H30M", "P0DT45M") -> minutes
+function parseIsoDurationMinutes(value) {
+  if (typeof value !== "string") return null;
+  const m = value.trim().match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!m) return null;
+  const [, d = 0, h = 0, min = 0, sec = 0] = m;
+  const total = Math.round(Number(d) * 1440 + Number(h) * 60 + Number(min) + Number(sec) / 60);
+  return total > 0 ? total : null;
+}
+
+// recipeYield: 4 | "4" | "4 porcije" | ["4", "4 servings"] -> 4
+function parseRecipeYield(value) {
+  for (const v of Array.isArray(value) ? value : [value]) {
+    const m = String(v ?? "").match(/\d+/);
+    if (m && Number(m[0]) > 0) return Number(m[0]);
+  }
+  return null;
+}
+
+// recipeInstructions: string | [string | HowToStep | HowToSection] -> array of step texts
+function flattenJsonLdInstructions(value) {
+  if (!value) return [];
+  if (typeof value === "string") {
+    const text = stripHtmlTags(value.replace(/<\/(p|li)>|<br\s*\/?>/gi, "\n"));
+    return splitInstructions(decodeHtmlEntities(text));
+  }
+  if (Array.isArray(value)) return value.flatMap(flattenJsonLdInstructions);
+  if (typeof value === "object") {
+    if (value.itemListElement) return flattenJsonLdInstructions(value.itemListElement);
+    const text = cleanJsonLdText(value.text || value.name);
+    return text ? [text] : [];
+  }
+  return [];
+}
+
+const UNICODE_FRACTIONS = { "½": 0.5, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 0.25, "¾": 0.75, "⅕": 0.2, "⅛": 0.125 };
+
+// Parses "200 g moke, presejane", "1 1/2 cup flour", "½ žličke soli" ->
+// { quantity, unit, name, note }; unit je koda iz kataloga enot ali null
+function parseIngredientLine(line, catalog) {
+  let rest = cleanJsonLdText(line) || "";
+  let quantity = null;
+
+  const fractions = Object.keys(UNICODE_FRACTIONS).join("");
+  let m;
+  if ((m = rest.match(/^(\d+)\s+(\d+)\/(\d+)/))) {
+    quantity = Number(m[1]) + Number(m[2]) / Number(m[3]); // "1 1/2"
+  } else if ((m = rest.match(/^(\d+)\/(\d+)/))) {
+    quantity = Number(m[1]) / Number(m[2]);
+  } else if ((m = rest.match(new RegExp(`^(\\d+)?\\s*([${fractions}])`)))) {
+    quantity = Number(m[1] || 0) + UNICODE_FRACTIONS[m[2]]; // "1½", "½"
+  } else if ((m = rest.match(/^(\d+(?:[.,]\d+)?)/))) {
+    quantity = Number(m[1].replace(",", "."));
+  }
+  if (m) {
+    // razpon "2-3" -> spodnja meja
+    rest = rest.slice(m[0].length).replace(/^\s*[-–]\s*\d+(?:[.,]\d+)?/, "").trim();
+    quantity = quantity > 0 && Number.isFinite(quantity) ? Number(quantity.toFixed(2)) : null;
+  }
+
+  let unit = null;
+  const unitMatch = rest.match(/^([^\s,()]+)\.?\s+/);
+  if (unitMatch) {
+    const resolved = resolveUnit(unitMatch[1], catalog);
+    if (resolved) {
+      unit = resolved.code;
+      rest = rest.slice(unitMatch[0].length).replace(/^(of|od)\s+/i, "");
+    }
+  }
+
+  // "(...)" in vse za prvo vejico gre v opombo
+  const notes = [];
+  rest = rest.replace(/\(([^)]*)\)/g, (m, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return " ";
+  });
+  const comma = rest.indexOf(",");
+  if (comma !== -1) {
+    notes.push(rest.slice(comma + 1).trim());
+    rest = rest.slice(0, comma);
+  }
+
+  const name = rest.replace(/\s+/g, " ").trim();
+  const note = notes.filter(Boolean).join(", ") || null;
+  return { quantity, unit, name: name || null, note };
+}
+
+// Maps a JSON-LD Recipe node to our fields; tags iz recipeCategory (meal), recipeCuisine (cuisine),
+// suitableForDiet (diet) in keywords (free)
+function mapJsonLdRecipe(node, catalog) {
+  const list = (value) =>
+    (Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : [])
+      .map((v) => cleanJsonLdText(typeof v === "object" && v ? v.name : v))
+      .filter(Boolean);
+
+  const steps = flattenJsonLdInstructions(node.recipeInstructions);
+  const tags = [
+    ...list(node.recipeCategory).map((name) => ({ type: "meal", name })),
+    ...list(node.recipeCuisine).map((name) => ({ type: "cuisine", name })),
+    ...list(node.suitableForDiet).map((name) => ({
+      type: "diet",
+      name: name.replace(/^https?:\/\/schema\.org\//, "").replace(/Diet$/, ""),
+    })),
+    ...list(node.keywords).map((name) => ({ type: "free", name })),
+  ]
+    .map(parseTagInput)
+    .filter(Boolean)
+    .slice(0, 20);
+
+  return {
+    recipe: {
+      title: (cleanJsonLdText(node.name) || "").slice(0, 255),
+      description: cleanJsonLdText(node.description),
+      instructions: steps.length > 0 ? steps.map((text, i) => `${i + 1}. ${text}`).join("\n") : null,
+      prepTimeMinutes: parseIsoDurationMinutes(node.prepTime),
+      cookTimeMinutes: parseIsoDurationMinutes(node.cookTime),
+      servings: parseRecipeYield(node.recipeYield),
+    },
+    steps,
+    tags,
+    ingredients: (Array.isArray(node.recipeIngredient) ? node.recipeIngredient : [])
+      .map((line) => cleanJsonLdText(line))
+      .filter(Boolean)
+      .map((line) => ({ line, ...parseIngredientLine(line, catalog) })),
+  };
+}
+
+// Matches parsed ingredient names against approved catalog entries: exact name, then the longest
+// catalog name contained in the line as whole words, then a stem (ime brez zadnje črke, "moke" -> "Mok%").
+async function matchCatalogIngredients(names) {
+  const matches = [];
+  for (const name of names) {
+    if (!name) {
+      matches.push(null);
+      continue;
+    }
+    const padded = ` ${name} `;
+    const stem = (name.length > 4 ? name.slice(0, -1) : name).replace(/[\\%_]/g, "\\$&");
+    const [rows] = await pool.query(
+      `SELECT id, name,
+              CASE
+                WHEN name = ? THEN 0
+                WHEN ? LIKE CONCAT('% ', name, ' %') THEN 1
+                ELSE 2
+              END AS rank_order
+       FROM ingredients
+       WHERE status = 'approved'
+         AND (name = ? OR ? LIKE CONCAT('% ', name, ' %') OR name LIKE CONCAT(?, '%'))
+       ORDER BY rank_order ASC, CHAR_LENGTH(name) DESC
+       LIMIT 1`,
+      [name, padded, name, padded, stem]
+    );
+    matches.push(rows.length > 0 ? { ingredientId: rows[0].id, name: rows[0].name } : null);
+  }
+  return matches;
+}
+
+// Recipe revisions: vsaka sprememba recepta, sestavin, korakov ali oznak shrani celoten posnetek (snapshot)
+// in razliko do prejšnje revizije. Recepti, ustvarjeni pred beleženjem, dobijo revizijo "baseline"
+// tik pred prvo spremembo (ensureRevisionBaseline), da se prejšnje stanje ne izgubi.
+// Vidnost (is_public) in fotografije niso del vsebine recepta, zato se ne beležijo in ne obnavljajo.
+const REVISION_FIELDS = [
+  "title",
+  "description",
+  "instructions",
+  "prepTimeMinutes",
+  "cookTimeMinutes",
+  "servings",
+];
+const REVISION_INGREDIENT_FIELDS = ["ingredientId", "quantity", "unit", "note"];
+const REVISION_STEP_FIELDS = ["position", "instruction", "durationSeconds", "recipeIngredientIds"];
+
+// MariaDB vrne JSON stolpce kot niz, MySQL kot objekt
+function parseJsonColumn(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+async function loadRecipeSnapshot(recipeId, db = pool) {
+  const [rows] = await db.query(
+    `SELECT title, description, instructions, prep_time_minutes, cook_time_minutes, servings
+     FROM recipes WHERE id = ? LIMIT 1`,
+    [recipeId]
+  );
+  if (rows.length === 0) return null;
+
+  const [ingredients] = await db.query(
+    `SELECT ri.id, ri.ingredient_id, i.name, ri.quantity, ri.unit, ri.note
+     FROM recipe_ingredients ri
+     JOIN ingredients i ON i.id = ri.ingredient_id
+     WHERE ri.recipe_id = ?
+     ORDER BY ri.id ASC`,
+    [recipeId]
+  );
+
+  const steps = await loadRecipeSteps(recipeId, db);
+  const [tags] = await db.query(
+    `SELECT t.id, t.type, t.name
+     FROM recipe_tags rt
+     JOIN tags t ON t.id = rt.tag_id
+     WHERE rt.recipe_id = ?
+     ORDER BY t.type ASC, t.name ASC`,
+    [recipeId]
+  );
+
+  const r = rows[0];
+  return {
+    title: r.title,
+    description: r.description,
+    instructions: r.instructions,
+    prepTimeMinutes: r.prep_time_minutes,
+    cookTimeMinutes: r.cook_time_minutes,
+    servings: r.servings,
+    ingredients: ingredients.map((i) => ({
+      recipeIngredientId: i.id,
+      ingredientId: i.ingredient_id,
+      ingredientName: i.name,
+      quantity: i.quantity === null ? null : Number(i.quantity),
+      unit: i.unit,
+      note: i.note,
+    })),
+    steps: steps.map((st) => ({
+      stepId: st.id,
+      position: st.position,
+      instruction: st.instruction,
+      durationSeconds: st.duration_seconds,
+      recipeIngredientIds: st.recipe_ingredient_ids,
+    })),
+    tags: tags.map((t) => ({ tagId: t.id, type: t.type, name: t.name })),
+  };
+}
+
+// Changed fields of list items present in both snapshots: [{ [idKey], ..., changes: { field: { from, to } } }]
+function diffRevisionItems(fromItems, toItems, idKey, fields, label) {
+  const before = new Map(fromItems.map((item) => [item[idKey], item]));
+  const changed = [];
+  for (const item of toItems) {
+    const prev = before.get(item[idKey]);
+    if (!prev) continue;
+    const changes = {};
+    for (const f of fields) {
+      // recipeIngredientIds je seznam, zato primerjamo vsebino
+      if (JSON.stringify(prev[f]) !== JSON.stringify(item[f])) changes[f] = { from: prev[f], to: item[f] };
+    }
+    if (Object.keys(changes).length > 0) changed.push({ [idKey]: item[idKey], ...label(item), changes });
+  }
+  return changed;
+}
+
+// { added, removed } of list items by id
+function diffRevisionMembers(fromItems, toItems, idKey) {
+  const beforeIds = new Set(fromItems.map((item) => item[idKey]));
+  const afterIds = new Set(toItems.map((item) => item[idKey]));
+  return {
+    added: toItems.filter((item) => !beforeIds.has(item[idKey])),
+    removed: fromItems.filter((item) => !afterIds.has(item[idKey])),
+  };
+}
+
+// Razlika med dvema posnetkoma; from = null pomeni prvo revizijo (vse je "dodano").
+// Sestavine se primerjajo po recipeIngredientId, koraki po stepId, oznake po tagId.
+function diffRecipeSnapshots(from, to) {
+  const fields = {};
+  for (const f of REVISION_FIELDS) {
+    const before = from ? from[f] : null;
+    if (before !== to[f]) fields[f] = { from: before, to: to[f] };
+  }
+
+  const prev = from || { ingredients: [], steps: [], tags: [] };
+  return {
+    fields,
+    ingredients: {
+      ...diffRevisionMembers(prev.ingredients, to.ingredients, "recipeIngredientId"),
+      changed: diffRevisionItems(
+        prev.ingredients,
+        to.ingredients,
+        "recipeIngredientId",
+        REVISION_INGREDIENT_FIELDS,
+        (i) => ({ ingredientName: i.ingredientName })
+      ),
+    },
+    steps: {
+      ...diffRevisionMembers(prev.steps, to.steps, "stepId"),
+      changed: diffRevisionItems(prev.steps, to.steps, "stepId", REVISION_STEP_FIELDS, () => ({})),
+    },
+    tags: diffRevisionMembers(prev.tags, to.tags, "tagId"),
+  };
+}
+
+function isEmptyRevisionDiff(diff) {
+  return (
+    Object.keys(diff.fields).length === 0 &&
+    ["ingredients", "steps", "tags"].every((list) =>
+      Object.values(diff[list]).every((items) => items.length === 0)
+    )
+  );
+}
+
+// Vrstična razlika (LCS) za daljša besedila, npr. navodila: [{ op: "=" | "+" | "-", text }].
+// Skupni začetek in konec se odrežeta; če je preostanek prevelik za LCS tabelo (čas/pomnilnik O(n*m)),
+// se vrne kot en blok odstranjenih in dodanih vrstic.
+const TEXT_DIFF_MAX_CELLS = 4_000_000;
+
+function diffTextLines(from, to) {
+  const a = from ? String(from).split("\n") : [];
+  const b = to ? String(to).split("\n") : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const lines = a.slice(0, start).map((text) => ({ op: "=", text }));
+  const n = endA - start;
+  const m = endB - start;
+
+  if ((n + 1) * (m + 1) > TEXT_DIFF_MAX_CELLS) {
+    for (let i = start; i < endA; i++) lines.push({ op: "-", text: a[i] });
+    for (let j = start; j < endB; j++) lines.push({ op: "+", text: b[j] });
+  } else {
+    // lcs[i * (m + 1) + j] = LCS dolžina a[start + i..endA) in b[start + j..endB)
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          a[start + i] === b[start + j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        lines.push({ op: "=", text: a[start + i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        lines.push({ op: "-", text: a[start + i++] });
+      } else {
+        lines.push({ op: "+", text: b[start + j++] });
+      }
+    }
+    while (i < n) lines.push({ op: "-", text: a[start + i++] });
+    while (j < m) lines.push({ op: "+", text: b[start + j++] });
+  }
+
+  for (let i = endA; i < a.length; i++) lines.push({ op: "=", text: a[i] });
+  return lines;
+}
+
+// Records the current state as a new revision (skipped when nothing changed); returns revision number or null
+async function recordRecipeRevision(recipeId, userId, action, db = pool, restoredFrom = null) {
+  const snapshot = await loadRecipeSnapshot(recipeId, db);
+  if (!snapshot) return null;
+
+  const [last] = await db.query(
+    "SELECT revision, snapshot FROM recipe_revisions WHERE recipe_id = ? ORDER BY revision DESC LIMIT 1",
+    [recipeId]
+  );
+  const previous = last.length > 0 ? parseJsonColumn(last[0].snapshot) : null;
+  const changes = diffRecipeSnapshots(previous, snapshot);
+  if (previous && isEmptyRevisionDiff(changes)) return null;
+
+  const revision = last.length > 0 ? last[0].revision + 1 : 1;
+  await db.query(
+    `INSERT INTO recipe_revisions
+     (recipe_id, revision, user_id, action, restored_from_revision, snapshot, changes, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [recipeId, revision, userId, action, restoredFrom, JSON.stringify(snapshot), JSON.stringify(changes)]
+  );
+  return revision;
+}
+
+// Call before modifying a recipe: stores its pre-change state if it has no history yet
+async function ensureRevisionBaseline(recipeId, db = pool) {
+  const [rows] = await db.query("SELECT id FROM recipe_revisions WHERE recipe_id = ? LIMIT 1", [recipeId]);
+  if (rows.length === 0) await recordRecipeRevision(recipeId, null, "baseline", db);
+}
+
+// Call inside the transaction that modifies a recipe: locks the recipe row so concurrent edits
+// get consecutive revision numbers (MAX(revision) + 1), then stores the baseline if needed
+async function lockRecipeForRevision(recipeId, conn) {
+  await conn.query("SELECT id FROM recipes WHERE id = ? FOR UPDATE", [recipeId]);
+  await ensureRevisionBaseline(recipeId, conn);
+}
+
+// Recipe export (GET /recipes/:id/export, GET /recipes/export)
+const EXPORT_FORMATS = {
+  jsonld: { ext: "jsonld", contentType: "application/ld+json; charset=utf-8" },
+  markdown: { ext: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { ext: "html", contentType: "text/html; charset=utf-8" },
+  pdf: { ext: "pdf", contentType: "application/pdf" },
+};
+
+// DejaVu ima vse šumnike (vgrajeni PDF fonti pokrijejo le WinAnsi, brez "č")
+const PDF_FONTS = {
+  regular: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf"),
+  bold: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf"),
+};
+
+// Loads an own or public recipe with author, cover photo, tags, ingredients and steps; null if not visible
+async function loadExportRecipe(recipeId, userId) {
+  const [rows] = await pool.query(
+    `SELECT r.id, r.user_id, r.title, r.description, r.instructions,
+            r.prep_time_minutes, r.cook_time_minutes, r.servings, r.is_public,
+            r.created_at, r.updated_at, u.full_name AS author_name
+     FROM recipes r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.id = ? AND (r.is_public = 1 OR r.user_id = ?)
+     LIMIT 1`,
+    [recipeId, userId]
+  );
+  if (rows.length === 0) return null;
+
+  // storage_key potrebuje PDF (naslovna slika se vdela v dokument)
+  const [photos] = await pool.query(
+    "SELECT storage_key FROM recipe_photos WHERE recipe_id = ? AND step_id IS NULL LIMIT 1",
+    [recipeId]
+  );
+  const photoKey = photos.length > 0 ? photos[0].storage_key : null;
+  return {
+    ...rows[0],
+    photo: photoUrls(photoKey),
+    photoKey,
+    tags: (await loadTagsByRecipe([recipeId])).get(recipeId),
+    ingredients: await loadRecipeIngredients(recipeId),
+    steps: await loadRecipeSteps(recipeId),
+  };
+}
+
+function formatExportQuantity(value) {
+  if (value === null || value === undefined) return null;
+  return String(Number(value));
+}
+
+// "200 g Moka, presejana"
+function formatIngredientLine(ing) {
+  const amount = [formatExportQuantity(ing.quantity), ing.unit].filter(Boolean).join(" ");
+  return [amount, ing.ingredientName].filter(Boolean).join(" ") + (ing.note ? `, ${ing.note}` : "");
+}
+
+// Strukturirani koraki, sicer odstavki iz recipes.instructions
+function exportSteps(recipe) {
+  if (recipe.steps.length > 0) {
+    return recipe.steps.map((s) => ({ text: s.instruction, durationSeconds: s.duration_seconds, photo: s.photo }));
+  }
+  return splitInstructions(recipe.instructions).map((text) => ({ text, durationSeconds: null, photo: null }));
+}
+
+function isoDuration(minutes) {
+  if (!minutes) return undefined;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `PT${h ? `${h}H` : ""}${m || !h ? `${m}M` : ""}`;
+}
+
+function formatMinutes(minutes) {
+  if (!minutes) return null;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h && `${h} h`, m && `${m} min`].filter(Boolean).join(" ");
+}
+
+// Meta vrstice (Priprava, Kuhanje, Porcije, Avtor) za markdown/html/pdf
+function exportMeta(recipe) {
+  return [
+    ["Priprava", formatMinutes(recipe.prep_time_minutes)],
+    ["Kuhanje", formatMinutes(recipe.cook_time_minutes)],
+    ["Porcije", recipe.servings ? String(recipe.servings) : null],
+    ["Avtor", recipe.author_name],
+    ["Oznake", recipe.tags.map((t) => t.name).join(", ")],
+  ].filter(([, value]) => value);
+}
+
+// schema.org Recipe (isti format, ki ga sprejme POST /recipes/import)
+function recipeToJsonLd(recipe, baseUrl) {
+  const absolute = (url) => new URL(url, baseUrl).href;
+  const tagNames = (...types) => recipe.tags.filter((t) => types.includes(t.type)).map((t) => t.name);
+  const nonEmpty = (list) => (list.length > 0 ? list : undefined);
+  const steps = exportSteps(recipe);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: recipe.title,
+    description: recipe.description || undefined,
+    author: recipe.author_name ? { "@type": "Person", name: recipe.author_name } : undefined,
+    datePublished: new Date(recipe.created_at).toISOString(),
+    dateModified: new Date(recipe.updated_at).toISOString(),
+    image: recipe.photo ? [recipe.photo.large, recipe.photo.medium, recipe.photo.thumb].map(absolute) : undefined,
+    prepTime: isoDuration(recipe.prep_time_minutes),
+    cookTime: isoDuration(recipe.cook_time_minutes),
+    totalTime: isoDuration((recipe.prep_time_minutes || 0) + (recipe.cook_time_minutes || 0)),
+    recipeYield: recipe.servings ? String(recipe.servings) : undefined,
+    recipeCategory: nonEmpty(tagNames("meal")),
+    recipeCuisine: nonEmpty(tagNames("cuisine")),
+    keywords: tagNames("diet", "free").join(", ") || undefined,
+    recipeIngredient: recipe.ingredients.map(formatIngredientLine),
+    recipeInstructions: steps.map((s, i) => ({
+      "@type": "HowToStep",
+      position: i + 1,
+      text: s.text,
+      image: s.photo ? absolute(s.photo.large) : undefined,
+    })),
+  };
+}
+
+function recipeToMarkdown(recipe, baseUrl) {
+  const lines = [`# ${recipe.title}`, ""];
+  if (recipe.photo) lines.push(`![${recipe.title}](${new URL(recipe.photo.large, baseUrl).href})`, "");
+  if (recipe.description) lines.push(recipe.description, "");
+
+  const meta = exportMeta(recipe);
+  if (meta.length > 0) lines.push(...meta.map(([label, value]) => `- **${label}:** ${value}`), "");
+
+  lines.push("## Sestavine", "");
+  lines.push(...recipe.ingredients.map((ing) => `- ${formatIngredientLine(ing)}`), "");
+
+  const steps = exportSteps(recipe);
+  if (steps.length > 0) {
+    lines.push("## Postopek", "");
+    steps.forEach((s, i) => {
+      const duration = s.durationSeconds ? ` _(${formatMinutes(Math.ceil(s.durationSeconds / 60))})_` : "";
+      lines.push(`${i + 1}. ${s.text.replace(/\n+/g, " ")}${duration}`);
+    });
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+// Samostojen HTML dokument, pripravljen za tiskanje (@media print)
+function recipeToHtml(recipe, baseUrl) {
+  const esc = (value) => escapeHtml(String(value));
+  const steps = exportSteps(recipe);
+
+  return `<!DOCTYPE html>
+<html lang="sl">
+<head>
+<meta charset="utf-8">
+<title>${esc(recipe.title)}</title>
+<script type="application/ld+json">${JSON.stringify(recipeToJsonLd(recipe, baseUrl)).replace(/</g, "\\u003c")}</script>
+<style>
+  body { font-family: "DejaVu Sans", Arial, sans-serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  img.cover { width: 100%; max-height: 24rem; object-fit: cover; border-radius: 6px; }
+  ul.meta { list-style: none; padding: 0; color: #555; }
+  ul.meta li { display: inline-block; margin-right: 1.5rem; }
+  ol li { margin-bottom: 0.5rem; }
+  .duration { color: #777; font-size: 0.9em; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    img.cover { max-height: 10cm; }
+    h2 { page-break-after: avoid; }
+    li { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>${esc(recipe.title)}</h1>
+${recipe.photo ? `<img class="cover" src="${esc(new URL(recipe.photo.large, baseUrl).href)}" alt="${esc(recipe.title)}">` : ""}
+${recipe.description ? `<p>${esc(recipe.description)}</p>` : ""}
+<ul class="meta">
+${exportMeta(recipe).map(([label, value]) => `  <li><strong>${esc(label)}:</strong> ${esc(value)}</li>`).join("\n")}
+</ul>
+<h2>Sestavine</h2>
+<ul>
+${recipe.ingredients.map((ing) => `  <li>${esc(formatIngredientLine(ing))}</li>`).join("\n")}
+</ul>
+${
+  steps.length > 0
+    ? `<h2>Postopek</h2>
+<ol>
+${steps
+  .map((s) => {
+    const duration = s.durationSeconds
+      ? ` <span class="duration">(${esc(formatMinutes(Math.ceil(s.durationSeconds / 60)))})</span>`
+      : "";
+    return `  <li>${esc(s.text)}${duration}</li>`;
+  })
+  .join("\n")}
+</ol>`
+    : ""
+}
+</body>
+</html>
+`;
+}
+
+// PDF (A4) z naslovno fotografijo; vrne Buffer
+async function recipeToPdf(recipe) {
+  let cover = null;
+  if (recipe.photoKey) {
+    try {
+      // PDFKit podpira le JPEG/PNG
+      cover = await sharp(await storage.get(`${recipe.photoKey}/medium.webp`)).jpeg({ quality: 85 }).toBuffer();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: recipe.title, Author: recipe.author_name || "" } });
+  doc.registerFont("regular", PDF_FONTS.regular);
+  doc.registerFont("bold", PDF_FONTS.bold);
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const width = doc.page.width - 100;
+  doc.font("bold").fontSize(22).text(recipe.title);
+  doc.moveDown(0.5);
+
+  if (cover) {
+    doc.image(cover, { fit: [width, 250], align: "center" });
+    doc.moveDown(0.5);
+  }
+
+  const meta = exportMeta(recipe);
+  if (meta.length > 0) {
+    doc.font("regular").fontSize(10).fillColor("#555555");
+    doc.text(meta.map(([label, value]) => `${label}: ${value}`).join("   ·   "));
+    doc.fillColor("#000000").moveDown();
+  }
+
+  if (recipe.description) {
+    doc.font("regular").fontSize(11).text(recipe.description);
+    doc.moveDown();
+  }
+
+  doc.font("bold").fontSize(15).text("Sestavine");
+  doc.moveDown(0.3);
+  doc.font("regular").fontSize(11).list(recipe.ingredients.map(formatIngredientLine), { bulletRadius: 2 });
+  doc.moveDown();
+
+  const steps = exportSteps(recipe);
+  if (steps.length > 0) {
+    doc.font("bold").fontSize(15).text("Postopek");
+    doc.moveDown(0.3);
+    doc.font("regular").fontSize(11);
+    steps.forEach((s, i) => {
+      const duration = s.durationSeconds ? ` (${formatMinutes(Math.ceil(s.durationSeconds / 60))})` : "";
+      doc.text(`${i + 1}. ${s.text}${duration}`, { paragraphGap: 6 });
+    });
+  }
+
+  doc.end();
+  return done;
+}
+
+// Renders one recipe in the given EXPORT_FORMATS key; returns string or Buffer
+async function renderRecipeExport(recipe, format, baseUrl) {
+  switch (format) {
+    case "jsonld":
+      return JSON.stringify(recipeToJsonLd(recipe, baseUrl), null, 2);
+    case "markdown":
+      return recipeToMarkdown(recipe, baseUrl);
+    case "html":
+      return recipeToHtml(recipe, baseUrl);
+    case "pdf":
+      return recipeToPdf(recipe);
+  }
+}
+
+function exportFileName(recipe, format) {
+  return `${slugify(recipe.title) || "recept"}-${recipe.id}.${EXPORT_FORMATS[format].ext}`;
+}
+
+// Tags (user-facing "type:name", npr. "cuisine:Italijanska"; brez predpone je oznaka "free")
+const TAG_TYPES = ["meal", "cuisine", "diet", "free"];
+
+function slugify(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 100);
+}
+
+// Accepts "name", "type:name" or { type, name }; returns { type, name, slug } or null
+function parseTagInput(input) {
+  let type = "free";
+  let name = input;
+  if (input && typeof input === "object") {
+    type = input.type || "free";
+    name = input.name;
+  } else if (typeof input === "string" && input.includes(":")) {
+    const i = input.indexOf(":");
+    const prefix = input.slice(0, i).trim().toLowerCase();
+    if (TAG_TYPES.includes(prefix)) {
+      type = prefix;
+      name = input.slice(i + 1);
+    }
+  }
+  if (!TAG_TYPES.includes(type) || typeof name !== "string") return null;
+  name = name.trim();
+  const slug = slugify(name);
+  if (!slug || name.length > 100) return null;
+  return { type, name, slug };
+}
+
+// Creates missing tags and returns their ids (in input order, deduplicated)
+async function ensureTags(tags, db = pool) {
+  await db.query("INSERT IGNORE INTO tags (type, name, slug) VALUES ?", [
+    tags.map((t) => [t.type, t.name, t.slug]),
+  ]);
+  const [rows] = await db.query(
+    `SELECT id, type, slug FROM tags WHERE (type, slug) IN (?)`,
+    [tags.map((t) => [t.type, t.slug])]
+  );
+  const byKey = new Map(rows.map((r) => [`${r.type}:${r.slug}`, r.id]));
+  return [...new Set(tags.map((t) => byKey.get(`${t.type}:${t.slug}`)))];
+}
+
+// Parses a ?tags= / ?excludeTags= query value ("vegan,cuisine:italijanska") into { type, slug } filters
+function parseTagFilter(value) {
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((part) => {
+      const t = parseTagInput(part.trim());
+      if (!t) return null;
+      // brez predpone filtriramo po slug-u ne glede na vrsto
+      const typed = TAG_TYPES.some((type) => part.trim().toLowerCase().startsWith(`${type}:`));
+      return { type: typed ? t.type : null, slug: t.slug };
+    })
+    .filter(Boolean);
+}
+
+// Builds AND-ed SQL conditions for tags (recipe must have all) and excludeTags (none of them)
+function tagFilterSql(alias, query) {
+  const include = parseTagFilter(query.tags);
+  const exclude = parseTagFilter(query.excludeTags);
+  let sql = "";
+  const params = [];
+
+  const exists = (t) => {
+    params.push(t.slug);
+    if (t.type) params.push(t.type);
+    return `EXISTS (SELECT 1 FROM recipe_tags rt JOIN tags t ON t.id = rt.tag_id
+                    WHERE rt.recipe_id = ${alias}.id AND t.slug = ?${t.type ? " AND t.type = ?" : ""})`;
+  };
+  for (const t of include) sql += ` AND ${exists(t)}`;
+  for (const t of exclude) sql += ` AND NOT ${exists(t)}`;
+
+  return { sql, params };
+}
+
+// Helper to load tags for many recipes at once: Map recipeId -> [{ id, type, name, slug }]
+async function loadTagsByRecipe(recipeIds) {
+  const byRecipe = new Map(recipeIds.map((id) => [id, []]));
+  if (recipeIds.length === 0) return byRecipe;
+
+  const [rows] = await pool.query(
+    `SELECT rt.recipe_id, t.id, t.type, t.name, t.slug
+     FROM recipe_tags rt
+     JOIN tags t ON t.id = rt.tag_id
+     WHERE rt.recipe_id IN (?)
+     ORDER BY FIELD(t.type, 'meal', 'cuisine', 'diet', 'free'), t.name ASC`,
+    [recipeIds]
+  );
+  for (const { recipe_id: recipeId, ...tag } of rows) byRecipe.get(recipeId).push(tag);
+  return byRecipe;
+}
+
+// Recipe search: FULLTEXT (BOOLEAN MODE, vsaka beseda kot predpona "beseda*") nad
+// recipes(title, description, instructions), koraki in imeni sestavin; rangirano po relevanci.
+const SEARCH_MIN_TERM_LENGTH = 3; // innodb_ft_min_token_size
+
+function searchTerms(search) {
+  return [
+    ...new Set(
+      String(search)
+        .replace(/[+\-<>()~*"@]/g, " ")
+        .split(/\s+/)
+        .map((w) => w.trim())
+        .filter(Boolean)
+    ),
+  ].slice(0, 10);
+}
+
+// Returns null (no search) or { where, whereParams, relevance, relevanceParams, terms }
+function recipeSearchSql(alias, search) {
+  const terms = searchTerms(search || "");
+  if (terms.length === 0) return null;
+
+  const ftTerms = terms.filter((w) => w.length >= SEARCH_MIN_TERM_LENGTH);
+  if (ftTerms.length === 0) {
+    // prekratke besede FULLTEXT ignorira -> LIKE po naslovu/opisu
+    const like = `%${terms.join(" ")}%`;
+    return {
+      where: `(${alias}.title LIKE ? OR ${alias}.description LIKE ?)`,
+      whereParams: [like, like],
+      relevance: `(${alias}.title LIKE ?)`,
+      relevanceParams: [like],
+      terms,
+    };
+  }
+
+  const q = ftTerms.map((w) => `${w}*`).join(" ");
+  const stepMatch = `SELECT 1 FROM recipe_steps rs
+                     WHERE rs.recipe_id = ${alias}.id AND MATCH(rs.instruction) AGAINST (? IN BOOLEAN MODE)`;
+  const ingredientFrom = `FROM recipe_ingredients ri JOIN ingredients i ON i.id = ri.ingredient_id
+                          WHERE ri.recipe_id = ${alias}.id AND MATCH(i.name) AGAINST (? IN BOOLEAN MODE)`;
+
+  return {
+    where: `(MATCH(${alias}.title, ${alias}.description, ${alias}.instructions) AGAINST (? IN BOOLEAN MODE)
+             OR EXISTS (${stepMatch})
+             OR EXISTS (SELECT 1 ${ingredientFrom}))`,
+    whereParams: [q, q, q],
+    // naslov šteje trikrat, ujemanje v koraku ena točka, vsaka ujemajoča sestavina ena točka
+    relevance: `(MATCH(${alias}.title) AGAINST (? IN BOOLEAN MODE) * 3
+                 + MATCH(${alias}.title, ${alias}.description, ${alias}.instructions) AGAINST (? IN BOOLEAN MODE)
+                 + EXISTS (${stepMatch})
+                 + (SELECT COUNT(*) ${ingredientFrom}))`,
+    relevanceParams: [q, q, q, q],
+    terms: ftTerms,
+  };
+}
+
+// Builds AND-ed SQL conditions for withIngredients (all required) / withoutIngredients (none);
+// vrednost je seznam imen (LIKE %ime%) ali id-jev sestavin, ločen z vejico
+function ingredientFilterSql(alias, query) {
+  let sql = "";
+  const params = [];
+
+  const exists = (term) => {
+    if (/^\d+$/.test(term)) {
+      params.push(Number(term));
+      return `EXISTS (SELECT 1 FROM recipe_ingredients ri WHERE ri.recipe_id = ${alias}.id AND ri.ingredient_id = ?)`;
+    }
+    params.push(`%${term}%`);
+    return `EXISTS (SELECT 1 FROM recipe_ingredients ri JOIN ingredients i ON i.id = ri.ingredient_id
+                    WHERE ri.recipe_id = ${alias}.id AND i.name LIKE ?)`;
+  };
+  const list = (value) =>
+    value ? String(value).split(",").map((t) => t.trim()).filter(Boolean) : [];
+
+  for (const term of list(query.withIngredients)) sql += ` AND ${exists(term)}`;
+  for (const term of list(query.withoutIngredients)) sql += ` AND NOT ${exists(term)}`;
+
+  return { sql, params };
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Oznaci zadetke (predpone besed) z <mark>; ujemanje ne loči velikih črk in šumnikov (kot utf8mb4_unicode_ci).
+// Vrne HTML-escaped izsek okoli prvega zadetka ali null, če zadetka ni.
+function highlightText(text, terms, maxLength = 160) {
+  if (!text || terms.length === 0) return null;
+  const fold = (str) =>
+    Array.from(str, (ch) => {
+      const f = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+      return f.length === ch.length ? f : ch;
+    }).join("");
+
+  const folded = fold(text);
+  const alternatives = terms.map((t) => fold(t).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})`, "gu");
+
+  const matches = [...folded.matchAll(re)];
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, matches[0].index - Math.floor(maxLength / 3));
+    end = Math.min(text.length, start + maxLength);
+  }
+
+  let out = start > 0 ? "…" : "";
+  let pos = start;
+  for (const m of matches) {
+    const mEnd = m.index + m[0].length;
+    if (m.index < start || mEnd > end) continue;
+    out += escapeHtml(text.slice(pos, m.index)) + "<mark>" + escapeHtml(text.slice(m.index, mEnd)) + "</mark>";
+    pos = mEnd;
+  }
+  out += escapeHtml(text.slice(pos, end)) + (end < text.length ? "…" : "");
+  return out;
+}
+
+// Loads highlights for a page of search results: Map recipeId -> { title?, description?, instructions?, steps?, ingredients? }
+async function loadSearchHighlights(recipeIds, terms) {
+  const byRecipe = new Map(recipeIds.map((id) => [id, {}]));
+  if (recipeIds.length === 0) return byRecipe;
+
+  const [recipes] = await pool.query(
+    "SELECT id, title, description, instructions FROM recipes WHERE id IN (?)",
+    [recipeIds]
+  );
+  const [steps] = await pool.query(
+    "SELECT recipe_id, position, instruction FROM recipe_steps WHERE recipe_id IN (?) ORDER BY position ASC",
+    [recipeIds]
+  );
+  const [ingredients] = await pool.query(
+    `SELECT ri.recipe_id, i.name
+     FROM recipe_ingredients ri
+     JOIN ingredients i ON i.id = ri.ingredient_id
+     WHERE ri.recipe_id IN (?)
+     ORDER BY ri.id ASC`,
+    [recipeIds]
+  );
+
+  for (const r of recipes) {
+    const h = byRecipe.get(r.id);
+    for (const field of ["title", "description", "instructions"]) {
+      const marked = highlightText(r[field], terms);
+      if (marked) h[field] = marked;
+    }
+  }
+  for (const st of steps) {
+    const h = byRecipe.get(st.recipe_id);
+    const marked = highlightText(st.instruction, terms);
+    if (marked) (h.steps ||= []).push({ position: st.position, text: marked });
+  }
+  for (const ing of ingredients) {
+    const h = byRecipe.get(ing.recipe_id);
+    const marked = highlightText(ing.name, terms);
+    if (marked) (h.ingredients ||= []).push(marked);
+  }
+  return byRecipe;
+}
+
+// Units catalog (tabeli units + unit_aliases). recipe_ingredients.unit, inventory_items.unit ... ostajajo
+// prosto besedilo; resolveUnit() jih preslika na kanonično enoto. Katalog se redko spreminja, zato je
+// predpomnjen v procesu.
+const UNITS_CACHE_TTL_MS = 5 * 60 * 1000;
+let unitsCache = null;
+
+function foldUnitKey(unit) {
+  return String(unit)
+    .trim()
+    .toLowerCase()
+    .replace(/\.$/, "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+async function loadUnitsCatalog() {
+  if (unitsCache && unitsCache.expiresAt > Date.now()) return unitsCache.catalog;
+
+  const [units] = await pool.query(
+    "SELECT id, code, name, dimension, factor FROM units ORDER BY dimension ASC, factor ASC"
+  );
+  const [aliases] = await pool.query("SELECT alias, unit_id FROM unit_aliases ORDER BY alias ASC");
+
+  const byId = new Map();
+  const byCode = new Map();
+  const byAlias = new Map();
+  for (const u of units) {
+    const unit = { code: u.code, name: u.name, dimension: u.dimension, factor: Number(u.factor), aliases: [] };
+    byId.set(u.id, unit);
+    byCode.set(u.code, unit);
+    byAlias.set(foldUnitKey(u.code), unit);
+  }
+  for (const a of aliases) {
+    const unit = byId.get(a.unit_id);
+    if (a.alias !== unit.code) unit.aliases.push(a.alias);
+    byAlias.set(foldUnitKey(a.alias), unit);
+  }
+
+  const catalog = { units: [...byCode.values()], byCode, byAlias };
+  unitsCache = { catalog, expiresAt: Date.now() + UNITS_CACHE_TTL_MS };
+  return catalog;
+}
+
+// Resolves a free-text unit ("Žlice", "dkg", "cup") to a catalog unit or null
+function resolveUnit(unit, catalog) {
+  if (unit === null || unit === undefined || String(unit).trim() === "") return null;
+  return catalog.byAlias.get(foldUnitKey(unit)) || null;
+}
+
+// Converts a quantity between catalog units. Mass <-> volume gre prek gostote sestavine (g/ml),
+// count <-> mass prek teže kosa (g). Returns { quantity, via } or { error }.
+function convertQuantity(quantity, from, to, ingredient = null) {
+  if (from.dimension === to.dimension) {
+    return { quantity: (quantity * from.factor) / to.factor, via: [] };
+  }
+
+  const density = ingredient && ingredient.density_g_per_ml ? Number(ingredient.density_g_per_ml) : null;
+  const pieceWeight = ingredient && ingredient.piece_weight_g ? Number(ingredient.piece_weight_g) : null;
+  const via = [];
+  const missing = (what) => ({
+    error: `Converting ${from.dimension} to ${to.dimension} requires ${what}${ingredient ? " for this ingredient" : " (pass ingredientId)"}`,
+  });
+
+  // vse v grame ...
+  let grams = quantity * from.factor;
+  if (from.dimension === "volume") {
+    if (!density) return missing("density");
+    grams *= density;
+    via.push("density");
+  } else if (from.dimension === "count") {
+    if (!pieceWeight) return missing("piece weight");
+    grams *= pieceWeight;
+    via.push("piece_weight");
+  }
+
+  // ... in iz gramov v ciljno dimenzijo
+  let base = grams;
+  if (to.dimension === "volume") {
+    if (!density) return missing("density");
+    base = grams / density;
+    via.push("density");
+  } else if (to.dimension === "count") {
+    if (!pieceWeight) return missing("piece weight");
+    base = grams / pieceWeight;
+    via.push("piece_weight");
+  }
+
+  return { quantity: base / to.factor, via };
+}
+
+// Nutrition: hranilne vrednosti na 100 g (ingredients.*_per_100g); ključ v API-ju -> stolpec
+const NUTRIENTS = {
+  kcal: "kcal_per_100g",
+  protein: "protein_g_per_100g",
+  fat: "fat_g_per_100g",
+  carbs: "carbs_g_per_100g",
+  fibre: "fibre_g_per_100g",
+  salt: "salt_g_per_100g",
+};
+// za poizvedbe z aliasom i (FROM ingredients i)
+const NUTRIENT_COLUMNS_SQL = Object.values(NUTRIENTS).map((c) => `i.${c}`).join(", ");
+
+function roundNutrients(values) {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, v]) => [
+      key,
+      v === null ? null : key === "kcal" ? Math.round(v) : Number(v.toFixed(key === "salt" ? 2 : 1)),
+    ])
+  );
+}
+
+// Sums nutrition of recipe ingredient rows (with density/piece weight/nutrient columns) converted to grams.
+// Vrstice brez količine ali s pretvorbo, ki ni mogoča, gredo v `unconverted`; brez podatkov v `missingNutrition`.
+// Sestavina z delnimi podatki je v vsoti za znane vrednosti in hkrati v `missingNutrition` (missing = manjkajoči ključi).
+function computeRecipeNutrition(rows, catalog) {
+  const grams = catalog.byCode.get("g");
+  const totals = Object.fromEntries(Object.keys(NUTRIENTS).map((key) => [key, 0]));
+  const ingredients = [];
+  const unconverted = [];
+  const missingNutrition = [];
+  let weightGrams = 0;
+
+  for (const row of rows) {
+    const item = {
+      recipeIngredientId: row.id,
+      ingredientId: row.ingredient_id,
+      ingredientName: row.name,
+      quantity: row.quantity === null ? null : Number(row.quantity),
+      unit: row.unit,
+    };
+
+    const per100g = Object.fromEntries(
+      Object.entries(NUTRIENTS).map(([key, column]) => [key, row[column] === null ? null : Number(row[column])])
+    );
+    const missing = Object.keys(per100g).filter((key) => per100g[key] === null);
+    if (missing.length === Object.keys(NUTRIENTS).length) {
+      missingNutrition.push({ ...item, missing });
+      continue;
+    }
+
+    if (item.quantity === null) {
+      unconverted.push({ ...item, reason: "No quantity" });
+      continue;
+    }
+    // brez enote = kosi (npr. "2 jajci")
+    const unit = row.unit ? resolveUnit(row.unit, catalog) : catalog.byCode.get("kos");
+    if (!unit) {
+      unconverted.push({ ...item, reason: `Unknown unit: ${row.unit}` });
+      continue;
+    }
+    const converted = convertQuantity(item.quantity, unit, grams, row);
+    if (converted.error) {
+      unconverted.push({ ...item, reason: converted.error });
+      continue;
+    }
+
+    const nutrients = {};
+    for (const [key, value] of Object.entries(per100g)) {
+      nutrients[key] = value === null ? null : (converted.quantity * value) / 100;
+      if (value !== null) totals[key] += nutrients[key];
+    }
+    weightGrams += converted.quantity;
+    ingredients.push({
+      ...item,
+      grams: Number(converted.quantity.toFixed(1)),
+      via: converted.via,
+      nutrients: roundNutrients(nutrients),
+    });
+    if (missing.length > 0) missingNutrition.push({ ...item, missing });
+  }
+
+  return { totals, weightGrams, ingredients, unconverted, missingNutrition };
+}
+
+// Alergeni po EU 1169/2011 (priloga II), v vrstnem redu iz uredbe (= vrstni red ENUM v bazi)
+const ALLERGENS = [
+  "gluten", "crustaceans", "eggs", "fish", "peanuts", "soybeans", "milk",
+  "nuts", "celery", "mustard", "sesame", "sulphites", "lupin", "molluscs",
+];
+
+// Prehranske oznake sestavin: stolpec (1/0/NULL = ni podatka) in SQL izraz za dejansko vrednost (alias i).
+// Veganska sestavina je tudi vegetarijanska; preverjeni alergeni brez glutena/mleka pomenijo gluten-free/lactose-free.
+const allergenFreeSql = (allergen) =>
+  `IF(i.allergens_verified = 1, NOT EXISTS (SELECT 1 FROM ingredient_allergens ia
+                                            WHERE ia.ingredient_id = i.id AND ia.allergen = '${allergen}'), NULL)`;
+const DIETS = {
+  vegan: { column: "is_vegan", sql: "i.is_vegan" },
+  vegetarian: { column: "is_vegetarian", sql: "COALESCE(i.is_vegetarian, IF(i.is_vegan = 1, 1, NULL))" },
+  gluten_free: { column: "is_gluten_free", sql: `COALESCE(i.is_gluten_free, ${allergenFreeSql("gluten")})` },
+  lactose_free: { column: "is_lactose_free", sql: `COALESCE(i.is_lactose_free, ${allergenFreeSql("milk")})` },
+};
+const DIET_COLUMNS = [...Object.values(DIETS).map((d) => d.column), "allergens_verified"];
+
+// Helper to load allergen codes for many ingredients at once: Map ingredientId -> [code]
+async function loadIngredientAllergens(ingredientIds) {
+  const byIngredient = new Map(ingredientIds.map((id) => [id, []]));
+  if (ingredientIds.length === 0) return byIngredient;
+
+  const [rows] = await pool.query(
+    "SELECT ingredient_id, allergen FROM ingredient_allergens WHERE ingredient_id IN (?) ORDER BY allergen",
+    [ingredientIds]
+  );
+  for (const r of rows) byIngredient.get(r.ingredient_id).push(r.allergen);
+  return byIngredient;
+}
+
+// Derives allergens/diets of many recipes from their ingredients: Map recipeId -> dietary object.
+// Dieta je true le, če jo izpolnjujejo vse sestavine, false, če je vsaj ena ne, sicer null (ni podatka).
+async function loadRecipeDietary(recipeIds) {
+  const acc = new Map(
+    recipeIds.map((id) => [
+      id,
+      { allergens: new Set(), verified: true, count: 0, diets: Object.fromEntries(Object.keys(DIETS).map((k) => [k, true])) },
+    ])
+  );
+
+  if (recipeIds.length > 0) {
+    const [rows] = await pool.query(
+      `SELECT ri.recipe_id, i.allergens_verified,
+              (SELECT GROUP_CONCAT(ia.allergen) FROM ingredient_allergens ia WHERE ia.ingredient_id = i.id) AS allergens,
+              ${Object.entries(DIETS).map(([key, d]) => `${d.sql} AS diet_${key}`).join(",\n              ")}
+       FROM recipe_ingredients ri
+       JOIN ingredients i ON i.id = ri.ingredient_id
+       WHERE ri.recipe_id IN (?)`,
+      [recipeIds]
+    );
+    for (const row of rows) {
+      const a = acc.get(row.recipe_id);
+      a.count += 1;
+      if (!row.allergens_verified) a.verified = false;
+      for (const code of row.allergens ? row.allergens.split(",") : []) a.allergens.add(code);
+      for (const key of Object.keys(DIETS)) {
+        const value = row[`diet_${key}`];
+        if (value === null) {
+          if (a.diets[key] === true) a.diets[key] = null;
+        } else if (!Number(value)) {
+          a.diets[key] = false;
+        }
+      }
+    }
+  }
+
+  // recept brez sestavin: nič ne vemo
+  const byRecipe = new Map();
+  for (const [id, a] of acc) {
+    byRecipe.set(id, {
+      allergens: ALLERGENS.filter((code) => a.allergens.has(code)),
+      allergensComplete: a.count > 0 && a.verified,
+      diets: a.count > 0 ? a.diets : Object.fromEntries(Object.keys(DIETS).map((k) => [k, null])),
+    });
+  }
+  return byRecipe;
+}
+
+// Builds AND-ed SQL conditions for excludeAllergens (brez naštetih alergenov, vse sestavine preverjene)
+// and diet (vse sestavine izpolnjujejo vse naštete diete); neznana koda vrne { error }
+function dietaryFilterSql(alias, query) {
+  let sql = "";
+  const params = [];
+  const list = (value) =>
+    value ? String(value).split(",").map((t) => t.trim().toLowerCase()).filter(Boolean) : [];
+
+  const allergens = list(query.excludeAllergens);
+  const diets = list(query.diet);
+  const unknownAllergen = allergens.find((code) => !ALLERGENS.includes(code));
+  if (unknownAllergen) {
+    return { error: `Unknown allergen: ${unknownAllergen} (${ALLERGENS.join(", ")})` };
+  }
+  const unknownDiet = diets.find((key) => !Object.hasOwn(DIETS, key));
+  if (unknownDiet) {
+    return { error: `Unknown diet: ${unknownDiet} (${Object.keys(DIETS).join(", ")})` };
+  }
+  if (!allergens.length && !diets.length) return { sql, params };
+
+  // recept brez sestavin ne izpolnjuje nobenega pogoja
+  sql += ` AND EXISTS (SELECT 1 FROM recipe_ingredients ri WHERE ri.recipe_id = ${alias}.id)`;
+  const noIngredient = (condition) =>
+    ` AND NOT EXISTS (SELECT 1 FROM recipe_ingredients ri JOIN ingredients i ON i.id = ri.ingredient_id
+                      WHERE ri.recipe_id = ${alias}.id AND ${condition})`;
+
+  if (allergens.length) {
+    sql += noIngredient("i.allergens_verified = 0");
+    sql += noIngredient("EXISTS (SELECT 1 FROM ingredient_allergens ia WHERE ia.ingredient_id = i.id AND ia.allergen IN (?))");
+    params.push(allergens);
+  }
+  for (const key of diets) sql += noIngredient(`NOT (${DIETS[key].sql} <=> 1)`);
+
+  return { sql, params };
+}
+
+// Scaling: korak zaokroževanja (privzeto glede na velikost: g, ml, mg) in berljive pretvorbe
+// navzgor/navzdol (npr. 1500 g -> 1,5 kg) po kanonični enoti
+const UNIT_ROUNDING_STEP = {
+  kg: 0.05, l: 0.05, lb: 0.05,
+  dag: 0.5, oz: 0.5, cl: 0.5, dl: 0.5, "žlica": 0.5, "ščepec": 0.5,
+  "žlička": 0.25, skodelica: 0.25,
+};
+
+const UNIT_PROMOTIONS = {
+  mg: { up: { unit: "g", at: 1000 } },
+  g: { up: { unit: "kg", at: 1000 }, down: { unit: "mg", below: 1 } },
+  dag: { up: { unit: "kg", at: 100 }, down: { unit: "g", below: 1 } },
+  kg: { down: { unit: "g", below: 1 } },
+  ml: { up: { unit: "l", at: 1000 } },
+  cl: { up: { unit: "l", at: 100 }, down: { unit: "ml", below: 1 } },
+  dl: { up: { unit: "l", at: 10 }, down: { unit: "ml", below: 1 } },
+  l: { down: { unit: "ml", below: 0.1 } },
+  "žlička": { up: { unit: "žlica", at: 3 } },
+  "žlica": { down: { unit: "žlička", below: 1 } },
+};
+
+// Rounding step depends on the unit and the magnitude (no 0.333 eggs, no 1503.7 g).
+// Količine, manjše od koraka, se ne zaokrožijo na korak (0,2 g ne postane 0,5 g), ampak na 2 mesti.
+// unit je enota iz kataloga, null (brez enote -> kosi, npr. jajca) ali undefined (neznana enota).
+function roundQuantity(value, unit) {
+  let step;
+  if (unit === undefined) {
+    step = 0.01;
+  } else if (unit === null || unit.dimension === "count") {
+    step = value < 3 ? 0.5 : 1;
+  } else if (UNIT_ROUNDING_STEP[unit.code]) {
+    step = UNIT_ROUNDING_STEP[unit.code];
+  } else {
+    step = value < 10 ? 0.5 : value < 100 ? 1 : value < 1000 ? 5 : 10;
+  }
+  if (value > 0 && value < step) return Number(value.toPrecision(2));
+  return Number((Math.round(value / step) * step).toFixed(2));
+}
+
+// Moves a quantity to a more readable unit of the same dimension (g -> kg, ml -> l, žlička -> žlica ...)
+function promoteUnit(value, unit, catalog) {
+  let current = unit;
+  let v = value;
+  for (let i = 0; i < 3; i++) {
+    const rule = UNIT_PROMOTIONS[current.code];
+    if (!rule) break;
+    const nextCode =
+      rule.up && v >= rule.up.at ? rule.up.unit : rule.down && v < rule.down.below ? rule.down.unit : null;
+    const next = nextCode && catalog.byCode.get(nextCode);
+    if (!next) break;
+    v = (v * current.factor) / next.factor;
+    current = next;
+  }
+  return { value: v, unit: current };
+}
+
+// Scales recipe ingredient rows (loadRecipeIngredients shape) by factor
+function scaleIngredients(ingredients, factor, catalog, { promote = false } = {}) {
+  return ingredients.map((ing) => {
+    if (ing.quantity === null || ing.quantity === undefined) return ing;
+    const original = Number(ing.quantity);
+    const known = resolveUnit(ing.unit, catalog);
+
+    let value = original * factor;
+    let unit = ing.unit;
+    let rounding = ing.unit ? known || undefined : null;
+    if (known && promote) {
+      const promoted = promoteUnit(value, known, catalog);
+      if (promoted.unit !== known) {
+        value = promoted.value;
+        unit = promoted.unit.code;
+        rounding = promoted.unit;
+      }
+    }
+
+    return {
+      ...ing,
+      quantity: roundQuantity(value, rounding),
+      unit,
+      originalQuantity: original,
+      originalUnit: ing.unit,
+    };
+  });
+}
+
+// Parses ?servings= / ?promoteUnits= for GET /recipes/:id and GET /public/recipes/:id.
+// Returns { error } | null (no scaling) | { toServings, promote }
+function parseScaleQuery(query) {
+  if (query.servings === undefined) return null;
+  const toServings = Number(query.servings);
+  if (!Number.isInteger(toServings) || toServings < 1 || toServings > 1000) {
+    return { error: "servings must be an integer between 1 and 1000" };
+  }
+  const promote = ["1", "true"].includes(String(query.promoteUnits || "").toLowerCase());
+  return { toServings, promote };
+}
+
+// Applies parseScaleQuery() result to a recipe row + its ingredients; returns { ingredients, scale? } or { error }
+async function applyServingsScale(recipe, ingredients, scale) {
+  if (!scale) return { ingredients };
+  if (!recipe.servings) {
+    return { error: "Recipe has no servings set, cannot scale" };
+  }
+  const factor = scale.toServings / recipe.servings;
+  const catalog = await loadUnitsCatalog();
+  return {
+    ingredients: scaleIngredients(ingredients, factor, catalog, { promote: scale.promote }),
+    scale: {
+      fromServings: recipe.servings,
+      toServings: scale.toServings,
+      factor: Number(factor.toFixed(4)),
+      promoteUnits: scale.promote,
+    },
+  };
+}
+
+// Helper to load cover photos for many recipes at once: Map recipeId -> photo URLs | null
+async function loadCoverPhotos(recipeIds) {
+  const byRecipe = new Map(recipeIds.map((id) => [id, null]));
+  if (recipeIds.length === 0) return byRecipe;
+
+  const [rows] = await pool.query(
+    "SELECT recipe_id, storage_key FROM recipe_photos WHERE recipe_id IN (?) AND step_id IS NULL",
+    [recipeIds]
+  );
+  for (const r of rows) byRecipe.set(r.recipe_id, photoUrls(r.storage_key));
+  return byRecipe;
+}
+
+// Povprečna ocena in število mnenj (correlated subqueries, alias r = recipes)
+const RATING_SELECT_SQL = `
+  (SELECT AVG(rv.rating) FROM recipe_reviews rv WHERE rv.recipe_id = r.id) AS rating_avg,
+  (SELECT COUNT(*) FROM recipe_reviews rv WHERE rv.recipe_id = r.id) AS rating_count`;
+
+function ratingSummary(avg, count) {
+  return { average: avg === null ? null : Number(Number(avg).toFixed(2)), count: Number(count) };
+}
+
+// ?sort= for GET /public/recipes (relevance samo skupaj s search)
+const PUBLIC_RECIPE_SORTS = {
+  newest: "r.updated_at DESC, r.id DESC",
+  rating: "rating_avg IS NULL, rating_avg DESC, rating_count DESC, r.id DESC",
+  relevance: "relevance DESC, r.updated_at DESC, r.id DESC",
+};
+
+// Skupni čas priprave in kuhanja (NULL, če ni podan noben)
+const TOTAL_TIME_SQL = `IF(r.prep_time_minutes IS NULL AND r.cook_time_minutes IS NULL, NULL,
+                           COALESCE(r.prep_time_minutes, 0) + COALESCE(r.cook_time_minutes, 0))`;
+
+// ?sort= for GET /recipes: izraz in privzeta smer (?order=asc|desc); recepti brez vrednosti so vedno na koncu.
+// relevance samo s search, position samo s collectionId, lastCooked = moj zadnji POST /recipes/:id/cooked
+const RECIPE_SORTS = {
+  updated: { sql: "r.updated_at", order: "desc" },
+  created: { sql: "r.created_at", order: "desc" },
+  title: { sql: "r.title", order: "asc" },
+  totalTime: { sql: TOTAL_TIME_SQL, order: "asc" },
+  prepTime: { sql: "r.prep_time_minutes", order: "asc" },
+  servings: { sql: "r.servings", order: "asc" },
+  lastCooked: { sql: "rc.last_cooked_at", order: "desc" },
+  relevance: { sql: "relevance", order: "desc" },
+  position: { sql: "cr.position", order: "asc" },
+};
+
+// Range filters for GET /recipes: min<Name>/max<Name> -> izraz (recepti brez vrednosti ne ustrezajo)
+const RECIPE_RANGE_FILTERS = {
+  TotalTime: TOTAL_TIME_SQL,
+  PrepTime: "r.prep_time_minutes",
+  CookTime: "r.cook_time_minutes",
+  Servings: "r.servings",
+};
+
+function recipeRangeFilterSql(query) {
+  let sql = "";
+  const params = [];
+
+  for (const [name, expr] of Object.entries(RECIPE_RANGE_FILTERS)) {
+    for (const [prefix, op] of [["min", ">="], ["max", "<="]]) {
+      const value = query[`${prefix}${name}`];
+      if (value === undefined || value === "") continue;
+      if (!/^\d+$/.test(String(value))) {
+        return { error: `${prefix}${name} must be a non-negative integer` };
+      }
+      sql += ` AND ${expr} ${op} ?`;
+      params.push(Number(value));
+    }
+  }
+
+  return { sql, params };
+}
+
+// Helper: which of recipeIds the user has marked as favorite (Set)
+async function loadFavoriteIds(userId, recipeIds) {
+  if (!userId || recipeIds.length === 0) return new Set();
+  const [rows] = await pool.query(
+    "SELECT recipe_id FROM recipe_favorites WHERE user_id = ? AND recipe_id IN (?)",
+    [userId, recipeIds]
+  );
+  return new Set(rows.map((r) => r.recipe_id));
+}
+
+// Helper to check collection ownership
+async function assertCollectionOwnership(collectionId, userId) {
+  const [rows] = await pool.query(
+    "SELECT id FROM collections WHERE id = ? AND user_id = ? LIMIT 1",
+    [collectionId, userId]
+  );
+  return rows.length > 0;
+}
+
+// Helper to check inventory item ownership
+async function assertInventoryOwnership(itemId, userId) {
+  const [rows] = await pool.query(
+    "SELECT id FROM inventory_items WHERE id = ? AND user_id = ? LIMIT 1",
+    [itemId, userId]
+  );
+  return rows.length > 0;
+}
+
+// Helper to parse and validate ID params
+function parseId(param) {
+  const n = Number(param);
+  if (!Number.isInteger(n) || n <= 0) return null;
+  return n;
+}
+
+// Helper to pick pagination params
+function pickPagination(req, defaultPage = 1, defaultPageSize = 20, maxPageSize = 100) {
+  const page = Math.max(1, parseInt(req.query.page || defaultPage, 10));
+  const pageSize = Math.min(
+    maxPageSize,
+    Math.max(1, parseInt(req.query.pageSize || defaultPageSize, 10))
+  );
+  const offset = (page - 1) * pageSize;
+  return { page, pageSize, offset };
+}
+
+// Helper to ensure shopping list ownership
+async function ensureShoppingListOwned(listId, userId) {
+  const [rows] = await pool.query(
+    `SELECT id FROM shopping_lists WHERE id = ? AND user_id = ?`,
+    [listId, userId]
+  );
+  return rows.length > 0;
+}
+
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     ErrorResponse:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: object
+ *           properties:
+ *             code: { type: string, example: "VALIDATION_ERROR" }
+ *             message: { type: string, example: "Invalid input" }
  *
  *     Tokens:
  *       type: object
@@ -186,6 +2576,100 @@ async function ensureShoppingListOwned(listId, userId) {
  *         id: { type: integer, format: int64, example: 1 }
  *         email: { type: string, example: "test-user@test.com" }
  *         fullName: { type: string, nullable: true, example: "Test User" }
+ *         emailVerified: { type: boolean, example: true }
+ *         role: { type: string, enum: [user, moderator, admin], example: "user" }
+ *         twoFactorEnabled: { type: boolean, example: false }
+ *
+ *     Ingredient:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 5 }
+ *         name: { type: string, example: "Moka" }
+ *         category: { type: string, nullable: true, example: "Osnovno" }
+ *         default_unit: { type: string, nullable: true, example: "g" }
+ *         density_g_per_ml: { type: number, nullable: true, example: 0.53, description: "Za pretvorbo volumen <-> masa" }
+ *         piece_weight_g: { type: number, nullable: true, example: 60, description: "Teža enega kosa (kos <-> masa)" }
+ *         kcal_per_100g: { type: number, nullable: true, example: 364 }
+ *         protein_g_per_100g: { type: number, nullable: true, example: 10.3 }
+ *         fat_g_per_100g: { type: number, nullable: true, example: 1 }
+ *         carbs_g_per_100g: { type: number, nullable: true, example: 76.3 }
+ *         fibre_g_per_100g: { type: number, nullable: true, example: 2.7 }
+ *         salt_g_per_100g: { type: number, nullable: true, example: 0 }
+ *         is_vegan: { type: integer, enum: [0, 1], nullable: true, example: 1, description: "null = ni podatka" }
+ *         is_vegetarian: { type: integer, enum: [0, 1], nullable: true, example: 1 }
+ *         is_gluten_free: { type: integer, enum: [0, 1], nullable: true, example: 0 }
+ *         is_lactose_free: { type: integer, enum: [0, 1], nullable: true, example: null }
+ *         allergens_verified: { type: integer, enum: [0, 1], example: 1, description: "1 = seznam alergenov je preverjen (tudi prazen)" }
+ *         allergens:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Allergen' }
+ *           example: ["gluten"]
+ *         status: { type: string, enum: [pending, approved], example: "approved" }
+ *         created_by_user_id: { type: integer, format: int64, nullable: true, example: 1 }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *
+ *     Allergen:
+ *       type: string
+ *       description: EU-14 alergeni (Uredba 1169/2011, priloga II)
+ *       enum: [gluten, crustaceans, eggs, fish, peanuts, soybeans, milk, nuts, celery, mustard, sesame, sulphites, lupin, molluscs]
+ *
+ *     RecipeDietary:
+ *       type: object
+ *       description: Izpeljano iz sestavin recepta
+ *       properties:
+ *         allergens:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Allergen' }
+ *           example: ["gluten", "eggs", "milk"]
+ *         allergensComplete:
+ *           type: boolean
+ *           example: false
+ *           description: true, če so alergeni preverjeni pri vseh sestavinah (sicer seznam morda ni popoln)
+ *         diets:
+ *           type: object
+ *           description: true = vse sestavine ustrezajo, false = vsaj ena ne, null = ni dovolj podatkov
+ *           properties:
+ *             vegan: { type: boolean, nullable: true, example: false }
+ *             vegetarian: { type: boolean, nullable: true, example: true }
+ *             gluten_free: { type: boolean, nullable: true, example: false }
+ *             lactose_free: { type: boolean, nullable: true, example: null }
+ *
+ *     Unit:
+ *       type: object
+ *       properties:
+ *         code: { type: string, example: "žlica" }
+ *         name: { type: string, example: "žlica" }
+ *         dimension: { type: string, enum: [mass, volume, count], example: "volume" }
+ *         factor: { type: number, example: 15, description: "V osnovni enoti dimenzije (g, ml, kos)" }
+ *         aliases:
+ *           type: array
+ *           items: { type: string }
+ *           example: ["žlice", "žl", "tbsp"]
+ *
+ *     PersonalAccessToken:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 3 }
+ *         name: { type: string, example: "Pantry import skripta" }
+ *         tokenPrefix: { type: string, example: "mrp_Xb3k9" }
+ *         scopes:
+ *           type: array
+ *           items: { type: string, example: "inventory:write" }
+ *         expiresAt: { type: string, format: date-time, nullable: true }
+ *         lastUsedAt: { type: string, format: date-time, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id: { type: string, example: "3f1c2a4e-6b1d-4c55-9a1e-2d0b7f8e9c10" }
+ *         userAgent: { type: string, nullable: true, example: "Mozilla/5.0 ..." }
+ *         ipAddress: { type: string, nullable: true, example: "172.18.0.1" }
+ *         createdAt: { type: string, format: date-time }
+ *         lastUsedAt: { type: string, format: date-time }
+ *         expiresAt: { type: string, format: date-time }
+ *         current: { type: boolean, example: true }
  *
  *     RecipeListItem:
  *       type: object
@@ -194,9 +2678,124 @@ async function ensureShoppingListOwned(listId, userId) {
  *         title: { type: string, example: "Palačinke" }
  *         description: { type: string, nullable: true, example: "Hitre palačinke" }
  *         servings: { type: integer, nullable: true, example: 4 }
+ *         photo: { $ref: '#/components/schemas/PhotoUrls' }
+ *         tags:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Tag' }
+ *         isMine: { type: boolean, example: true, description: "false le za tuje javne recepte (collectionId/favorites)" }
+ *         isFavorite: { type: boolean, example: false }
+ *         dietary: { $ref: '#/components/schemas/RecipeDietary' }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *         relevance: { type: number, description: "Samo pri search" }
+ *         highlights: { $ref: '#/components/schemas/SearchHighlights' }
+ *         prep_time_minutes: { type: integer, nullable: true, example: 10, description: "Samo z details=true" }
+ *         cook_time_minutes: { type: integer, nullable: true, example: 15, description: "Samo z details=true" }
+ *         totalTimeMinutes: { type: integer, nullable: true, example: 25, description: "Samo z details=true" }
+ *         ingredientCount: { type: integer, example: 6, description: "Samo z details=true" }
+ *         lastCookedAt: { type: string, format: date-time, nullable: true, description: "Samo z details=true" }
+ *         cookCount: { type: integer, example: 3, description: "Samo z details=true" }
+ *
+ *     SearchHighlights:
+ *       type: object
+ *       description: Samo pri search; vsebuje le polja z zadetki.
+ *       properties:
+ *         title: { type: string, example: "<mark>Palač</mark>inke" }
+ *         description: { type: string }
+ *         instructions: { type: string }
+ *         steps:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               position: { type: integer }
+ *               text: { type: string }
+ *         ingredients:
+ *           type: array
+ *           items: { type: string, example: "<mark>Mok</mark>a" }
+ *
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 4 }
+ *         type: { type: string, enum: [meal, cuisine, diet, free], example: "cuisine" }
+ *         name: { type: string, example: "Italijanska" }
+ *         slug: { type: string, example: "italijanska" }
+ *
+ *     PublicRecipeListItem:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 1 }
+ *         title: { type: string, example: "Palačinke" }
+ *         description: { type: string, nullable: true, example: "Hitre palačinke" }
+ *         prep_time_minutes: { type: integer, nullable: true, example: 10 }
+ *         cook_time_minutes: { type: integer, nullable: true, example: 15 }
+ *         servings: { type: integer, nullable: true, example: 4 }
+ *         author:
+ *           type: object
+ *           properties:
+ *             id: { type: integer, format: int64, example: 7 }
+ *             displayName: { type: string, nullable: true, example: "Test User" }
+ *         photo: { $ref: '#/components/schemas/PhotoUrls' }
+ *         ingredientNames:
+ *           type: array
+ *           items: { type: string, example: "Moka" }
+ *         tags:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Tag' }
+ *         forkCount: { type: integer, example: 2 }
+ *         rating: { $ref: '#/components/schemas/RatingSummary' }
+ *         isMine: { type: boolean, example: false }
+ *         isFavorite: { type: boolean, example: false, description: "Samo s tokenom" }
+ *         dietary: { $ref: '#/components/schemas/RecipeDietary' }
+ *         relevance: { type: number, description: "Samo pri search" }
+ *         highlights: { $ref: '#/components/schemas/SearchHighlights' }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *
+ *     RatingSummary:
+ *       type: object
+ *       properties:
+ *         average: { type: number, nullable: true, example: 4.33, description: "null, če recept še nima ocen" }
+ *         count: { type: integer, example: 3 }
+ *
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 12 }
+ *         rating: { type: integer, minimum: 1, maximum: 5, example: 5 }
+ *         body: { type: string, nullable: true, example: "Odlične, dodala sem še cimet." }
+ *         author:
+ *           type: object
+ *           properties:
+ *             id: { type: integer, format: int64, example: 7 }
+ *             displayName: { type: string, nullable: true, example: "Test User" }
+ *         isMine: { type: boolean, example: false }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *
+ *     Collection:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 3 }
+ *         name: { type: string, example: "Božič" }
+ *         description: { type: string, nullable: true, example: "Piškoti in potica" }
+ *         recipeCount: { type: integer, example: 5 }
+ *         containsRecipe: { type: boolean, description: "Samo z ?recipeId" }
  *         created_at: { type: string, format: date-time }
  *         updated_at: { type: string, format: date-time }
  *
+ *     Nutrients:
+ *       type: object
+ *       description: kcal ter grami beljakovin, maščob, ogljikovih hidratov, vlaknin in soli
+ *       properties:
+ *         kcal: { type: number, nullable: true, example: 412 }
+ *         protein: { type: number, nullable: true, example: 14.2 }
+ *         fat: { type: number, nullable: true, example: 9.8 }
+ *         carbs: { type: number, nullable: true, example: 66.1 }
+ *         fibre: { type: number, nullable: true, example: 2.4 }
+ *         salt: { type: number, nullable: true, example: 0.62 }
+ *
  *     RecipeIngredientItem:
  *       type: object
  *       properties:
@@ -211,6 +2810,159 @@ async function ensureShoppingListOwned(listId, userId) {
  *         created_at: { type: string, format: date-time }
  *         updated_at: { type: string, format: date-time }
  *
+ *     PhotoUrls:
+ *       type: object
+ *       nullable: true
+ *       description: URL-ji pomanjšanih različic (WebP); null, če fotografije ni
+ *       properties:
+ *         thumb: { type: string, example: "http://localhost:3000/media/recipes/1/5f0c.../thumb.webp" }
+ *         medium: { type: string, example: "http://localhost:3000/media/recipes/1/5f0c.../medium.webp" }
+ *         large: { type: string, example: "http://localhost:3000/media/recipes/1/5f0c.../large.webp" }
+ *
+ *     RecipeStep:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, format: int64, example: 3 }
+ *         position: { type: integer, example: 1 }
+ *         instruction: { type: string, example: "Zmešaj moko in mleko." }
+ *         duration_seconds: { type: integer, nullable: true, example: 600 }
+ *         photo: { $ref: '#/components/schemas/PhotoUrls' }
+ *         recipe_ingredient_ids:
+ *           type: array
+ *           items: { type: integer, format: int64 }
+ *           example: [10, 11]
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *
+ *     RecipeSnapshot:
+ *       type: object
+ *       properties:
+ *         title: { type: string, example: "Palačinke" }
+ *         description: { type: string, nullable: true }
+ *         instructions: { type: string, nullable: true }
+ *         prepTimeMinutes: { type: integer, nullable: true }
+ *         cookTimeMinutes: { type: integer, nullable: true }
+ *         servings: { type: integer, nullable: true }
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               recipeIngredientId: { type: integer, format: int64, example: 10 }
+ *               ingredientId: { type: integer, format: int64, example: 5 }
+ *               ingredientName: { type: string, example: "Moka" }
+ *               quantity: { type: number, nullable: true, example: 300 }
+ *               unit: { type: string, nullable: true, example: "g" }
+ *               note: { type: string, nullable: true }
+ *         steps:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               stepId: { type: integer, format: int64, example: 3 }
+ *               position: { type: integer, example: 1 }
+ *               instruction: { type: string, example: "Zmešaj moko in mleko." }
+ *               durationSeconds: { type: integer, nullable: true, example: 600 }
+ *               recipeIngredientIds:
+ *                 type: array
+ *                 items: { type: integer, format: int64 }
+ *                 example: [10, 11]
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               tagId: { type: integer, format: int64, example: 4 }
+ *               type: { type: string, enum: [meal, cuisine, diet, free] }
+ *               name: { type: string, example: "sladica" }
+ *
+ *     RecipeRevisionChanges:
+ *       type: object
+ *       properties:
+ *         fields:
+ *           type: object
+ *           description: Spremenjena polja recepta
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from: { nullable: true }
+ *               to: { nullable: true }
+ *           example: { title: { from: "Palačinke", to: "Babičine palačinke" } }
+ *         ingredients:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: array
+ *               items: { type: object }
+ *             removed:
+ *               type: array
+ *               items: { type: object }
+ *             changed:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   recipeIngredientId: { type: integer, format: int64 }
+ *                   ingredientName: { type: string }
+ *                   changes: { type: object, example: { quantity: { from: 300, to: 250 } } }
+ *         steps:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: array
+ *               items: { type: object }
+ *             removed:
+ *               type: array
+ *               items: { type: object }
+ *             changed:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   stepId: { type: integer, format: int64 }
+ *                   changes: { type: object, example: { position: { from: 2, to: 1 } } }
+ *         tags:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: array
+ *               items: { type: object }
+ *             removed:
+ *               type: array
+ *               items: { type: object }
+ *
+ *     RecipeRevision:
+ *       type: object
+ *       properties:
+ *         revision: { type: integer, example: 3 }
+ *         action:
+ *           type: string
+ *           enum:
+ *             - baseline
+ *             - create
+ *             - update
+ *             - ingredient_add
+ *             - ingredient_update
+ *             - ingredient_remove
+ *             - step_add
+ *             - step_update
+ *             - step_remove
+ *             - step_reorder
+ *             - steps_generate
+ *             - tags_update
+ *             - import
+ *             - fork
+ *             - restore
+ *         restoredFromRevision: { type: integer, nullable: true }
+ *         user:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id: { type: integer, format: int64 }
+ *             displayName: { type: string }
+ *         changes: { $ref: '#/components/schemas/RecipeRevisionChanges' }
+ *         created_at: { type: string, format: date-time }
+ *
  *     InventoryItem:
  *       type: object
  *       properties:
@@ -278,95 +3030,6655 @@ async function ensureShoppingListOwned(listId, userId) {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ErrorResponse'
- *     ValidationError:
- *       description: Validation error
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *     ValidationError:
+ *       description: Validation error
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *     NotFound:
+ *       description: Resource not found
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *     Conflict:
+ *       description: Conflict (duplicate)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ */
+
+
+
+// API routes
+
+// Health check
+/**
+ * @openapi
+ * /health:
+ *   get:
+ *     tags: [System]
+ *     summary: Health check + DB connectivity test
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string, example: "ok" }
+ *                 db:
+ *                   type: object
+ *                   properties:
+ *                     ok: { type: integer, example: 1 }
+ *       500:
+ *         description: DB or server error
+ */
+app.get("/health", async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT 1 AS ok");
+    res.status(200).json({ status: "ok", pool: rows[0] });
+  } catch (err) {
+    res.status(500).json({ status: "error", message: err.message });
+  }
+});
+
+
+// ----------------------------------------------
+// AUTHENTICATION AND USER MANAGEMENT 
+// ----------------------------------------------
+
+// POST /auth/register
+/**
+ * @openapi
+ * /auth/register:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Registracija uporabnika
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password, fullName]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: test-user@test.com
+ *               password:
+ *                 type: string
+ *                 example: SuperGeslo123!
+ *               fullName:
+ *                 type: string
+ *                 example: Test User
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     tokens:
+ *                       $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       429:
+ *         description: Preveč poskusov (glej Retry-After header)
+ *         headers:
+ *           Retry-After:
+ *             schema: { type: integer, example: 30 }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ */
+
+app.post("/auth/register", async (req, res) => {
+  try {
+    const { email, password, fullName = null } = req.body || {};
+
+    const throttleKeys = [`register-ip:${req.ip}`];
+    const retryAfter = await authThrottle.retryAfter(throttleKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Invalid email" },
+      });
+    }
+    if (!password || typeof password !== "string" || password.length < 8) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Password must be at least 8 characters" },
+      });
+    }
+
+    // Check if exists
+    const [existing] = await pool.query(
+      "SELECT id FROM users WHERE email = ? LIMIT 1",
+      [email.trim().toLowerCase()]
+    );
+    if (existing.length > 0) {
+      // ponavljajoči se konflikti z enega IP = ugibanje registriranih e-mailov
+      await authThrottle.fail(throttleKeys);
+      return res.status(409).json({
+        error: { code: "CONFLICT", message: "Email already registered" },
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    // Insert user (PRILAGODI ime stolpcev, če se razlikujejo)
+    const [result] = await pool.query(
+      `INSERT INTO users (email, password_hash, full_name, created_at, updated_at)
+       VALUES (?, ?, ?, NOW(), NOW())`,
+      [email.trim().toLowerCase(), passwordHash, fullName]
+    );
+
+    const userId = result.insertId;
+
+    const tokens = await issueTokens({ id: userId, email: email.trim().toLowerCase() }, req);
+
+    // registracija uspe tudi, če e-mail ne gre skozi; uporabnik lahko zahteva ponovno pošiljanje
+    try {
+      await sendVerificationEmail({ id: userId, email: email.trim().toLowerCase(), full_name: fullName });
+    } catch (mailErr) {
+      console.error(mailErr);
+    }
+
+    return res.status(201).json({
+      data: {
+        user: { id: userId, email: email.trim().toLowerCase(), fullName, emailVerified: false },
+        tokens,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/login
+/**
+ * @openapi
+ * /auth/login:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Login user and receive tokens
+ *     description: |
+ *       Če ima uporabnik vklopljen 2FA, odgovor namesto tokenov vsebuje
+ *       `twoFactorRequired: true` in `challengeToken` (velja 5 min) za POST /auth/login/2fa.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email: { type: string, example: "test-user@test.com" }
+ *               password: { type: string, example: "SuperGeslo123!" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     tokens:
+ *                       $ref: '#/components/schemas/Tokens'
+ *                     twoFactorRequired: { type: boolean, example: true }
+ *                     challengeToken: { type: string, example: "eyJhbGciOi..." }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         description: Preveč poskusov (glej Retry-After header)
+ *         headers:
+ *           Retry-After:
+ *             schema: { type: integer, example: 30 }
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "email and password are required" },
+      });
+    }
+
+    const ipKey = `ip:${req.ip}`;
+    const emailKey = throttleEmailKey(email);
+    const retryAfter = await authThrottle.attempt([ipKey, emailKey]);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+    const [rows] = await pool.query(
+      `SELECT id, email, password_hash, full_name, email_verified_at, totp_enabled_at
+       FROM users
+       WHERE email = ?
+       LIMIT 1`,
+      [email.trim().toLowerCase()]
+    );
+
+    // neuspeli poskus je že štet (attempt)
+    if (rows.length === 0) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid credentials" },
+      });
+    }
+
+    const user = rows[0];
+    const ok = await bcrypt.compare(password, user.password_hash);
+    if (!ok) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid credentials" },
+      });
+    }
+
+    await authThrottle.release([ipKey]);
+    await authThrottle.reset([emailKey]);
+
+    // 2FA: tokene izda šele POST /auth/login/2fa
+    if (user.totp_enabled_at) {
+      return res.status(200).json({
+        data: { twoFactorRequired: true, challengeToken: signChallengeToken(user.id) },
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+
+    return res.status(200).json({
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          emailVerified: user.email_verified_at !== null,
+        },
+        tokens,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/login/2fa
+/**
+ * @openapi
+ * /auth/login/2fa:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Drugi korak prijave (TOTP koda ali recovery koda)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken: { type: string, example: "eyJhbGciOi..." }
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     tokens:
+ *                       $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         description: Preveč poskusov (glej Retry-After header)
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "challengeToken and code are required" },
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, challengeSecret());
+    } catch (e) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid or expired challenge token" },
+      });
+    }
+
+    if (!decoded.jti) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid or expired challenge token" },
+      });
+    }
+
+    // po challengeAttempts napačnih kodah challenge ne velja več (blokada traja dlje od tokena)
+    if ((await authThrottle.attempt([`2fa-challenge:${decoded.jti}`])) > 0) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Too many invalid codes, log in again" },
+      });
+    }
+
+    const ipKey = `ip:${req.ip}`;
+    const userKey = `2fa:${decoded.sub}`;
+    const retryAfter = await authThrottle.attempt([ipKey, userKey]);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+    const [rows] = await pool.query(
+      `SELECT id, email, full_name, email_verified_at, totp_secret, totp_enabled_at, totp_last_step
+       FROM users
+       WHERE id = ? AND totp_enabled_at IS NOT NULL
+       LIMIT 1`,
+      [decoded.sub]
+    );
+    if (rows.length === 0) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid or expired challenge token" },
+      });
+    }
+
+    // neuspeli poskus je že štet (attempt)
+    const user = rows[0];
+    if (!(await verifySecondFactor(user, String(code)))) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid code" },
+      });
+    }
+
+    await authThrottle.release([ipKey]);
+    await authThrottle.reset([userKey]);
+    const tokens = await issueTokens(user, req);
+
+    return res.status(200).json({
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.full_name,
+          emailVerified: user.email_verified_at !== null,
+        },
+        tokens,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/2fa/setup
+/**
+ * @openapi
+ * /auth/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Začne vklop 2FA (vrne TOTP secret in otpauth URI za QR kodo)
+ *     description: 2FA je aktiven šele po POST /auth/2fa/confirm.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret: { type: string, example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP" }
+ *                     otpauthUri: { type: string, example: "otpauth://totp/Moji%20Recepti%3Atest-user%40test.com?secret=..." }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/2fa/setup", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const [rows] = await pool.query(
+      "SELECT id, email, totp_enabled_at FROM users WHERE id = ? LIMIT 1",
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "User not found" } });
+    }
+    if (rows[0].totp_enabled_at) {
+      return res.status(409).json({
+        error: { code: "CONFLICT", message: "Two-factor authentication is already enabled" },
+      });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query(
+      "UPDATE users SET totp_secret = ?, totp_last_step = NULL, updated_at = NOW() WHERE id = ?",
+      [secret, userId]
+    );
+
+    return res.status(200).json({
+      data: { secret, otpauthUri: totpUri(secret, rows[0].email) },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/2fa/confirm
+/**
+ * @openapi
+ * /auth/2fa/confirm:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Potrdi vklop 2FA s kodo iz aplikacije in vrne recovery kode
+ *     description: Recovery kode so prikazane samo enkrat.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200:
+ *         description: Enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items: { type: string, example: "a1b2c-3d4e5" }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/2fa/confirm", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const code = String(req.body?.code || "").trim();
+
+    const [rows] = await pool.query(
+      "SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = ? LIMIT 1",
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "User not found" } });
+    }
+    if (rows[0].totp_enabled_at) {
+      return res.status(409).json({
+        error: { code: "CONFLICT", message: "Two-factor authentication is already enabled" },
+      });
+    }
+    if (!rows[0].totp_secret) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Call /auth/2fa/setup first" },
+      });
+    }
+
+    const step = verifyTotp(rows[0].totp_secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Invalid code" },
+      });
+    }
+
+    let recoveryCodes;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query(
+        "UPDATE users SET totp_enabled_at = NOW(), totp_last_step = ?, updated_at = NOW() WHERE id = ?",
+        [step, userId]
+      );
+      recoveryCodes = await regenerateRecoveryCodes(userId, conn);
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(200).json({ data: { recoveryCodes } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/2fa/recovery-codes
+/**
+ * @openapi
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Ustvari nove recovery kode (stare prenehajo veljati)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items: { type: string, example: "a1b2c-3d4e5" }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/2fa/recovery-codes", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const [rows] = await pool.query(
+      `SELECT id, totp_secret, totp_last_step
+       FROM users
+       WHERE id = ? AND totp_enabled_at IS NOT NULL
+       LIMIT 1`,
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Two-factor authentication is not enabled" },
+      });
+    }
+
+    if (!(await verifySecondFactor(rows[0], String(req.body?.code || "")))) {
+      return res.status(401).json({ error: { code: "UNAUTHORIZED", message: "Invalid code" } });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(userId);
+
+    return res.status(200).json({ data: { recoveryCodes } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/2fa/disable
+/**
+ * @openapi
+ * /auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Izklopi 2FA (zahteva geslo in kodo)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password, code]
+ *             properties:
+ *               password: { type: string, example: "SuperGeslo123!" }
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       204:
+ *         description: Disabled
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/2fa/disable", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { password, code } = req.body || {};
+
+    const user = await verifyUserPassword(userId, password);
+    if (!user) {
+      return res.status(401).json({ error: { code: "UNAUTHORIZED", message: "password is incorrect" } });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, totp_secret, totp_last_step
+       FROM users
+       WHERE id = ? AND totp_enabled_at IS NOT NULL
+       LIMIT 1`,
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Two-factor authentication is not enabled" },
+      });
+    }
+
+    if (!(await verifySecondFactor(rows[0], String(code || "")))) {
+      return res.status(401).json({ error: { code: "UNAUTHORIZED", message: "Invalid code" } });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [userId]
+    );
+    await pool.query("DELETE FROM totp_recovery_codes WHERE user_id = ?", [userId]);
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/refresh
+/**
+ * @openapi
+ * /auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Osveži access token in zamenja refresh token (rotacija)
+ *     description: |
+ *       Stari refresh token se prekliče in vrne se nov. Ponovna uporaba že
+ *       zamenjanega tokena prekliče celotno družino tokenov te prijave.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: eyJhbGciOi...
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokens:
+ *                       $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "refreshToken is required" },
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (e) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid refresh token" },
+      });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT rt.id, rt.user_id, rt.family_id, rt.revoked_at, u.email
+       FROM refresh_tokens rt
+       JOIN users u ON u.id = rt.user_id
+       WHERE rt.token_hash = ? AND rt.user_id = ?
+       LIMIT 1`,
+      [hashToken(refreshToken), decoded.sub]
+    );
+    if (rows.length === 0) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Invalid refresh token" },
+      });
+    }
+
+    const stored = rows[0];
+
+    // token je že bil zamenjan ali preklican -> možna kraja, prekliči celo družino
+    if (stored.revoked_at) {
+      await revokeTokenFamily(stored.family_id);
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "Refresh token reuse detected" },
+      });
+    }
+
+    let newRefreshToken;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [revoked] = await conn.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+        [stored.id]
+      );
+
+      // concurrent refresh with the same token won the race
+      if (revoked.affectedRows === 0) {
+        await conn.rollback();
+        await revokeTokenFamily(stored.family_id);
+        return res.status(401).json({
+          error: { code: "UNAUTHORIZED", message: "Refresh token reuse detected" },
+        });
+      }
+
+      const next = await issueRefreshToken(
+        stored.user_id,
+        { familyId: stored.family_id, ...sessionMeta(req) },
+        conn
+      );
+      await conn.query("UPDATE refresh_tokens SET replaced_by_id = ? WHERE id = ?", [next.id, stored.id]);
+
+      await conn.commit();
+      newRefreshToken = next.refreshToken;
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    const accessToken = signAccessToken({
+      sub: String(stored.user_id),
+      email: stored.email,
+      sid: stored.family_id,
+    });
+
+    return res.status(200).json({
+      data: { tokens: { accessToken, refreshToken: newRefreshToken } },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/password/forgot
+/**
+ * @openapi
+ * /auth/password/forgot:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Pošlje e-mail s povezavo za ponastavitev gesla
+ *     description: |
+ *       Vedno vrne 202, ne glede na to, ali e-mail obstaja (ne razkrivamo uporabnikov).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, example: "test-user@test.com" }
+ *     responses:
+ *       202:
+ *         description: Accepted
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/password/forgot", async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "email is required" },
+      });
+    }
+
+    const [rows] = await pool.query(
+      "SELECT id, email, full_name FROM users WHERE email = ? LIMIT 1",
+      [email.trim().toLowerCase()]
+    );
+
+    if (rows.length > 0) {
+      const user = rows[0];
+      const token = generateOneTimeToken();
+      const ttlMinutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+      // prejšnji neporabljeni tokeni niso več veljavni
+      await pool.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+        [user.id]
+      );
+      await pool.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [user.id, hashToken(token), ttlMinutes]
+      );
+
+      // napaka pri pošiljanju se samo zabeleži: 500 samo za obstoječe naslove bi razkril, kateri so registrirani
+      try {
+        await mailer.send({
+          to: user.email,
+          subject: "Ponastavitev gesla",
+          text:
+            `Pozdravljeni${user.full_name ? ` ${user.full_name}` : ""},\n\n` +
+            `za ponastavitev gesla odprite povezavo:\n` +
+            `${APP_URL}/reset-password?token=${token}\n\n` +
+            `Povezava velja ${ttlMinutes} minut. Če ponastavitve niste zahtevali, sporočilo prezrite.\n`,
+        });
+      } catch (mailErr) {
+        console.error(mailErr);
+      }
+    }
+
+    return res.status(202).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/password/reset
+/**
+ * @openapi
+ * /auth/password/reset:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Nastavi novo geslo z enkratnim tokenom iz e-maila
+ *     description: |
+ *       Token je mogoče uporabiti samo enkrat. Po uspešni ponastavitvi se prekličejo vse seje in personal access tokeni.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string, example: "9f2c..." }
+ *               password: { type: string, example: "NovoGeslo123!" }
+ *     responses:
+ *       204:
+ *         description: Password changed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "token is required" },
+      });
+    }
+    if (!password || typeof password !== "string" || password.length < 8) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Password must be at least 8 characters" },
+      });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, user_id
+       FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [hashToken(token)]
+    );
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: { code: "INVALID_TOKEN", message: "Reset token is invalid or expired" },
+      });
+    }
+
+    const { id: tokenId, user_id: userId } = rows[0];
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [used] = await conn.query(
+        "UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+        [tokenId]
+      );
+      if (used.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(400).json({
+          error: { code: "INVALID_TOKEN", message: "Reset token is invalid or expired" },
+        });
+      }
+
+      await conn.query(
+        "UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?",
+        [passwordHash, userId]
+      );
+      await conn.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [userId]
+      );
+      await conn.query(
+        "UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [userId]
+      );
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/verify-email
+/**
+ * @openapi
+ * /auth/verify-email:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Potrdi e-poštni naslov z enkratnim tokenom iz e-maila
+ *     description: |
+ *       Velja tudi za spremembo e-maila (PATCH /auth/me): nov naslov se nastavi šele ob potrditvi.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string, example: "4be1..." }
+ *     responses:
+ *       200:
+ *         description: Verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     verified: { type: boolean, example: true }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "token is required" },
+      });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, user_id, email
+       FROM email_verification_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       LIMIT 1`,
+      [hashToken(token)]
+    );
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: { code: "INVALID_TOKEN", message: "Verification token is invalid or expired" },
+      });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [used] = await conn.query(
+        "UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+        [rows[0].id]
+      );
+      if (used.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(400).json({
+          error: { code: "INVALID_TOKEN", message: "Verification token is invalid or expired" },
+        });
+      }
+
+      try {
+        await conn.query(
+          "UPDATE users SET email = ?, email_verified_at = NOW(), updated_at = NOW() WHERE id = ?",
+          [rows[0].email, rows[0].user_id]
+        );
+      } catch (e) {
+        // pri spremembi e-maila je token vezan na nov naslov, ki je morda medtem že zaseden;
+        // rollback vrne token, da ni porabljen
+        if (e.code === "ER_DUP_ENTRY") {
+          await conn.rollback();
+          return res.status(409).json({
+            error: { code: "CONFLICT", message: "Email already registered" },
+          });
+        }
+        throw e;
+      }
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(200).json({ data: { verified: true } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/verify-email/resend
+/**
+ * @openapi
+ * /auth/verify-email/resend:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Ponovno pošlje potrditveni e-mail
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Accepted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Email is already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/verify-email/resend", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const [rows] = await pool.query(
+      "SELECT id, email, full_name, email_verified_at FROM users WHERE id = ? LIMIT 1",
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "User not found" } });
+    }
+    if (rows[0].email_verified_at) {
+      return res.status(409).json({
+        error: { code: "CONFLICT", message: "Email is already verified" },
+      });
+    }
+
+    await sendVerificationEmail(rows[0]);
+
+    return res.status(202).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /auth/me
+/**
+ * @openapi
+ * /auth/me:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Podatki prijavljenega uporabnika
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.get("/auth/me", authRequired, async (req, res) => {
+  const userId = req.user.sub;
+
+  const [rows] = await pool.query(
+    "SELECT id, email, full_name, role, email_verified_at, totp_enabled_at FROM users WHERE id = ? LIMIT 1",
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return res.status(404).json({ error: { code: "NOT_FOUND", message: "User not found" } });
+  }
+
+  return res.status(200).json({
+    data: {
+      id: rows[0].id,
+      email: rows[0].email,
+      fullName: rows[0].full_name,
+      emailVerified: rows[0].email_verified_at !== null,
+      role: rows[0].role,
+      twoFactorEnabled: rows[0].totp_enabled_at !== null,
+    },
+  });
+});
+
+
+// PATCH /auth/me
+/**
+ * @openapi
+ * /auth/me:
+ *   patch:
+ *     tags: [Auth]
+ *     summary: Posodobi profil (ime, e-mail)
+ *     description: |
+ *       Sprememba e-maila zahteva trenutno geslo. Na nov naslov se pošlje potrditveni e-mail,
+ *       e-mail v profilu se zamenja šele po POST /auth/verify-email.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName: { type: string, nullable: true, example: "Nova Uporabnica" }
+ *               email: { type: string, example: "nov-naslov@test.com" }
+ *               currentPassword: { type: string, example: "SuperGeslo123!" }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: boolean, example: true }
+ *                     emailChangePending: { type: boolean, example: true }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         description: Server error
+ */
+app.patch("/auth/me", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { fullName, email, currentPassword } = req.body || {};
+
+    if (fullName === undefined && email === undefined) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "No fields to update" },
+      });
+    }
+
+    if (fullName !== undefined) {
+      if (fullName !== null && (typeof fullName !== "string" || fullName.trim().length > 255)) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "fullName must be null or a string (max 255 chars)" },
+        });
+      }
+    }
+
+    // najprej preveri vsa polja in geslo, šele nato zapiši (sicer bi se ime spremenilo tudi ob napaki)
+    let user = null;
+    let newEmail = null;
+    if (email !== undefined) {
+      if (!isValidEmail(email)) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "Invalid email" },
+        });
+      }
+
+      user = await verifyUserPassword(userId, currentPassword);
+      if (!user) {
+        return res.status(401).json({
+          error: { code: "UNAUTHORIZED", message: "currentPassword is incorrect" },
+        });
+      }
+
+      newEmail = email.trim().toLowerCase();
+      if (newEmail !== user.email) {
+        const [existing] = await pool.query("SELECT id FROM users WHERE email = ? LIMIT 1", [newEmail]);
+        if (existing.length > 0) {
+          return res.status(409).json({
+            error: { code: "CONFLICT", message: "Email already registered" },
+          });
+        }
+      }
+    }
+
+    if (fullName !== undefined) {
+      await pool.query(
+        "UPDATE users SET full_name = ?, updated_at = NOW() WHERE id = ?",
+        [fullName ? fullName.trim() : null, userId]
+      );
+    }
+
+    let emailChangePending = false;
+    if (user && newEmail !== user.email) {
+      if (fullName !== undefined) user.full_name = fullName ? fullName.trim() : null;
+      await sendVerificationEmail(user, newEmail);
+      emailChangePending = true;
+    }
+
+    return res.status(200).json({ data: { updated: true, emailChangePending } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/me/password
+/**
+ * @openapi
+ * /auth/me/password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Sprememba gesla (odjavi vse ostale seje in prekliče personal access tokene)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword: { type: string, example: "SuperGeslo123!" }
+ *               newPassword: { type: string, example: "NovoGeslo123!" }
+ *     responses:
+ *       204:
+ *         description: Password changed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/me/password", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!newPassword || typeof newPassword !== "string" || newPassword.length < 8) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Password must be at least 8 characters" },
+      });
+    }
+
+    const user = await verifyUserPassword(userId, currentPassword);
+    if (!user) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "currentPassword is incorrect" },
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    await pool.query(
+      "UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ?",
+      [passwordHash, userId]
+    );
+
+    // trenutna seja ostane prijavljena, vse ostale se odjavijo
+    await pool.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE user_id = ? AND revoked_at IS NULL AND family_id <> ?`,
+      [userId, req.user.sid || ""]
+    );
+    // PAT-i niso vezani na sejo in bi sicer preživeli menjavo (morebiti ukradenega) gesla
+    await pool.query(
+      "UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [userId]
+    );
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// DELETE /auth/me
+/**
+ * @openapi
+ * /auth/me:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Izbriše uporabniški račun
+ *     description: |
+ *       Zahteva geslo. Preko tujih ključev (ON DELETE CASCADE) se izbrišejo tudi recepti,
+ *       inventar, nakupovalni listki in seje.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string, example: "SuperGeslo123!" }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.delete("/auth/me", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { password } = req.body || {};
+
+    const user = await verifyUserPassword(userId, password);
+    if (!user) {
+      return res.status(401).json({
+        error: { code: "UNAUTHORIZED", message: "password is incorrect" },
+      });
+    }
+
+    const [photos] = await pool.query(
+      `SELECT p.storage_key FROM recipe_photos p JOIN recipes r ON r.id = p.recipe_id WHERE r.user_id = ?`,
+      [userId]
+    );
+    await pool.query("DELETE FROM users WHERE id = ?", [userId]);
+    await removePhotoFiles(photos.map((p) => p.storage_key));
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// GET /auth/tokens
+/**
+ * @openapi
+ * /auth/tokens:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Seznam aktivnih personal access tokenov
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/PersonalAccessToken' }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.get("/auth/tokens", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const [rows] = await pool.query(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+       FROM personal_access_tokens
+       WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    const items = rows.map((r) => ({
+      id: r.id,
+      name: r.name,
+      tokenPrefix: r.token_prefix,
+      scopes: r.scopes.split(","),
+      expiresAt: r.expires_at,
+      lastUsedAt: r.last_used_at,
+      createdAt: r.created_at,
+    }));
+
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/tokens
+/**
+ * @openapi
+ * /auth/tokens:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Ustvari personal access token (vrne ga samo enkrat)
+ *     description: |
+ *       Scope-i: recipes, ingredients, inventory, shopping; vsak z :read (GET) ali :write.
+ *       Token se pošilja kot `Authorization: Bearer mrp_...`; do /auth in /admin nima dostopa.
+ *       Sprememba ali ponastavitev gesla prekliče vse tokene.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name: { type: string, example: "Pantry import skripta" }
+ *               scopes:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ["inventory:read", "inventory:write"]
+ *               expiresInDays: { type: integer, minimum: 1, maximum: 365, nullable: true, example: 90, description: "null = brez poteka" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 3 }
+ *                     token: { type: string, example: "mrp_Xb3k9..." }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/tokens", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const { name, scopes, expiresInDays = 90 } = req.body || {};
+
+    if (!name || typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "name is required (max 100 chars)" },
+      });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((sc) => !PAT_SCOPES.includes(sc))) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: `scopes must be a non-empty subset of: ${PAT_SCOPES.join(", ")}` },
+      });
+    }
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "expiresInDays must be null or an integer 1-365" },
+      });
+    }
+
+    const token = PAT_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    const [result] = await pool.query(
+      `INSERT INTO personal_access_tokens
+       (user_id, name, token_hash, token_prefix, scopes, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)), NOW())`,
+      [
+        userId,
+        name.trim(),
+        hashToken(token),
+        token.slice(0, 9),
+        [...new Set(scopes)].join(","),
+        expiresInDays,
+        expiresInDays,
+      ]
+    );
+
+    return res.status(201).json({ data: { id: result.insertId, token } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// DELETE /auth/tokens/:id
+/**
+ * @openapi
+ * /auth/tokens/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Prekliče personal access token
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Revoked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         description: Server error
+ */
+app.delete("/auth/tokens/:id", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+
+    const [result] = await pool.query(
+      `UPDATE personal_access_tokens SET revoked_at = NOW()
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [id, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Token not found" } });
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// POST /auth/logout
+/**
+ * @openapi
+ * /auth/logout:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Odjava (prekliče trenutno sejo)
+ *     description: |
+ *       Če je poslan refreshToken, se prekliče njegova seja, sicer seja iz access tokena.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken: { type: string, example: "eyJhbGciOi..." }
+ *     responses:
+ *       204:
+ *         description: Logged out
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/logout", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const { refreshToken } = req.body || {};
+
+    let familyId = req.user.sid;
+
+    if (refreshToken) {
+      const [rows] = await pool.query(
+        "SELECT family_id FROM refresh_tokens WHERE token_hash = ? AND user_id = ? LIMIT 1",
+        [hashToken(String(refreshToken)), userId]
+      );
+      if (rows.length === 0) {
+        return res.status(401).json({
+          error: { code: "UNAUTHORIZED", message: "Invalid refresh token" },
+        });
+      }
+      familyId = rows[0].family_id;
+    }
+
+    if (!familyId) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "refreshToken is required" },
+      });
+    }
+
+    await revokeTokenFamily(familyId);
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /auth/logout-all
+/**
+ * @openapi
+ * /auth/logout-all:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Odjava iz vseh naprav (prekliče vse refresh tokene)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedCount: { type: integer, example: 3 }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.post("/auth/logout-all", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const [result] = await pool.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+      [userId]
+    );
+
+    return res.status(200).json({ data: { revokedCount: result.affectedRows } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /auth/sessions
+/**
+ * @openapi
+ * /auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Aktivne seje prijavljenega uporabnika
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Session' }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.get("/auth/sessions", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    // aktivni token v družini = seja; created_at prvega tokena = začetek seje
+    const [rows] = await pool.query(
+      `SELECT
+         rt.family_id,
+         rt.user_agent,
+         rt.ip_address,
+         rt.created_at AS last_used_at,
+         rt.expires_at,
+         (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = rt.family_id) AS created_at
+       FROM refresh_tokens rt
+       WHERE rt.user_id = ?
+         AND rt.revoked_at IS NULL
+         AND rt.expires_at > NOW()
+       ORDER BY rt.created_at DESC`,
+      [userId]
+    );
+
+    const items = rows.map((r) => ({
+      id: r.family_id,
+      userAgent: r.user_agent,
+      ipAddress: r.ip_address,
+      createdAt: r.created_at,
+      lastUsedAt: r.last_used_at,
+      expiresAt: r.expires_at,
+      current: r.family_id === req.user.sid,
+    }));
+
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// DELETE /auth/sessions/:id
+/**
+ * @openapi
+ * /auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Prekliče eno sejo
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204:
+ *         description: Revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         description: Server error
+ */
+app.delete("/auth/sessions/:id", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const [result] = await pool.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE family_id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [req.params.id, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Session not found" } });
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// ----------------------------------------------
+// RECIPE MANAGEMENT
+// ----------------------------------------------
+
+// GET /recipes
+/**
+ * @openapi
+ * /recipes:
+ *   get:
+ *     tags: [Recipes]
+ *     summary: Seznam receptov (pagination, search, filtri in razvrščanje)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: |
+ *           Full-text iskanje po naslovu, opisu, navodilih, korakih in imenih sestavin (besede kot predpone).
+ *           Rezultati so razvrščeni po relevanci (naslov šteje največ) in vsebujejo `relevance` ter `highlights`
+ *           (HTML-escaped izseki z `<mark>`).
+ *       - in: query
+ *         name: withIngredients
+ *         schema: { type: string }
+ *         description: Recept mora vsebovati vse naštete sestavine (imena ali id-ji, ločeni z vejico), npr. `moka,jajca`
+ *       - in: query
+ *         name: withoutIngredients
+ *         schema: { type: string }
+ *         description: Recept ne sme vsebovati nobene od naštetih sestavin
+ *       - in: query
+ *         name: tags
+ *         schema: { type: string }
+ *         description: Oznake, ki jih mora recept imeti (vse), ločene z vejico; "slug" ali "type:slug", npr. `vegan,cuisine:italijanska`
+ *       - in: query
+ *         name: excludeTags
+ *         schema: { type: string }
+ *         description: Oznake, ki jih recept ne sme imeti (ista oblika kot tags)
+ *       - in: query
+ *         name: excludeAllergens
+ *         schema: { type: string }
+ *         description: |
+ *           Brez naštetih alergenov (EU-14 kode, ločene z vejico), npr. `gluten,milk`. Zaradi varnosti vrne le recepte,
+ *           pri katerih so alergeni preverjeni pri vseh sestavinah.
+ *       - in: query
+ *         name: diet
+ *         schema: { type: string }
+ *         description: Vse sestavine morajo izpolnjevati vse naštete diete (vegan, vegetarian, gluten_free, lactose_free); neznano = ne
+ *       - in: query
+ *         name: collectionId
+ *         schema: { type: integer, format: int64 }
+ *         description: Samo recepti iz moje zbirke (tudi tuji javni), v vrstnem redu zbirke
+ *       - in: query
+ *         name: favorites
+ *         schema: { type: boolean }
+ *         description: Samo priljubljeni recepti (tudi tuji javni)
+ *       - in: query
+ *         name: minTotalTime
+ *         schema: { type: integer, minimum: 0 }
+ *         description: Skupni čas (priprava + kuhanje) v minutah; recepti brez časov ne ustrezajo nobenemu min/max filtru
+ *       - in: query
+ *         name: maxTotalTime
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: minPrepTime
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: maxPrepTime
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: minCookTime
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: maxCookTime
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: minServings
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: maxServings
+ *         schema: { type: integer, minimum: 0 }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [updated, created, title, totalTime, prepTime, servings, lastCooked, relevance, position] }
+ *         description: |
+ *           Privzeto relevance pri search, position pri collectionId (vrstni red zbirke), sicer updated.
+ *           lastCooked = moje zadnje kuhanje (POST /recipes/{id}/cooked). Recepti brez vrednosti so vedno na koncu.
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc] }
+ *         description: Privzeto asc za title, totalTime, prepTime, servings in position, sicer desc
+ *       - in: query
+ *         name: details
+ *         schema: { type: boolean, default: false }
+ *         description: Doda prep/cook/skupni čas, število sestavin ter moje zadnje kuhanje (za kartice brez GET /recipes/{id})
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeListItem' }
+ *                     page: { type: integer, example: 1 }
+ *                     pageSize: { type: integer, example: 20 }
+ *                     total: { type: integer, example: 3 }
+ *       400:
+ *         description: Invalid collectionId, allergen, diet, range filter, sort or order
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Collection not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes", authRequired, async (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+
+    const search = (req.query.search || "").toString().trim();
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || "20", 10)));
+    const offset = (page - 1) * pageSize;
+
+    const dietary = dietaryFilterSql("r", req.query);
+    if (dietary.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: dietary.error } });
+    }
+    const range = recipeRangeFilterSql(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: range.error } });
+    }
+
+    const favorites = ["1", "true"].includes(String(req.query.favorites || "").toLowerCase());
+    const details = ["1", "true"].includes(String(req.query.details || "").toLowerCase());
+    let collectionId = null;
+    if (req.query.collectionId !== undefined) {
+      collectionId = parseId(req.query.collectionId);
+      if (!collectionId) {
+        return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid collectionId" } });
+      }
+      if (!(await assertCollectionOwnership(collectionId, userId))) {
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
+      }
+    }
+
+    // zbirke in priljubljeni lahko vsebujejo tudi tuje javne recepte
+    let join = "";
+    const joinParams = [];
+    let where = collectionId || favorites ? "WHERE (r.user_id = ? OR r.is_public = 1)" : "WHERE r.user_id = ?";
+    const params = [userId];
+
+    if (collectionId) {
+      join = "JOIN collection_recipes cr ON cr.recipe_id = r.id AND cr.collection_id = ?";
+      joinParams.push(collectionId);
+    }
+    // moje zadnje kuhanje (sort=lastCooked, details)
+    join += " LEFT JOIN recipe_cooks rc ON rc.recipe_id = r.id AND rc.user_id = ?";
+    joinParams.push(userId);
+    if (favorites) {
+      where += " AND EXISTS (SELECT 1 FROM recipe_favorites fav WHERE fav.recipe_id = r.id AND fav.user_id = ?)";
+      params.push(userId);
+    }
+
+    const fts = recipeSearchSql("r", search);
+    if (fts) {
+      where += ` AND ${fts.where}`;
+      params.push(...fts.whereParams);
+    }
+
+    const sort = (req.query.sort || (fts ? "relevance" : collectionId ? "position" : "updated")).toString();
+    if (!Object.hasOwn(RECIPE_SORTS, sort) || (sort === "relevance" && !fts) || (sort === "position" && !collectionId)) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: `sort must be one of: ${Object.keys(RECIPE_SORTS).join(", ")} (relevance with search, position with collectionId)`,
+        },
+      });
+    }
+    const order = (req.query.order || RECIPE_SORTS[sort].order).toString().toLowerCase();
+    if (!["asc", "desc"].includes(order)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "order must be asc or desc" } });
+    }
+    const sortSql = RECIPE_SORTS[sort].sql;
+
+    for (const filter of [tagFilterSql("r", req.query), ingredientFilterSql("r", req.query), dietary, range]) {
+      where += filter.sql;
+      params.push(...filter.params);
+    }
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM recipes r ${join} ${where}`, [
+      ...joinParams,
+      ...params,
+    ]);
+    const [rows] = await pool.query(
+      `SELECT r.id, r.user_id, r.title, r.description, r.servings, r.created_at, r.updated_at
+              ${fts ? `, ${fts.relevance} AS relevance` : ""}
+              ${
+                details
+                  ? `, r.prep_time_minutes, r.cook_time_minutes, ${TOTAL_TIME_SQL} AS total_time,
+                     (SELECT COUNT(*) FROM recipe_ingredients ri WHERE ri.recipe_id = r.id) AS ingredient_count,
+                     rc.last_cooked_at, rc.cook_count`
+                  : ""
+              }
+       FROM recipes r
+       ${join}
+       ${where}
+       ORDER BY ${sortSql} IS NULL, ${sortSql} ${order.toUpperCase()}, r.updated_at DESC, r.id DESC
+       LIMIT ? OFFSET ?`,
+      [...(fts ? fts.relevanceParams : []), ...joinParams, ...params, pageSize, offset]
+    );
+
+    const ids = rows.map((r) => r.id);
+    const tagsByRecipe = await loadTagsByRecipe(ids);
+    const photos = await loadCoverPhotos(ids);
+    const favoriteIds = await loadFavoriteIds(userId, ids);
+    const dietaryByRecipe = await loadRecipeDietary(ids);
+    const highlights = fts ? await loadSearchHighlights(ids, fts.terms) : null;
+    const items = rows.map(
+      ({
+        user_id: ownerId,
+        total_time: totalTime,
+        ingredient_count: ingredientCount,
+        last_cooked_at: lastCookedAt,
+        cook_count: cookCount,
+        ...r
+      }) => ({
+        ...r,
+        ...(details && { totalTimeMinutes: totalTime, ingredientCount, lastCookedAt, cookCount: cookCount || 0 }),
+        photo: photos.get(r.id),
+        tags: tagsByRecipe.get(r.id),
+        isMine: ownerId === userId,
+        isFavorite: favoriteIds.has(r.id),
+        dietary: dietaryByRecipe.get(r.id),
+        ...(highlights && { highlights: highlights.get(r.id) }),
+      })
+    );
+
+    return res.status(200).json({
+      data: { items, page, pageSize, total: countRows[0].total },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /recipes
+/**
+ * @openapi
+ * /recipes:
+ *   post:
+ *     tags: [Recipes]
+ *     summary: Ustvari recept
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title: { type: string, example: "Palačinke" }
+ *               description: { type: string, nullable: true, example: "Hitre" }
+ *               instructions: { type: string, nullable: true, example: "Zmešaj..." }
+ *               prepTimeMinutes: { type: integer, nullable: true, example: 10 }
+ *               cookTimeMinutes: { type: integer, nullable: true, example: 10 }
+ *               servings: { type: integer, nullable: true, example: 4 }
+ *               isPublic: { type: integer, example: 0, description: "0/1" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 1 }
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       403:
+ *         description: Email ni potrjen (objava receptov)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const {
+      title,
+      description = null,
+      instructions = null,
+      prepTimeMinutes = null,
+      cookTimeMinutes = null,
+      servings = null,
+      isPublic = 0,
+    } = req.body || {};
+
+    if (!title || typeof title !== "string" || title.trim().length < 2) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "title is required (min 2 chars)" },
+      });
+    }
+
+    if (isPublic && !(await assertVerifiedFor("public_recipes", userId))) {
+      return emailNotVerified(res);
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO recipes
+       (user_id, title, description, instructions, prep_time_minutes, cook_time_minutes, servings, is_public, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [userId, title.trim(), description, instructions, prepTimeMinutes, cookTimeMinutes, servings, isPublic ? 1 : 0]
+    );
+    await recordRecipeRevision(result.insertId, userId, "create");
+
+    return res.status(201).json({ data: { id: result.insertId } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /recipes/export
+/**
+ * @openapi
+ * /recipes/export:
+ *   get:
+ *     tags: [Recipes]
+ *     summary: Izvoz vseh mojih receptov (ZIP, ena datoteka na recept)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [jsonld, markdown, html, pdf], default: jsonld }
+ *       - in: query
+ *         name: ids
+ *         schema: { type: string, example: "1,5,9" }
+ *         description: Samo izbrani recepti (privzeto vsi moji)
+ *     responses:
+ *       200:
+ *         description: ZIP arhiv
+ *         content:
+ *           application/zip:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         description: Neveljaven format / ids
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/export", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+
+    const format = req.query.format || "jsonld";
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` },
+      });
+    }
+
+    let sql = "SELECT id FROM recipes WHERE user_id = ?";
+    const params = [userId];
+    if (req.query.ids !== undefined) {
+      const ids = String(req.query.ids).split(",").map((v) => parseId(v.trim()));
+      if (ids.length === 0 || ids.includes(null)) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "ids must be a comma separated list of recipe ids" },
+        });
+      }
+      sql += " AND id IN (?)";
+      params.push(ids);
+    }
+    const [rows] = await pool.query(`${sql} ORDER BY id ASC`, params);
+
+    const baseUrl = `${req.protocol}://${req.get("host")}`;
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("warning", (err) => console.error(err));
+    // brez poslušalca bi "error" sesul cel proces; odgovor je že v teku, zato le prekinemo povezavo
+    archive.on("error", (err) => {
+      console.error(err);
+      res.destroy(err);
+    });
+
+    res.attachment(`recepti-${format}.zip`);
+    archive.pipe(res);
+    for (const { id } of rows) {
+      const recipe = await loadExportRecipe(id, userId);
+      archive.append(await renderRecipeExport(recipe, format, baseUrl), {
+        name: exportFileName(recipe, format),
+        date: recipe.updated_at,
+      });
+    }
+    await archive.finalize();
+  } catch (err) {
+    console.error(err);
+    // ZIP se že pretaka - status ni več mogoč, prekinemo povezavo
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /recipes/:id/export
+/**
+ * @openapi
+ * /recipes/{id}/export:
+ *   get:
+ *     tags: [Recipes]
+ *     summary: Izvoz recepta (JSON-LD, Markdown, HTML za tisk ali PDF)
+ *     description: Izvozi lahko svoj ali javni recept. JSON-LD je schema.org Recipe (sprejme ga POST /recipes/import).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [jsonld, markdown, html, pdf], default: jsonld }
+ *       - in: query
+ *         name: download
+ *         schema: { type: boolean, default: false }
+ *         description: Content-Disposition attachment namesto inline
+ *       - in: query
+ *         name: servings
+ *         schema: { type: integer, minimum: 1, maximum: 1000 }
+ *         description: Preračun količin na izbrano število porcij
+ *       - in: query
+ *         name: promoteUnits
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Izvožen recept
+ *         content:
+ *           application/ld+json:
+ *             schema: { type: object }
+ *           text/markdown:
+ *             schema: { type: string }
+ *           text/html:
+ *             schema: { type: string }
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *       400:
+ *         description: Neveljaven format / servings
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/export", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const format = req.query.format || "jsonld";
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` },
+      });
+    }
+
+    const scale = parseScaleQuery(req.query);
+    if (scale && scale.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: scale.error } });
+    }
+
+    const recipe = await loadExportRecipe(recipeId, req.user.sub);
+    if (!recipe) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const scaled = await applyServingsScale(recipe, recipe.ingredients, scale);
+    if (scaled.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: scaled.error } });
+    }
+    recipe.ingredients = scaled.ingredients;
+    if (scaled.scale) recipe.servings = scaled.scale.toServings;
+
+    const body = await renderRecipeExport(recipe, format, `${req.protocol}://${req.get("host")}`);
+    const disposition = ["1", "true"].includes(String(req.query.download || "").toLowerCase()) ? "attachment" : "inline";
+
+    res.set("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.set("Content-Disposition", `${disposition}; filename="${exportFileName(recipe, format)}"`);
+    return res.status(200).send(body);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /recipes/:id/nutrition
+/**
+ * @openapi
+ * /recipes/{id}/nutrition:
+ *   get:
+ *     tags: [Recipes]
+ *     summary: Hranilne vrednosti recepta (skupaj in na porcijo)
+ *     description: |
+ *       Količine sestavin se pretvorijo v grame (katalog enot, gostota, teža kosa) in pomnožijo z vrednostmi
+ *       na 100 g iz kataloga sestavin. Sestavine brez količine ali z enoto, ki je ni mogoče pretvoriti, so v
+ *       `unconverted`, sestavine brez hranilnih podatkov v `missingNutrition`; v vsoti niso upoštevane
+ *       (`complete` = false). Sestavine z delnimi podatki so v vsoti za znane vrednosti in tudi v `missingNutrition`
+ *       (`missing` = manjkajoče vrednosti, `complete` = false). Deluje za svoje in javne recepte.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     servings: { type: integer, nullable: true, example: 4 }
+ *                     weightGrams: { type: number, example: 820 }
+ *                     totals: { $ref: '#/components/schemas/Nutrients' }
+ *                     perServing:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Nutrients'
+ *                     complete: { type: boolean, example: false }
+ *                     ingredients:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           recipeIngredientId: { type: integer, format: int64 }
+ *                           ingredientId: { type: integer, format: int64 }
+ *                           ingredientName: { type: string, example: "Moka" }
+ *                           quantity: { type: number, example: 2 }
+ *                           unit: { type: string, nullable: true, example: "skodelica" }
+ *                           grams: { type: number, example: 254.4 }
+ *                           via:
+ *                             type: array
+ *                             items: { type: string, enum: [density, piece_weight] }
+ *                           nutrients: { $ref: '#/components/schemas/Nutrients' }
+ *                     unconverted:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           recipeIngredientId: { type: integer, format: int64 }
+ *                           ingredientId: { type: integer, format: int64 }
+ *                           ingredientName: { type: string, example: "Sol" }
+ *                           quantity: { type: number, nullable: true }
+ *                           unit: { type: string, nullable: true, example: "ščepec" }
+ *                           reason: { type: string, example: "Converting volume to mass requires density for this ingredient" }
+ *                     missingNutrition:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           recipeIngredientId: { type: integer, format: int64 }
+ *                           ingredientId: { type: integer, format: int64 }
+ *                           ingredientName: { type: string }
+ *                           quantity: { type: number, nullable: true }
+ *                           unit: { type: string, nullable: true }
+ *                           missing:
+ *                             type: array
+ *                             items: { type: string, enum: [kcal, protein, fat, carbs, fibre, salt] }
+ *                             example: [fibre, salt]
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/nutrition", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const [recipes] = await pool.query(
+      "SELECT id, servings FROM recipes WHERE id = ? AND (user_id = ? OR is_public = 1) LIMIT 1",
+      [recipeId, req.user.sub]
+    );
+    if (recipes.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ri.id, ri.ingredient_id, i.name, ri.quantity, ri.unit,
+              i.density_g_per_ml, i.piece_weight_g, ${NUTRIENT_COLUMNS_SQL}
+       FROM recipe_ingredients ri
+       JOIN ingredients i ON i.id = ri.ingredient_id
+       WHERE ri.recipe_id = ?
+       ORDER BY ri.id ASC`,
+      [recipeId]
+    );
+
+    const result = computeRecipeNutrition(rows, await loadUnitsCatalog());
+    const { servings } = recipes[0];
+    const perServing = servings
+      ? Object.fromEntries(Object.entries(result.totals).map(([key, v]) => [key, v / servings]))
+      : null;
+
+    return res.status(200).json({
+      data: {
+        servings,
+        weightGrams: Number(result.weightGrams.toFixed(1)),
+        totals: roundNutrients(result.totals),
+        perServing: perServing && roundNutrients(perServing),
+        complete: result.unconverted.length === 0 && result.missingNutrition.length === 0,
+        ingredients: result.ingredients,
+        unconverted: result.unconverted,
+        missingNutrition: result.missingNutrition,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /recipes/:id
+/**
+ * @openapi
+ * /recipes/{id}:
+ *   get:
+ *     tags: [Recipes]
+ *     summary: Vrne recept + njegove sestavine (recipe_ingredients)
+ *     description: |
+ *       Recept vsebuje tudi fork_count ter, če je kopija, forked_from_recipe_id, forked_from_user_id,
+ *       forked_from_title (null, če original ni več javen) in forked_from_author_name.
+ *       `rating` je povprečna ocena in število mnenj drugih uporabnikov (glej /public/recipes/{id}/reviews).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: servings
+ *         schema: { type: integer, minimum: 1, maximum: 1000 }
+ *         description: |
+ *           Preračuna količine sestavin na podano število porcij (zaokroženo glede na enoto, npr. kosi na 0,5).
+ *           Sestavine dobijo še originalQuantity/originalUnit, odgovor pa objekt `scale`.
+ *       - in: query
+ *         name: promoteUnits
+ *         schema: { type: boolean, default: false }
+ *         description: Pretvori v berljivejšo enoto iste vrste (1500 g -> 1,5 kg, 12 dl -> 1,2 l, 3 žličke -> 1 žlica)
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recipe: { $ref: '#/components/schemas/Recipe' }
+ *                     ingredients:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           recipeIngredientId: { type: integer, format: int64 }
+ *                           ingredientId: { type: integer, format: int64 }
+ *                           ingredientName: { type: string }
+ *                           ingredientCategory: { type: string, nullable: true }
+ *                           quantity: { type: number }
+ *                           unit: { type: string, nullable: true }
+ *                           note: { type: string, nullable: true }
+ *                           created_at: { type: string, format: date-time }
+ *                           updated_at: { type: string, format: date-time }
+ *                     photo: { $ref: '#/components/schemas/PhotoUrls' }
+ *                     steps:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeStep' }
+ *       400:
+ *         description: Invalid id / servings (ali recept nima nastavljenih porcij)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Not found (ni tvoj recept ali ne obstaja)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    if (!Number.isInteger(recipeId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = req.user.sub;
+
+    const scale = parseScaleQuery(req.query);
+    if (scale && scale.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: scale.error } });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT r.id, r.user_id, r.title, r.description, r.instructions,
+              r.prep_time_minutes, r.cook_time_minutes, r.servings, r.is_public,
+              r.forked_from_recipe_id, r.forked_from_user_id,
+              IF(src.is_public = 1 OR src.user_id = r.user_id, src.title, NULL) AS forked_from_title,
+              fu.full_name AS forked_from_author_name,
+              (SELECT COUNT(*) FROM recipes f WHERE f.forked_from_recipe_id = r.id) AS fork_count,
+              ${RATING_SELECT_SQL},
+              r.created_at, r.updated_at
+       FROM recipes r
+       LEFT JOIN recipes src ON src.id = r.forked_from_recipe_id
+       LEFT JOIN users fu ON fu.id = r.forked_from_user_id
+       WHERE r.id = ? AND r.user_id = ?
+       LIMIT 1`,
+      [recipeId, userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { rating_avg: ratingAvg, rating_count: ratingCount, ...recipe } = rows[0];
+
+    const scaled = await applyServingsScale(recipe, await loadRecipeIngredients(recipeId), scale);
+    if (scaled.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: scaled.error } });
+    }
+    const steps = await loadRecipeSteps(recipeId);
+    const tags = (await loadTagsByRecipe([recipeId])).get(recipeId);
+    const photo = (await loadCoverPhotos([recipeId])).get(recipeId);
+
+    return res.status(200).json({
+      data: {
+        ...recipe,
+        photo,
+        tags,
+        rating: ratingSummary(ratingAvg, ratingCount),
+        isFavorite: (await loadFavoriteIds(userId, [recipeId])).has(recipeId),
+        dietary: (await loadRecipeDietary([recipeId])).get(recipeId),
+        ingredients: scaled.ingredients,
+        steps,
+        ...(scaled.scale && { scale: scaled.scale }),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// PATCH /recipes/:id
+/**
+ * @openapi
+ * /recipes/{id}:
+ *   patch:
+ *     tags: [Recipes]
+ *     summary: Posodobi recept (partial update)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: "Pošlji samo polja, ki jih spreminjaš."
+ *             properties:
+ *               title: { type: string, example: "Nove palačinke" }
+ *               description: { type: string, nullable: true }
+ *               instructions: { type: string, nullable: true }
+ *               prepTimeMinutes: { type: integer, nullable: true }
+ *               cookTimeMinutes: { type: integer, nullable: true }
+ *               servings: { type: integer, nullable: true }
+ *               isPublic: { type: integer, example: 1 }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: boolean, example: true }
+ *       400:
+ *         description: Validation error / no fields
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       403:
+ *         description: Email ni potrjen (objava receptov)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.patch("/recipes/:id", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    if (!Number.isInteger(recipeId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = req.user.sub;
+    const ok = await assertRecipeOwnership(recipeId, userId);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const {
+      title,
+      description,
+      instructions,
+      prepTimeMinutes,
+      cookTimeMinutes,
+      servings,
+      isPublic,
+    } = req.body || {};
+
+    const updates = [];
+    const params = [];
+
+    if (title !== undefined) {
+      if (typeof title !== "string" || title.trim().length < 2) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "title must be at least 2 chars" },
+        });
+      }
+      updates.push("title = ?");
+      params.push(title.trim());
+    }
+
+    if (description !== undefined) {
+      updates.push("description = ?");
+      params.push(description);
+    }
+
+    if (instructions !== undefined) {
+      updates.push("instructions = ?");
+      params.push(instructions);
+    }
+
+    if (prepTimeMinutes !== undefined) {
+      updates.push("prep_time_minutes = ?");
+      params.push(prepTimeMinutes);
+    }
+
+    if (cookTimeMinutes !== undefined) {
+      updates.push("cook_time_minutes = ?");
+      params.push(cookTimeMinutes);
+    }
+
+    if (servings !== undefined) {
+      updates.push("servings = ?");
+      params.push(servings);
+    }
+
+    if (isPublic !== undefined) {
+      if (isPublic && !(await assertVerifiedFor("public_recipes", userId))) {
+        return emailNotVerified(res);
+      }
+      updates.push("is_public = ?");
+      params.push(isPublic ? 1 : 0);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "No fields to update" },
+      });
+    }
+
+    updates.push("updated_at = NOW()");
+
+    params.push(recipeId, userId);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await lockRecipeForRevision(recipeId, conn);
+
+      const [result] = await conn.query(
+        `UPDATE recipes
+         SET ${updates.join(", ")}
+         WHERE id = ? AND user_id = ?`,
+        params
+      );
+
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+      }
+      await recordRecipeRevision(recipeId, userId, "update", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(200).json({ data: { updated: true } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// DELETE /recipes/:id
+/**
+ * @openapi
+ * /recipes/{id}:
+ *   delete:
+ *     tags: [Recipes]
+ *     summary: Izbriše recept
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.delete("/recipes/:id", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    if (!Number.isInteger(recipeId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = req.user.sub;
+
+    const [photos] = await pool.query(
+      `SELECT p.storage_key FROM recipe_photos p JOIN recipes r ON r.id = p.recipe_id
+       WHERE r.id = ? AND r.user_id = ?`,
+      [recipeId, userId]
+    );
+
+    const [result] = await pool.query(
+      "DELETE FROM recipes WHERE id = ? AND user_id = ?",
+      [recipeId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    await removePhotoFiles(photos.map((p) => p.storage_key));
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// POST /recipes/import
+/**
+ * @openapi
+ * /recipes/import:
+ *   post:
+ *     tags: [Recipes]
+ *     summary: Uvoz recepta iz schema.org Recipe JSON-LD (ali HTML strani z JSON-LD)
+ *     description: |
+ *       Brez `commit` vrne predogled: preslikana polja, korake, oznake in razčlenjene vrstice sestavin
+ *       z ujemanjem v katalogu (`unmatched` so vrstice brez ujemanja). Z `commit: true` ustvari zaseben recept;
+ *       neujemajoče se sestavine se dodajo kot predlogi (status pending), razen če jih `ingredientMatches` preslika
+ *       na obstoječo sestavino ali izpusti (null).
+ *       Več vrstic z isto sestavino se združi v eno postavko (seštete količine pri isti enoti, sicer vrstica v opombi).
+ *       Telo je omejeno na 2 MB. Namesto JSON lahko pošlješ surov HTML (`text/html`) ali JSON-LD
+ *       (`application/ld+json`); takrat se commit poda kot `?commit=true`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: commit
+ *         schema: { type: boolean }
+ *         description: Samo za text/html in application/ld+json telesa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               jsonld:
+ *                 description: JSON-LD objekt/tabela ali niz
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: array
+ *                     items: { type: object }
+ *                   - type: string
+ *               html: { type: string, description: "HTML dokument z <script type=application/ld+json>" }
+ *               commit: { type: boolean, default: false }
+ *               ingredientMatches:
+ *                 type: object
+ *                 description: Indeks vrstice -> ingredientId (ali null za izpust vrstice)
+ *                 additionalProperties: { type: integer, format: int64, nullable: true }
+ *                 example: { "2": 15, "5": null }
+ *         text/html:
+ *           schema: { type: string }
+ *         application/ld+json:
+ *           schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Predogled (commit = false)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recipe:
+ *                       type: object
+ *                       properties:
+ *                         title: { type: string }
+ *                         description: { type: string, nullable: true }
+ *                         instructions: { type: string, nullable: true }
+ *                         prepTimeMinutes: { type: integer, nullable: true }
+ *                         cookTimeMinutes: { type: integer, nullable: true }
+ *                         servings: { type: integer, nullable: true }
+ *                     steps:
+ *                       type: array
+ *                       items: { type: string }
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type: { type: string }
+ *                           name: { type: string }
+ *                           slug: { type: string }
+ *                     ingredients:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index: { type: integer, example: 0 }
+ *                           line: { type: string, example: "200 g moke, presejane" }
+ *                           quantity: { type: number, nullable: true, example: 200 }
+ *                           unit: { type: string, nullable: true, example: "g" }
+ *                           name: { type: string, nullable: true, example: "moke" }
+ *                           note: { type: string, nullable: true, example: "presejane" }
+ *                           match:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               ingredientId: { type: integer, format: int64, example: 5 }
+ *                               name: { type: string, example: "Moka" }
+ *                     unmatched:
+ *                       type: array
+ *                       items: { type: string }
+ *       201:
+ *         description: Uvoženo (commit = true)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 42 }
+ *                     ingredients: { type: integer, example: 8 }
+ *                     steps: { type: integer, example: 5 }
+ *                     createdIngredients:
+ *                       type: array
+ *                       description: Nove sestavine (pending)
+ *                       items: { type: string }
+ *                     skipped:
+ *                       type: array
+ *                       items: { type: string }
+ *                     merged:
+ *                       type: array
+ *                       description: Vrstice, združene s prejšnjo vrstico iste sestavine
+ *                       items: { type: string }
+ *       400:
+ *         description: Ni JSON-LD Recipe / manjka ime / napačen ingredientMatches
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post(
+  "/recipes/import",
+  authRequired,
+  express.json({ limit: "2mb" }),
+  express.text({ type: ["text/html", "application/ld+json"], limit: "2mb" }),
+  async (req, res) => {
+    try {
+      const userId = req.user.sub;
+
+      let source;
+      let commit;
+      let ingredientMatches = {};
+      if (typeof req.body === "string") {
+        source = req.body;
+        commit = ["1", "true"].includes(String(req.query.commit || "").toLowerCase());
+      } else {
+        const body = req.body || {};
+        source = body.jsonld ?? body.html;
+        commit = body.commit === true;
+        ingredientMatches = body.ingredientMatches || {};
+      }
+
+      if (!source || typeof ingredientMatches !== "object") {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "jsonld or html is required" },
+        });
+      }
+
+      const node = extractJsonLdRecipe(source);
+      if (!node) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "No schema.org Recipe found in JSON-LD" },
+        });
+      }
+
+      const mapped = mapJsonLdRecipe(node, await loadUnitsCatalog());
+      if (mapped.recipe.title.length < 2) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "Recipe has no name" },
+        });
+      }
+
+      const matches = await matchCatalogIngredients(mapped.ingredients.map((i) => i.name));
+      const ingredients = mapped.ingredients.map((ing, index) => ({ index, ...ing, match: matches[index] }));
+
+      if (!commit) {
+        return res.status(200).json({
+          data: {
+            recipe: mapped.recipe,
+            steps: mapped.steps,
+            tags: mapped.tags,
+            ingredients,
+            unmatched: ingredients.filter((i) => !i.match).map((i) => i.line),
+          },
+        });
+      }
+
+      // ingredientMatches: preveri, da so id-ji potrjene ali lastne sestavine
+      const overrideIds = [...new Set(Object.values(ingredientMatches).filter((v) => v !== null).map(Number))];
+      if (overrideIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "ingredientMatches values must be ingredient ids or null" },
+        });
+      }
+      if (overrideIds.length > 0) {
+        const [found] = await pool.query(
+          `SELECT id FROM ingredients
+           WHERE id IN (?) AND (status = 'approved' OR created_by_user_id = ?)`,
+          [overrideIds, userId]
+        );
+        if (found.length !== overrideIds.length) {
+          return res.status(400).json({
+            error: { code: "VALIDATION_ERROR", message: "ingredientMatches references unknown ingredients" },
+          });
+        }
+      }
+
+      const r = mapped.recipe;
+      const createdIngredients = [];
+      const skipped = [];
+      const merged = [];
+      let recipeId;
+      let ingredientCount = 0;
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+
+        const [created] = await conn.query(
+          `INSERT INTO recipes
+           (user_id, title, description, instructions, prep_time_minutes, cook_time_minutes, servings, is_public, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 0, NOW(), NOW())`,
+          [userId, r.title, r.description, r.instructions, r.prepTimeMinutes, r.cookTimeMinutes, r.servings]
+        );
+        recipeId = created.insertId;
+
+        // ingredientId -> postavka; recept ima lahko vsako sestavino le enkrat (uq_recipe_ingredient)
+        const rows = new Map();
+        for (const ing of ingredients) {
+          let ingredientId;
+          if (Object.hasOwn(ingredientMatches, ing.index)) {
+            ingredientId = ingredientMatches[ing.index] === null ? null : Number(ingredientMatches[ing.index]);
+          } else if (ing.match) {
+            ingredientId = ing.match.ingredientId;
+          } else if (ing.name && ing.name.length >= 2) {
+            const name = ing.name.slice(0, 255);
+            const [existing] = await conn.query("SELECT id FROM ingredients WHERE name = ? LIMIT 1", [name]);
+            if (existing.length > 0) {
+              ingredientId = existing[0].id;
+            } else {
+              // kot pri POST /recipes/:id/ingredients: nova sestavina čaka na potrditev moderatorja
+              const [ins] = await conn.query(
+                `INSERT INTO ingredients (name, category, default_unit, status, created_by_user_id, created_at, updated_at)
+                 VALUES (?, NULL, ?, 'pending', ?, NOW(), NOW())`,
+                [name, ing.unit, userId]
+              );
+              ingredientId = ins.insertId;
+              createdIngredients.push(name);
+            }
+          }
+
+          if (!ingredientId) {
+            skipped.push(ing.line);
+            continue;
+          }
+
+          const row = rows.get(ingredientId);
+          if (!row) {
+            rows.set(ingredientId, { quantity: ing.quantity, unit: ing.unit, notes: ing.note ? [ing.note] : [] });
+            continue;
+          }
+          // npr. sol za testo in za omako: ista enota -> seštej, sicer ohrani vrstico v opombi
+          if (row.quantity !== null && ing.quantity !== null && row.unit === ing.unit) {
+            row.quantity = Number((row.quantity + ing.quantity).toFixed(2));
+            if (ing.note) row.notes.push(ing.note);
+          } else {
+            row.notes.push(`+ ${ing.line}`);
+          }
+          merged.push(ing.line);
+        }
+
+        for (const [ingredientId, row] of rows) {
+          await conn.query(
+            `INSERT INTO recipe_ingredients (recipe_id, ingredient_id, quantity, unit, note, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+            [recipeId, ingredientId, row.quantity, row.unit, row.notes.join("; ").slice(0, 255) || null]
+          );
+        }
+        ingredientCount = rows.size;
+
+        if (mapped.steps.length > 0) {
+          await conn.query("INSERT INTO recipe_steps (recipe_id, position, instruction) VALUES ?", [
+            mapped.steps.map((text, i) => [recipeId, i + 1, text]),
+          ]);
+        }
+
+        if (mapped.tags.length > 0) {
+          const tagIds = await ensureTags(mapped.tags, conn);
+          await conn.query("INSERT IGNORE INTO recipe_tags (recipe_id, tag_id) VALUES ?", [
+            tagIds.map((tagId) => [recipeId, tagId]),
+          ]);
+        }
+
+        await recordRecipeRevision(recipeId, userId, "import", conn);
+
+        await conn.commit();
+      } catch (e) {
+        await conn.rollback();
+        throw e;
+      } finally {
+        conn.release();
+      }
+
+      return res.status(201).json({
+        data: {
+          id: recipeId,
+          ingredients: ingredientCount,
+          steps: mapped.steps.length,
+          createdIngredients,
+          skipped,
+          merged,
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+    }
+  }
+);
+
+// POST /recipes/:id/fork
+/**
+ * @openapi
+ * /recipes/{id}/fork:
+ *   post:
+ *     tags: [Recipes]
+ *     summary: Kopira javni recept (s sestavinami in koraki) v moje recepte
+ *     description: |
+ *       Kopija (s koraki) je zasebna (is_public = 0) in neodvisno urejana; hrani povezavo na original
+ *       (forked_from_recipe_id) in avtorja (forked_from_user_id).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 42 }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found (ne obstaja ali ni javen)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes/:id/fork", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = req.user.sub;
+
+    // javni recept ali moj lasten (kopija)
+    const [rows] = await pool.query(
+      `SELECT id, user_id FROM recipes
+       WHERE id = ? AND (is_public = 1 OR user_id = ?)
+       LIMIT 1`,
+      [recipeId, userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    let newId;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [created] = await conn.query(
+        `INSERT INTO recipes
+         (user_id, title, description, instructions, prep_time_minutes, cook_time_minutes, servings,
+          is_public, forked_from_recipe_id, forked_from_user_id, created_at, updated_at)
+         SELECT ?, title, description, instructions, prep_time_minutes, cook_time_minutes, servings,
+                0, id, user_id, NOW(), NOW()
+         FROM recipes
+         WHERE id = ?`,
+        [userId, recipeId]
+      );
+      newId = created.insertId;
+
+      await conn.query(
+        `INSERT INTO recipe_ingredients (recipe_id, ingredient_id, quantity, unit, note, created_at, updated_at)
+         SELECT ?, ingredient_id, quantity, unit, note, NOW(), NOW()
+         FROM recipe_ingredients
+         WHERE recipe_id = ?
+         ORDER BY id ASC`,
+        [newId, recipeId]
+      );
+
+      // kopije sestavin so vstavljene v istem vrstnem redu -> preslikava starih id-jev na nove
+      const [srcRi] = await conn.query(
+        "SELECT id FROM recipe_ingredients WHERE recipe_id = ? ORDER BY id ASC",
+        [recipeId]
+      );
+      const [newRi] = await conn.query(
+        "SELECT id FROM recipe_ingredients WHERE recipe_id = ? ORDER BY id ASC",
+        [newId]
+      );
+      const riIdMap = new Map(srcRi.map((r, i) => [r.id, newRi[i].id]));
+
+      await copyRecipeSteps(recipeId, newId, riIdMap, conn);
+
+      await conn.query(
+        "INSERT INTO recipe_tags (recipe_id, tag_id) SELECT ?, tag_id FROM recipe_tags WHERE recipe_id = ?",
+        [newId, recipeId]
+      );
+
+      await recordRecipeRevision(newId, userId, "fork", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(201).json({ data: { id: newId } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// ----------------------------------------------
+// PUBLIC RECIPE CATALOG
+// ----------------------------------------------
+
+// GET /public/recipes
+/**
+ * @openapi
+ * /public/recipes:
+ *   get:
+ *     tags: [Public]
+ *     summary: Javni recepti (is_public = 1), search + pagination
+ *     description: Prijava ni potrebna; s tokenom dobiš še `isMine`.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: |
+ *           Full-text iskanje po naslovu, opisu, navodilih, korakih in imenih sestavin (besede kot predpone).
+ *           Rezultati so razvrščeni po relevanci (naslov šteje največ) in vsebujejo `relevance` ter `highlights`
+ *           (HTML-escaped izseki z `<mark>`).
+ *       - in: query
+ *         name: withIngredients
+ *         schema: { type: string }
+ *         description: Recept mora vsebovati vse naštete sestavine (imena ali id-ji, ločeni z vejico), npr. `moka,jajca`
+ *       - in: query
+ *         name: withoutIngredients
+ *         schema: { type: string }
+ *         description: Recept ne sme vsebovati nobene od naštetih sestavin
+ *       - in: query
+ *         name: tags
+ *         schema: { type: string }
+ *         description: Oznake, ki jih mora recept imeti (vse), ločene z vejico; "slug" ali "type:slug", npr. `vegan,cuisine:italijanska`
+ *       - in: query
+ *         name: excludeTags
+ *         schema: { type: string }
+ *         description: Oznake, ki jih recept ne sme imeti (ista oblika kot tags)
+ *       - in: query
+ *         name: excludeAllergens
+ *         schema: { type: string }
+ *         description: |
+ *           Brez naštetih alergenov (EU-14 kode, ločene z vejico), npr. `gluten,milk`. Zaradi varnosti vrne le recepte,
+ *           pri katerih so alergeni preverjeni pri vseh sestavinah.
+ *       - in: query
+ *         name: diet
+ *         schema: { type: string }
+ *         description: Vse sestavine morajo izpolnjevati vse naštete diete (vegan, vegetarian, gluten_free, lactose_free); neznano = ne
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [newest, rating, relevance] }
+ *         description: Privzeto relevance pri search, sicer newest. rating = povprečna ocena (neocenjeni na koncu), nato število mnenj.
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/PublicRecipeListItem' }
+ *                     page: { type: integer, example: 1 }
+ *                     pageSize: { type: integer, example: 20 }
+ *                     total: { type: integer, example: 3 }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.get("/public/recipes", authOptional, async (req, res) => {
+  try {
+    const userId = req.user ? Number(req.user.sub) : null;
+    const { page, pageSize, offset } = pickPagination(req, 1, 20, 100);
+    const search = (req.query.search || "").toString().trim();
+
+    let where = "WHERE r.is_public = 1";
+    const params = [];
+
+    const fts = recipeSearchSql("r", search);
+    if (fts) {
+      where += ` AND ${fts.where}`;
+      params.push(...fts.whereParams);
+    }
+
+    const sort = (req.query.sort || (fts ? "relevance" : "newest")).toString();
+    if (!Object.hasOwn(PUBLIC_RECIPE_SORTS, sort) || (sort === "relevance" && !fts)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "sort must be one of: newest, rating, relevance (with search)" },
+      });
+    }
+
+    const dietary = dietaryFilterSql("r", req.query);
+    if (dietary.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: dietary.error } });
+    }
+
+    for (const filter of [tagFilterSql("r", req.query), ingredientFilterSql("r", req.query), dietary]) {
+      where += filter.sql;
+      params.push(...filter.params);
+    }
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM recipes r ${where}`, params);
+    const [rows] = await pool.query(
+      `SELECT
+         r.id, r.user_id, r.title, r.description, r.prep_time_minutes, r.cook_time_minutes,
+         r.servings, r.created_at, r.updated_at,
+         u.full_name AS author_name,
+         (SELECT COUNT(*) FROM recipes f WHERE f.forked_from_recipe_id = r.id) AS fork_count,
+         ${RATING_SELECT_SQL}
+         ${fts ? `, ${fts.relevance} AS relevance` : ""}
+       FROM recipes r
+       JOIN users u ON u.id = r.user_id
+       ${where}
+       ORDER BY ${PUBLIC_RECIPE_SORTS[sort]}
+       LIMIT ? OFFSET ?`,
+      [...(fts ? fts.relevanceParams : []), ...params, pageSize, offset]
+    );
+
+    // imena sestavin za vse recepte na strani z enim querijem
+    const namesByRecipe = new Map(rows.map((r) => [r.id, []]));
+    if (rows.length > 0) {
+      const [ingRows] = await pool.query(
+        `SELECT ri.recipe_id, i.name
+         FROM recipe_ingredients ri
+         JOIN ingredients i ON i.id = ri.ingredient_id
+         WHERE ri.recipe_id IN (?)
+         ORDER BY ri.id ASC`,
+        [rows.map((r) => r.id)]
+      );
+      for (const ir of ingRows) namesByRecipe.get(ir.recipe_id).push(ir.name);
+    }
+    const tagsByRecipe = await loadTagsByRecipe(rows.map((r) => r.id));
+    const photos = await loadCoverPhotos(rows.map((r) => r.id));
+    const favoriteIds = await loadFavoriteIds(userId, rows.map((r) => r.id));
+    const dietaryByRecipe = await loadRecipeDietary(rows.map((r) => r.id));
+    const highlights = fts ? await loadSearchHighlights(rows.map((r) => r.id), fts.terms) : null;
+
+    const items = rows.map((r) => ({
+      id: r.id,
+      title: r.title,
+      description: r.description,
+      prep_time_minutes: r.prep_time_minutes,
+      cook_time_minutes: r.cook_time_minutes,
+      servings: r.servings,
+      photo: photos.get(r.id),
+      author: { id: r.user_id, displayName: r.author_name },
+      ingredientNames: namesByRecipe.get(r.id),
+      tags: tagsByRecipe.get(r.id),
+      forkCount: r.fork_count,
+      rating: ratingSummary(r.rating_avg, r.rating_count),
+      isMine: userId !== null && r.user_id === userId,
+      isFavorite: favoriteIds.has(r.id),
+      dietary: dietaryByRecipe.get(r.id),
+      created_at: r.created_at,
+      updated_at: r.updated_at,
+      ...(highlights && { relevance: r.relevance, highlights: highlights.get(r.id) }),
+    }));
+
+    return res.status(200).json({
+      data: { items, page, pageSize, total: countRows[0].total },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /public/recipes/:id
+/**
+ * @openapi
+ * /public/recipes/{id}:
+ *   get:
+ *     tags: [Public]
+ *     summary: En javni recept z avtorjem in sestavinami
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: servings
+ *         schema: { type: integer, minimum: 1, maximum: 1000 }
+ *         description: |
+ *           Preračuna količine sestavin na podano število porcij (zaokroženo glede na enoto, npr. kosi na 0,5).
+ *           Sestavine dobijo še originalQuantity/originalUnit, odgovor pa objekt `scale`.
+ *       - in: query
+ *         name: promoteUnits
+ *         schema: { type: boolean, default: false }
+ *         description: Pretvori v berljivejšo enoto iste vrste (1500 g -> 1,5 kg, 12 dl -> 1,2 l, 3 žličke -> 1 žlica)
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         description: Server error
+ */
+app.get("/public/recipes/:id", authOptional, async (req, res) => {
+  try {
+    const userId = req.user ? Number(req.user.sub) : null;
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const scale = parseScaleQuery(req.query);
+    if (scale && scale.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: scale.error } });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT
+         r.id, r.user_id, r.title, r.description, r.instructions,
+         r.prep_time_minutes, r.cook_time_minutes, r.servings,
+         r.created_at, r.updated_at,
+         u.full_name AS author_name,
+         (SELECT COUNT(*) FROM recipes f WHERE f.forked_from_recipe_id = r.id) AS fork_count,
+         ${RATING_SELECT_SQL}
+       FROM recipes r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.id = ? AND r.is_public = 1
+       LIMIT 1`,
+      [recipeId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const {
+      user_id: authorId,
+      author_name: authorName,
+      fork_count: forkCount,
+      rating_avg: ratingAvg,
+      rating_count: ratingCount,
+      ...recipe
+    } = rows[0];
+    const scaled = await applyServingsScale(recipe, await loadRecipeIngredients(recipeId), scale);
+    if (scaled.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: scaled.error } });
+    }
+    const steps = await loadRecipeSteps(recipeId);
+    const tags = (await loadTagsByRecipe([recipeId])).get(recipeId);
+    const photo = (await loadCoverPhotos([recipeId])).get(recipeId);
+
+    return res.status(200).json({
+      data: {
+        ...recipe,
+        photo,
+        author: { id: authorId, displayName: authorName },
+        tags,
+        forkCount,
+        rating: ratingSummary(ratingAvg, ratingCount),
+        isMine: userId !== null && authorId === userId,
+        isFavorite: (await loadFavoriteIds(userId, [recipeId])).has(recipeId),
+        dietary: (await loadRecipeDietary([recipeId])).get(recipeId),
+        ingredients: scaled.ingredients,
+        steps,
+        ...(scaled.scale && { scale: scaled.scale }),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// ----------------------------------------------
+// RECIPE INGREDIENT MANAGEMENT
+// ----------------------------------------------
+
+// GET /recipes/:id/ingredients
+/**
+ * @openapi
+ * /recipes/{id}/ingredients:
+ *   get:
+ *     tags: [Recipe Ingredients]
+ *     summary: Seznam sestavin recepta (recipe_ingredients)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeIngredientItem' }
+ *       400:
+ *         description: Invalid recipe id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found (ni tvoj)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/ingredients", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    if (!Number.isInteger(recipeId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = req.user.sub;
+    const ok = await assertRecipeOwnership(recipeId, userId);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const [items] = await pool.query(
+      `SELECT
+         ri.id,
+         ri.recipe_id,
+         ri.ingredient_id,
+         i.name AS ingredient_name,
+         i.category AS ingredient_category,
+         ri.quantity,
+         ri.unit,
+         ri.note,
+         ri.created_at,
+         ri.updated_at
+       FROM recipe_ingredients ri
+       JOIN ingredients i ON i.id = ri.ingredient_id
+       WHERE ri.recipe_id = ?
+       ORDER BY ri.id ASC`,
+      [recipeId]
+    );
+
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /recipes/:id/ingredients
+/**
+ * @openapi
+ * /recipes/{id}/ingredients:
+ *   post:
+ *     tags: [Recipe Ingredients]
+ *     summary: Doda sestavino v recept (po ingredientId ali ingredientName)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               ingredientId:
+ *                 type: integer
+ *                 format: int64
+ *                 nullable: true
+ *                 example: 5
+ *               ingredientName:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Moka"
+ *               quantity:
+ *                 type: number
+ *                 example: 200
+ *               unit:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "g"
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "tip 500"
+ *           examples:
+ *             byId:
+ *               value: { "ingredientId": 5, "quantity": 200, "unit": "g", "note": "tip 500" }
+ *             byName:
+ *               value: { "ingredientName": "Moka", "quantity": 200, "unit": "g" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 12 }
+ *       400:
+ *         description: Validation error (quantity, ingredientId/ingredientName)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes/:id/ingredients", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    if (!Number.isInteger(recipeId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = req.user.sub;
+    const ok = await assertRecipeOwnership(recipeId, userId);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    let { ingredientId, ingredientName, quantity, unit = null, note = null } = req.body || {};
+
+    // validate quantity
+    const q = Number(quantity);
+    if (!Number.isFinite(q) || q <= 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "quantity must be a positive number" },
+      });
+    }
+
+    // determine ingredientId
+    if (!ingredientId) {
+      if (!ingredientName || typeof ingredientName !== "string" || ingredientName.trim().length < 2) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "ingredientId or ingredientName is required" },
+        });
+      }
+
+      const cleanName = ingredientName.trim();
+
+      // find existing
+      const [found] = await pool.query("SELECT id, default_unit FROM ingredients WHERE name = ? LIMIT 1", [cleanName]);
+
+      if (found.length > 0) {
+        ingredientId = found[0].id;
+        if (!unit) unit = found[0].default_unit || unit;
+      } else {
+        // nova sestavina čaka na potrditev moderatorja (v receptu jo lahko že uporabiš)
+        const [created] = await pool.query(
+          `INSERT INTO ingredients (name, category, default_unit, status, created_by_user_id, created_at, updated_at)
+           VALUES (?, NULL, ?, 'pending', ?, NOW(), NOW())`,
+          [cleanName, unit, userId]
+        );
+        ingredientId = created.insertId;
+      }
+    }
+
+    // insert recipe_ingredient
+    let result;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await lockRecipeForRevision(recipeId, conn);
+
+      [result] = await conn.query(
+        `INSERT INTO recipe_ingredients (recipe_id, ingredient_id, quantity, unit, note, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+        [recipeId, ingredientId, q, unit, note]
+      );
+      await recordRecipeRevision(recipeId, userId, "ingredient_add", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(201).json({ data: { id: result.insertId } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// PATCH /recipes/:id/ingredients/:riId
+/**
+ * @openapi
+ * /recipes/{id}/ingredients/{riId}:
+ *   patch:
+ *     tags: [Recipe Ingredients]
+ *     summary: Posodobi postavko recipe_ingredients (quantity/unit/note)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: riId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity: { type: number, example: 250 }
+ *               unit: { type: string, example: "g" }
+ *               note: { type: string, nullable: true, example: "polnozrnata" }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: boolean, example: true }
+ *       400:
+ *         description: Validation error / no fields
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe ali recipe ingredient ne obstaja
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.patch("/recipes/:id/ingredients/:riId", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    const riId = Number(req.params.riId);
+
+    if (!Number.isInteger(recipeId) || !Number.isInteger(riId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const userId = req.user.sub;
+    const ok = await assertRecipeOwnership(recipeId, userId);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { quantity, unit, note } = req.body || {};
+
+    const updates = [];
+    const params = [];
+
+    if (quantity !== undefined) {
+      const q = Number(quantity);
+      if (!Number.isFinite(q) || q <= 0) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "quantity must be a positive number" },
+        });
+      }
+      updates.push("quantity = ?");
+      params.push(q);
+    }
+
+    if (unit !== undefined) {
+      updates.push("unit = ?");
+      params.push(unit);
+    }
+
+    if (note !== undefined) {
+      updates.push("note = ?");
+      params.push(note);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "No fields to update" },
+      });
+    }
+
+    updates.push("updated_at = NOW()");
+
+    // ensure this row belongs to the recipe
+    params.push(recipeId, riId);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await lockRecipeForRevision(recipeId, conn);
+
+      const [result] = await conn.query(
+        `UPDATE recipe_ingredients
+         SET ${updates.join(", ")}
+         WHERE recipe_id = ? AND id = ?`,
+        params
+      );
+
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({
+          error: { code: "NOT_FOUND", message: "Recipe ingredient not found" },
+        });
+      }
+      await recordRecipeRevision(recipeId, userId, "ingredient_update", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(200).json({ data: { updated: true } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// DELETE /recipes/:id/ingredients/:riId
+/**
+ * @openapi
+ * /recipes/{id}/ingredients/{riId}:
+ *   delete:
+ *     tags: [Recipe Ingredients]
+ *     summary: Izbriše postavko iz recepta (recipe_ingredients)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: riId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe ali recipe ingredient not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.delete("/recipes/:id/ingredients/:riId", authRequired, async (req, res) => {
+  try {
+    const recipeId = Number(req.params.id);
+    const riId = Number(req.params.riId);
+
+    if (!Number.isInteger(recipeId) || !Number.isInteger(riId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const userId = req.user.sub;
+    const ok = await assertRecipeOwnership(recipeId, userId);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await lockRecipeForRevision(recipeId, conn);
+
+      const [result] = await conn.query(
+        `DELETE FROM recipe_ingredients
+         WHERE recipe_id = ? AND id = ?`,
+        [recipeId, riId]
+      );
+
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({
+          error: { code: "NOT_FOUND", message: "Recipe ingredient not found" },
+        });
+      }
+      await recordRecipeRevision(recipeId, userId, "ingredient_remove", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+
+// ----------------------------------------------
+// RECIPE STEPS MANAGEMENT
+// ----------------------------------------------
+
+// GET /recipes/:id/steps
+/**
+ * @openapi
+ * /recipes/{id}/steps:
+ *   get:
+ *     tags: [Recipe Steps]
+ *     summary: Seznam korakov recepta (po vrstnem redu)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeStep' }
+ *       400:
+ *         description: Invalid recipe id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found (ni tvoj)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/steps", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const items = await loadRecipeSteps(recipeId);
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /recipes/:id/steps
+/**
+ * @openapi
+ * /recipes/{id}/steps:
+ *   post:
+ *     tags: [Recipe Steps]
+ *     summary: Doda korak (na konec ali na podano pozicijo)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [instruction]
+ *             properties:
+ *               instruction: { type: string, example: "Peci 10 minut." }
+ *               durationSeconds: { type: integer, nullable: true, example: 600 }
+ *               recipeIngredientIds:
+ *                 type: array
+ *                 items: { type: integer, format: int64 }
+ *                 example: [10]
+ *               position:
+ *                 type: integer
+ *                 description: "1-based; privzeto na konec. Ostali koraki se zamaknejo."
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 3 }
+ *                     position: { type: integer, example: 2 }
+ *       400:
+ *         description: Validation error (instruction, durationSeconds, recipeIngredientIds, position)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes/:id/steps", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { instruction, durationSeconds = null, recipeIngredientIds = [], position } = req.body || {};
+
+    const invalid = validateStepFields({ instruction, durationSeconds });
+    if (invalid) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: invalid } });
+    }
+
+    const riIds = await checkStepIngredientIds(recipeId, recipeIngredientIds);
+    if (!riIds) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "recipeIngredientIds must reference ingredients of this recipe" },
+      });
+    }
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "position must be a positive integer" },
+      });
+    }
+
+    let stepId;
+    let stepPosition;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      // zaklene recept, da sočasni vnosi ne podvojijo pozicij
+      await lockRecipeForRevision(recipeId, conn);
+      const [[{ count }]] = await conn.query(
+        "SELECT COUNT(*) AS count FROM recipe_steps WHERE recipe_id = ?",
+        [recipeId]
+      );
+      stepPosition = position === undefined ? count + 1 : Math.min(position, count + 1);
+
+      await conn.query(
+        `UPDATE recipe_steps SET position = position + 1
+         WHERE recipe_id = ? AND position >= ?`,
+        [recipeId, stepPosition]
+      );
+
+      const [result] = await conn.query(
+        `INSERT INTO recipe_steps (recipe_id, position, instruction, duration_seconds, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [recipeId, stepPosition, instruction.trim(), durationSeconds]
+      );
+      stepId = result.insertId;
+
+      await replaceStepIngredients(stepId, riIds, conn);
+      await recordRecipeRevision(recipeId, req.user.sub, "step_add", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(201).json({ data: { id: stepId, position: stepPosition } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// PUT /recipes/:id/steps/order
+/**
+ * @openapi
+ * /recipes/{id}/steps/order:
+ *   put:
+ *     tags: [Recipe Steps]
+ *     summary: Nastavi nov vrstni red korakov
+ *     description: stepIds mora vsebovati vse korake recepta natanko enkrat.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stepIds]
+ *             properties:
+ *               stepIds:
+ *                 type: array
+ *                 items: { type: integer, format: int64 }
+ *                 example: [5, 3, 4]
+ *     responses:
+ *       200:
+ *         description: Reordered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeStep' }
+ *       400:
+ *         description: stepIds ni permutacija obstoječih korakov
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.put("/recipes/:id/steps/order", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { stepIds } = req.body || {};
+    if (!Array.isArray(stepIds)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "stepIds must be an array" } });
+    }
+    const ids = stepIds.map(Number);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await lockRecipeForRevision(recipeId, conn);
+      const [existing] = await conn.query(
+        "SELECT id FROM recipe_steps WHERE recipe_id = ? FOR UPDATE",
+        [recipeId]
+      );
+      const known = new Set(existing.map((r) => r.id));
+      const isPermutation =
+        ids.length === known.size && new Set(ids).size === ids.length && ids.every((id) => known.has(id));
+      if (!isPermutation) {
+        await conn.rollback();
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "stepIds must list every step of the recipe exactly once" },
+        });
+      }
+
+      for (let i = 0; i < ids.length; i++) {
+        await conn.query(
+          "UPDATE recipe_steps SET position = ?, updated_at = NOW() WHERE id = ? AND recipe_id = ?",
+          [i + 1, ids[i], recipeId]
+        );
+      }
+      await recordRecipeRevision(recipeId, req.user.sub, "step_reorder", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    const items = await loadRecipeSteps(recipeId);
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /recipes/:id/steps/from-instructions
+/**
+ * @openapi
+ * /recipes/{id}/steps/from-instructions:
+ *   post:
+ *     tags: [Recipe Steps]
+ *     summary: Pretvori obstoječe besedilo instructions v korake (migracija)
+ *     description: |
+ *       Besedilo se razdeli po odstavkih (ali vrsticah, če odstavkov ni); oštevilčenje in alineje se odstranijo.
+ *       Če recept že ima korake, je potreben replace = true. Z clearInstructions = true se instructions po pretvorbi izprazni.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               replace: { type: boolean, example: false }
+ *               clearInstructions: { type: boolean, example: false }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeStep' }
+ *       400:
+ *         description: Recept nima instructions
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       409:
+ *         description: Recept že ima korake (uporabi replace)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes/:id/steps/from-instructions", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const { replace = false, clearInstructions = false } = req.body || {};
+
+    const [rows] = await pool.query(
+      "SELECT instructions FROM recipes WHERE id = ? AND user_id = ? LIMIT 1",
+      [recipeId, req.user.sub]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const parts = splitInstructions(rows[0].instructions);
+    if (parts.length === 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "Recipe has no instructions to convert" },
+      });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await lockRecipeForRevision(recipeId, conn);
+      const [existing] = await conn.query(
+        "SELECT id FROM recipe_steps WHERE recipe_id = ? FOR UPDATE",
+        [recipeId]
+      );
+      if (existing.length > 0 && !replace) {
+        await conn.rollback();
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "Recipe already has steps (set replace to overwrite)" },
+        });
+      }
+
+      await conn.query("DELETE FROM recipe_steps WHERE recipe_id = ?", [recipeId]);
+      await conn.query(
+        "INSERT INTO recipe_steps (recipe_id, position, instruction) VALUES ?",
+        [parts.map((text, i) => [recipeId, i + 1, text])]
+      );
+
+      if (clearInstructions) {
+        await conn.query(
+          "UPDATE recipes SET instructions = NULL, updated_at = NOW() WHERE id = ?",
+          [recipeId]
+        );
+      }
+      await recordRecipeRevision(recipeId, req.user.sub, "steps_generate", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    const items = await loadRecipeSteps(recipeId);
+    return res.status(201).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// PATCH /recipes/:id/steps/:stepId
+/**
+ * @openapi
+ * /recipes/{id}/steps/{stepId}:
+ *   patch:
+ *     tags: [Recipe Steps]
+ *     summary: Posodobi korak (besedilo, časovnik, povezane sestavine)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: "Pošlji samo polja, ki jih spreminjaš. recipeIngredientIds zamenja celoten seznam."
+ *             properties:
+ *               instruction: { type: string }
+ *               durationSeconds: { type: integer, nullable: true }
+ *               recipeIngredientIds:
+ *                 type: array
+ *                 items: { type: integer, format: int64 }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: boolean, example: true }
+ *       400:
+ *         description: Validation error / no fields
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe or step not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.patch("/recipes/:id/steps/:stepId", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    const stepId = parseId(req.params.stepId);
+    if (!recipeId || !stepId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { instruction, durationSeconds, recipeIngredientIds } = req.body || {};
+
+    const invalid = validateStepFields({ instruction, durationSeconds }, true);
+    if (invalid) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: invalid } });
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (instruction !== undefined) {
+      updates.push("instruction = ?");
+      params.push(instruction.trim());
+    }
+
+    if (durationSeconds !== undefined) {
+      updates.push("duration_seconds = ?");
+      params.push(durationSeconds);
+    }
+
+    let riIds;
+    if (recipeIngredientIds !== undefined) {
+      riIds = await checkStepIngredientIds(recipeId, recipeIngredientIds);
+      if (!riIds) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "recipeIngredientIds must reference ingredients of this recipe" },
+        });
+      }
+    }
+
+    if (updates.length === 0 && riIds === undefined) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "No fields to update" },
+      });
+    }
+
+    updates.push("updated_at = NOW()");
+    params.push(stepId, recipeId);
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await lockRecipeForRevision(recipeId, conn);
+      const [result] = await conn.query(
+        `UPDATE recipe_steps
+         SET ${updates.join(", ")}
+         WHERE id = ? AND recipe_id = ?`,
+        params
+      );
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe step not found" } });
+      }
+
+      if (riIds !== undefined) {
+        await replaceStepIngredients(stepId, riIds, conn);
+      }
+      await recordRecipeRevision(recipeId, req.user.sub, "step_update", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(200).json({ data: { updated: true } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// DELETE /recipes/:id/steps/:stepId
+/**
+ * @openapi
+ * /recipes/{id}/steps/{stepId}:
+ *   delete:
+ *     tags: [Recipe Steps]
+ *     summary: Izbriše korak (kasnejši koraki se pomaknejo navzgor)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe or step not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.delete("/recipes/:id/steps/:stepId", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    const stepId = parseId(req.params.stepId);
+    if (!recipeId || !stepId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    let stepPhotos;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await lockRecipeForRevision(recipeId, conn);
+      const [rows] = await conn.query(
+        "SELECT position FROM recipe_steps WHERE id = ? AND recipe_id = ? FOR UPDATE",
+        [stepId, recipeId]
+      );
+      if (rows.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe step not found" } });
+      }
+
+      [stepPhotos] = await conn.query("SELECT storage_key FROM recipe_photos WHERE step_id = ?", [stepId]);
+      await conn.query("DELETE FROM recipe_steps WHERE id = ?", [stepId]);
+      await conn.query(
+        `UPDATE recipe_steps SET position = position - 1
+         WHERE recipe_id = ? AND position > ?`,
+        [recipeId, rows[0].position]
+      );
+      await recordRecipeRevision(recipeId, req.user.sub, "step_remove", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    await removePhotoFiles(stepPhotos.map((p) => p.storage_key));
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+
+// ----------------------------------------------
+// RECIPE PHOTOS
+// ----------------------------------------------
+
+// Stores an uploaded photo as the recipe cover or a step photo (req.params.stepId), replacing the previous one
+async function saveRecipePhoto(req, res) {
+  try {
+    const recipeId = parseId(req.params.id);
+    const stepId = req.params.stepId === undefined ? null : parseId(req.params.stepId);
+    if (!recipeId || (req.params.stepId !== undefined && !stepId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+    if (stepId) {
+      const [steps] = await pool.query(
+        "SELECT id FROM recipe_steps WHERE id = ? AND recipe_id = ? LIMIT 1",
+        [stepId, recipeId]
+      );
+      if (steps.length === 0) {
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe step not found" } });
+      }
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "photo file is required (multipart field \"photo\")" },
+      });
+    }
+
+    const stored = await storePhoto(req.file.buffer, recipeId);
+    if (!stored) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "photo is not a valid JPEG, PNG or WebP image" },
+      });
+    }
+
+    let previous = [];
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      [previous] = await conn.query(
+        "SELECT id, storage_key FROM recipe_photos WHERE recipe_id = ? AND step_id <=> ? FOR UPDATE",
+        [recipeId, stepId]
+      );
+      if (previous.length > 0) {
+        await conn.query("DELETE FROM recipe_photos WHERE id IN (?)", [previous.map((p) => p.id)]);
+      }
+      await conn.query(
+        `INSERT INTO recipe_photos (recipe_id, step_id, storage_key, width, height, size_bytes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [recipeId, stepId, stored.storageKey, stored.width, stored.height, stored.sizeBytes]
+      );
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      await removePhotoFiles([stored.storageKey]);
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    await removePhotoFiles(previous.map((p) => p.storage_key));
+
+    return res.status(200).json({
+      data: { photo: photoUrls(stored.storageKey), width: stored.width, height: stored.height },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+}
+
+async function deleteRecipePhoto(req, res) {
+  try {
+    const recipeId = parseId(req.params.id);
+    const stepId = req.params.stepId === undefined ? null : parseId(req.params.stepId);
+    if (!recipeId || (req.params.stepId !== undefined && !stepId)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const [photos] = await pool.query(
+      "SELECT id, storage_key FROM recipe_photos WHERE recipe_id = ? AND step_id <=> ?",
+      [recipeId, stepId]
+    );
+    if (photos.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Photo not found" } });
+    }
+
+    await pool.query("DELETE FROM recipe_photos WHERE id IN (?)", [photos.map((p) => p.id)]);
+    await removePhotoFiles(photos.map((p) => p.storage_key));
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+}
+
+// PUT /recipes/:id/photo
+/**
+ * @openapi
+ * /recipes/{id}/photo:
+ *   put:
+ *     tags: [Recipes]
+ *     summary: Naloži naslovno fotografijo recepta (zamenja obstoječo)
+ *     description: |
+ *       multipart/form-data s poljem `photo` (JPEG, PNG ali WebP, največ MEDIA_MAX_BYTES, privzeto 5 MB).
+ *       Shranijo se pomanjšane WebP različice thumb (200x200), medium (800) in large (1600).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [photo]
+ *             properties:
+ *               photo: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     photo: { $ref: '#/components/schemas/PhotoUrls' }
+ *                     width: { type: integer, example: 3024 }
+ *                     height: { type: integer, example: 4032 }
+ *       400:
+ *         description: Manjka datoteka / napačen tip slike
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       413:
+ *         description: Datoteka je prevelika
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     tags: [Recipes]
+ *     summary: Odstrani naslovno fotografijo recepta
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Recipe / photo not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.put("/recipes/:id/photo", authRequired, uploadPhoto, saveRecipePhoto);
+app.delete("/recipes/:id/photo", authRequired, deleteRecipePhoto);
+
+// PUT /recipes/:id/steps/:stepId/photo
+/**
+ * @openapi
+ * /recipes/{id}/steps/{stepId}/photo:
+ *   put:
+ *     tags: [Recipe Steps]
+ *     summary: Naloži fotografijo koraka (zamenja obstoječo)
+ *     description: Enaka pravila kot pri PUT /recipes/{id}/photo.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [photo]
+ *             properties:
+ *               photo: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     photo: { $ref: '#/components/schemas/PhotoUrls' }
+ *                     width: { type: integer }
+ *                     height: { type: integer }
+ *       400:
+ *         description: Manjka datoteka / napačen tip slike
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe / step not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       413:
+ *         description: Datoteka je prevelika
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     tags: [Recipe Steps]
+ *     summary: Odstrani fotografijo koraka
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: stepId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Recipe / photo not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.put("/recipes/:id/steps/:stepId/photo", authRequired, uploadPhoto, saveRecipePhoto);
+app.delete("/recipes/:id/steps/:stepId/photo", authRequired, deleteRecipePhoto);
+
+
+
+// ----------------------------------------------
+// RECIPE TAGS
+// ----------------------------------------------
+
+// GET /tags
+/**
+ * @openapi
+ * /tags:
+ *   get:
+ *     tags: [Tags]
+ *     summary: Seznam oznak s številom receptov
+ *     description: |
+ *       scope=public (privzeto) šteje javne recepte in ne zahteva prijave; scope=mine šteje moje recepte.
+ *       Vrnejo se samo oznake, ki so uporabljene vsaj enkrat.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema: { type: string, enum: [public, mine], default: public }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [meal, cuisine, diet, free] }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: Išče po imenu oznake (LIKE %search%)
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Tag'
+ *                           - type: object
+ *                             properties:
+ *                               recipeCount: { type: integer, example: 12 }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Server error
+ */
+app.get("/tags", authOptional, async (req, res) => {
+  try {
+    const scope = (req.query.scope || "public").toString();
+    const type = req.query.type ? req.query.type.toString() : null;
+    const search = (req.query.search || "").toString().trim();
+
+    if (!["public", "mine"].includes(scope)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "scope must be public or mine" } });
+    }
+    if (type && !TAG_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: `type must be one of: ${TAG_TYPES.join(", ")}` },
+      });
+    }
+    if (scope === "mine" && !req.user) {
+      return res.status(401).json({ error: { code: "UNAUTHORIZED", message: "Missing token" } });
+    }
+
+    let where = scope === "mine" ? "WHERE r.user_id = ?" : "WHERE r.is_public = 1";
+    const params = scope === "mine" ? [req.user.sub] : [];
+
+    if (type) {
+      where += " AND t.type = ?";
+      params.push(type);
+    }
+    if (search) {
+      where += " AND t.name LIKE ?";
+      params.push(`%${search}%`);
+    }
+
+    const [items] = await pool.query(
+      `SELECT t.id, t.type, t.name, t.slug, COUNT(*) AS recipeCount
+       FROM tags t
+       JOIN recipe_tags rt ON rt.tag_id = t.id
+       JOIN recipes r ON r.id = rt.recipe_id
+       ${where}
+       GROUP BY t.id, t.type, t.name, t.slug
+       ORDER BY recipeCount DESC, t.name ASC`,
+      params
+    );
+
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// PUT /recipes/:id/tags, POST /recipes/:id/tags
+/**
+ * @openapi
+ * /recipes/{id}/tags:
+ *   put:
+ *     tags: [Tags]
+ *     summary: Zamenja vse oznake recepta
+ *     description: Neobstoječe oznake se ustvarijo. Prazen seznam odstrani vse oznake.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tags]
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                       description: '"ime" (free) ali "type:ime"'
+ *                     - type: object
+ *                       properties:
+ *                         type: { type: string, enum: [meal, cuisine, diet, free] }
+ *                         name: { type: string }
+ *                 example: ["meal:Kosilo", "cuisine:Italijanska", "hitro"]
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Tag' }
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ *   post:
+ *     tags: [Tags]
+ *     summary: Doda oznake receptu (obstoječe ostanejo)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ErrorResponse'
- *     NotFound:
- *       description: Resource not found
+ *             type: object
+ *             required: [tags]
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         type: { type: string, enum: [meal, cuisine, diet, free] }
+ *                         name: { type: string }
+ *                 example: ["diet:Vegansko"]
+ *     responses:
+ *       200:
+ *         description: OK (vse oznake recepta)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Tag' }
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+// replace = true zamenja vse oznake (PUT), sicer jih doda (POST)
+async function setRecipeTags(req, res, replace) {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { tags: input } = req.body || {};
+    const tags = Array.isArray(input) && input.length <= 50 ? input.map(parseTagInput) : null;
+    if (!tags || !tags.every(Boolean)) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: `tags must be an array (max 50) of "name", "type:name" or { type, name }; types: ${TAG_TYPES.join(", ")}`,
+        },
+      });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await lockRecipeForRevision(recipeId, conn);
+      if (replace) {
+        await conn.query("DELETE FROM recipe_tags WHERE recipe_id = ?", [recipeId]);
+      }
+      if (tags.length > 0) {
+        const tagIds = await ensureTags(tags, conn);
+        await conn.query("INSERT IGNORE INTO recipe_tags (recipe_id, tag_id) VALUES ?", [
+          tagIds.map((tagId) => [recipeId, tagId]),
+        ]);
+      }
+      await recordRecipeRevision(recipeId, req.user.sub, "tags_update", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    const items = (await loadTagsByRecipe([recipeId])).get(recipeId);
+    return res.status(200).json({ data: { items } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+}
+
+app.put("/recipes/:id/tags", authRequired, (req, res) => setRecipeTags(req, res, true));
+app.post("/recipes/:id/tags", authRequired, (req, res) => setRecipeTags(req, res, false));
+
+// DELETE /recipes/:id/tags/:tagId
+/**
+ * @openapi
+ * /recipes/{id}/tags/{tagId}:
+ *   delete:
+ *     tags: [Tags]
+ *     summary: Odstrani oznako z recepta
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: tagId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Removed
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found / recept nima te oznake
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.delete("/recipes/:id/tags/:tagId", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    const tagId = parseId(req.params.tagId);
+    if (!recipeId || !tagId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const ok = await assertRecipeOwnership(recipeId, req.user.sub);
+    if (!ok) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await lockRecipeForRevision(recipeId, conn);
+      const [result] = await conn.query(
+        "DELETE FROM recipe_tags WHERE recipe_id = ? AND tag_id = ?",
+        [recipeId, tagId]
+      );
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Tag not found on recipe" } });
+      }
+      await recordRecipeRevision(recipeId, req.user.sub, "tags_update", conn);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+
+// ----------------------------------------------
+// RECIPE REVISIONS
+// ----------------------------------------------
+
+// GET /recipes/:id/revisions
+/**
+ * @openapi
+ * /recipes/{id}/revisions:
+ *   get:
+ *     tags: [Recipe Revisions]
+ *     summary: Zgodovina sprememb recepta (najnovejše najprej)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/RecipeRevision' }
+ *                     page: { type: integer, example: 1 }
+ *                     pageSize: { type: integer, example: 20 }
+ *                     total: { type: integer, example: 7 }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/revisions", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    if (!(await assertRecipeOwnership(recipeId, req.user.sub))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { page, pageSize, offset } = pickPagination(req, 1, 20, 100);
+
+    const [countRows] = await pool.query(
+      "SELECT COUNT(*) AS total FROM recipe_revisions WHERE recipe_id = ?",
+      [recipeId]
+    );
+    const [rows] = await pool.query(
+      `SELECT rr.revision, rr.action, rr.restored_from_revision, rr.user_id, u.full_name AS user_name,
+              rr.changes, rr.created_at
+       FROM recipe_revisions rr
+       LEFT JOIN users u ON u.id = rr.user_id
+       WHERE rr.recipe_id = ?
+       ORDER BY rr.revision DESC
+       LIMIT ? OFFSET ?`,
+      [recipeId, pageSize, offset]
+    );
+
+    const items = rows.map((r) => ({
+      revision: r.revision,
+      action: r.action,
+      restoredFromRevision: r.restored_from_revision,
+      user: r.user_id ? { id: r.user_id, displayName: r.user_name } : null,
+      changes: parseJsonColumn(r.changes),
+      created_at: r.created_at,
+    }));
+
+    return res.status(200).json({
+      data: { items, page, pageSize, total: countRows[0].total },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /recipes/:id/revisions/diff
+/**
+ * @openapi
+ * /recipes/{id}/revisions/diff:
+ *   get:
+ *     tags: [Recipe Revisions]
+ *     summary: Razlika med dvema revizijama
+ *     description: |
+ *       Polja `{ from, to }`, sestavine (added/removed/changed po recipeIngredientId) in vrstična razlika
+ *       navodil (`instructionLines`). Brez `to` se primerja z zadnjo revizijo.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema: { type: integer, example: 2 }
+ *       - in: query
+ *         name: to
+ *         schema: { type: integer, example: 5 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from: { type: integer, example: 2 }
+ *                     to: { type: integer, example: 5 }
+ *                     changes: { $ref: '#/components/schemas/RecipeRevisionChanges' }
+ *                     instructionLines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           op: { type: string, enum: ["=", "+", "-"] }
+ *                           text: { type: string }
+ *       400:
+ *         description: Neveljavna from/to
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe / revision not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/revisions/diff", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const from = parseId(req.query.from);
+    const to = req.query.to === undefined ? null : parseId(req.query.to);
+    if (!from || (req.query.to !== undefined && !to)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "from (and optional to) must be revision numbers" },
+      });
+    }
+
+    if (!(await assertRecipeOwnership(recipeId, req.user.sub))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT revision, snapshot FROM recipe_revisions
+       WHERE recipe_id = ? AND (revision = ? OR revision = ?
+         OR (? IS NULL AND revision = (SELECT MAX(revision) FROM recipe_revisions WHERE recipe_id = ?)))`,
+      [recipeId, from, to, to, recipeId]
+    );
+    const fromRow = rows.find((r) => r.revision === from);
+    const toRow = to ? rows.find((r) => r.revision === to) : rows.reduce((a, b) => (b.revision > a.revision ? b : a), rows[0]);
+    if (!fromRow || !toRow) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Revision not found" } });
+    }
+
+    const a = parseJsonColumn(fromRow.snapshot);
+    const b = parseJsonColumn(toRow.snapshot);
+
+    return res.status(200).json({
+      data: {
+        from: fromRow.revision,
+        to: toRow.revision,
+        changes: diffRecipeSnapshots(a, b),
+        instructionLines: diffTextLines(a.instructions, b.instructions),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// GET /recipes/:id/revisions/:rev
+/**
+ * @openapi
+ * /recipes/{id}/revisions/{rev}:
+ *   get:
+ *     tags: [Recipe Revisions]
+ *     summary: Ena revizija s celotnim posnetkom recepta
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/RecipeRevision'
+ *                     - type: object
+ *                       properties:
+ *                         snapshot: { $ref: '#/components/schemas/RecipeSnapshot' }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe / revision not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/recipes/:id/revisions/:rev", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    const rev = parseId(req.params.rev);
+    if (!recipeId || !rev) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    if (!(await assertRecipeOwnership(recipeId, req.user.sub))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const [rows] = await pool.query(
+      `SELECT rr.revision, rr.action, rr.restored_from_revision, rr.user_id, u.full_name AS user_name,
+              rr.changes, rr.snapshot, rr.created_at
+       FROM recipe_revisions rr
+       LEFT JOIN users u ON u.id = rr.user_id
+       WHERE rr.recipe_id = ? AND rr.revision = ?
+       LIMIT 1`,
+      [recipeId, rev]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Revision not found" } });
+    }
+
+    const r = rows[0];
+    return res.status(200).json({
+      data: {
+        revision: r.revision,
+        action: r.action,
+        restoredFromRevision: r.restored_from_revision,
+        user: r.user_id ? { id: r.user_id, displayName: r.user_name } : null,
+        changes: parseJsonColumn(r.changes),
+        snapshot: parseJsonColumn(r.snapshot),
+        created_at: r.created_at,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /recipes/:id/revisions/:rev/restore
+/**
+ * @openapi
+ * /recipes/{id}/revisions/{rev}/restore:
+ *   post:
+ *     tags: [Recipe Revisions]
+ *     summary: Obnovi recept, sestavine, korake in oznake na stanje izbrane revizije
+ *     description: |
+ *       Obnovi polja recepta, sestavine, korake (s povezavami na sestavine) in oznake; vidnost (isPublic) in
+ *       fotografije se v revizijah ne beležijo in ostanejo nespremenjene (fotografije izbrisanih korakov se odstranijo).
+ *       Obnova sama je nova revizija (action = restore), zato jo je mogoče razveljaviti. Postavke z isto sestavino
+ *       ali istim id-jem se posodobijo (povezave s koraki ostanejo); sestavin, ki jih v katalogu ni več, ni mogoče
+ *       obnoviti (skippedIngredients).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revision: { type: integer, nullable: true, description: "Nova revizija (null, če ni bilo sprememb)", example: 8 }
+ *                     restoredFrom: { type: integer, example: 3 }
+ *                     skippedIngredients:
+ *                       type: array
+ *                       items: { type: string }
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe / revision not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes/:id/revisions/:rev/restore", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    const rev = parseId(req.params.rev);
+    if (!recipeId || !rev) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const userId = req.user.sub;
+    if (!(await assertRecipeOwnership(recipeId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const [revRows] = await pool.query(
+      "SELECT snapshot FROM recipe_revisions WHERE recipe_id = ? AND revision = ? LIMIT 1",
+      [recipeId, rev]
+    );
+    if (revRows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Revision not found" } });
+    }
+    const snapshot = parseJsonColumn(revRows[0].snapshot);
+
+    const skippedIngredients = [];
+    let revision;
+    let removedStepPhotos = [];
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      await conn.query("SELECT id FROM recipes WHERE id = ? FOR UPDATE", [recipeId]);
+
+      await conn.query(
+        `UPDATE recipes
+         SET title = ?, description = ?, instructions = ?, prep_time_minutes = ?, cook_time_minutes = ?,
+             servings = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          snapshot.title,
+          snapshot.description,
+          snapshot.instructions,
+          snapshot.prepTimeMinutes,
+          snapshot.cookTimeMinutes,
+          snapshot.servings,
+          recipeId,
+        ]
+      );
+
+      const [current] = await conn.query("SELECT id, ingredient_id FROM recipe_ingredients WHERE recipe_id = ?", [
+        recipeId,
+      ]);
+
+      const catalogIds = new Set();
+      if (snapshot.ingredients.length > 0) {
+        const [found] = await conn.query("SELECT id FROM ingredients WHERE id IN (?)", [
+          snapshot.ingredients.map((i) => i.ingredientId),
+        ]);
+        for (const r of found) catalogIds.add(r.id);
+      }
+      const restorable = snapshot.ingredients.filter((ing) => {
+        if (!catalogIds.has(ing.ingredientId)) skippedIngredients.push(ing.ingredientName);
+        return catalogIds.has(ing.ingredientId);
+      });
+
+      // Obstoječe postavke najprej po sestavini (unikatna v receptu), nato po id-ju postavke;
+      // sestavina, dodeljena po id-ju, tako ni na nobeni drugi postavki in UPDATE ne trči z uq_recipe_ingredient.
+      const rowFor = new Map();
+      const unclaimed = new Map(current.map((r) => [r.id, r]));
+      for (const ing of restorable) {
+        const row = current.find((r) => r.ingredient_id === ing.ingredientId);
+        if (row) {
+          rowFor.set(ing, row.id);
+          unclaimed.delete(row.id);
+        }
+      }
+      for (const ing of restorable) {
+        if (!rowFor.has(ing) && unclaimed.has(ing.recipeIngredientId)) {
+          rowFor.set(ing, ing.recipeIngredientId);
+          unclaimed.delete(ing.recipeIngredientId);
+        }
+      }
+
+      // postavke, ki jih v posnetku ni, najprej pobrišemo, da ne blokirajo vstavljanja
+      if (unclaimed.size > 0) {
+        await conn.query("DELETE FROM recipe_ingredients WHERE id IN (?)", [[...unclaimed.keys()]]);
+      }
+
+      // recipeIngredientId iz posnetka -> obnovljena postavka (za povezave korakov)
+      const riIdMap = new Map();
+      for (const ing of restorable) {
+        if (rowFor.has(ing)) {
+          await conn.query(
+            `UPDATE recipe_ingredients
+             SET ingredient_id = ?, quantity = ?, unit = ?, note = ?, updated_at = NOW()
+             WHERE id = ?`,
+            [ing.ingredientId, ing.quantity, ing.unit, ing.note, rowFor.get(ing)]
+          );
+          riIdMap.set(ing.recipeIngredientId, rowFor.get(ing));
+        } else {
+          const [inserted] = await conn.query(
+            `INSERT INTO recipe_ingredients (recipe_id, ingredient_id, quantity, unit, note, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+            [recipeId, ing.ingredientId, ing.quantity, ing.unit, ing.note]
+          );
+          riIdMap.set(ing.recipeIngredientId, inserted.insertId);
+        }
+      }
+
+      // Koraki: obstoječi (isti stepId) se posodobijo in obdržijo fotografijo, ostali se pobrišejo oz. dodajo
+      const [currentSteps] = await conn.query("SELECT id FROM recipe_steps WHERE recipe_id = ?", [recipeId]);
+      const keptStepIds = new Set(snapshot.steps.map((st) => st.stepId));
+      const removedStepIds = currentSteps.map((st) => st.id).filter((id) => !keptStepIds.has(id));
+      if (removedStepIds.length > 0) {
+        [removedStepPhotos] = await conn.query("SELECT storage_key FROM recipe_photos WHERE step_id IN (?)", [
+          removedStepIds,
+        ]);
+        await conn.query("DELETE FROM recipe_steps WHERE id IN (?)", [removedStepIds]);
+      }
+      const existingStepIds = new Set(currentSteps.map((st) => st.id));
+      for (const st of snapshot.steps) {
+        let stepId = st.stepId;
+        if (existingStepIds.has(stepId)) {
+          await conn.query(
+            `UPDATE recipe_steps SET position = ?, instruction = ?, duration_seconds = ?, updated_at = NOW()
+             WHERE id = ?`,
+            [st.position, st.instruction, st.durationSeconds, stepId]
+          );
+        } else {
+          const [inserted] = await conn.query(
+            `INSERT INTO recipe_steps (recipe_id, position, instruction, duration_seconds, created_at, updated_at)
+             VALUES (?, ?, ?, ?, NOW(), NOW())`,
+            [recipeId, st.position, st.instruction, st.durationSeconds]
+          );
+          stepId = inserted.insertId;
+        }
+        const riIds = st.recipeIngredientIds.filter((id) => riIdMap.has(id)).map((id) => riIdMap.get(id));
+        await replaceStepIngredients(stepId, riIds, conn);
+      }
+
+      // Oznake po vrsti in imenu; izbrisane oznake ensureTags ponovno ustvari
+      await conn.query("DELETE FROM recipe_tags WHERE recipe_id = ?", [recipeId]);
+      if (snapshot.tags.length > 0) {
+        const tagIds = await ensureTags(
+          snapshot.tags.map((t) => ({ type: t.type, name: t.name, slug: slugify(t.name) })),
+          conn
+        );
+        await conn.query("INSERT IGNORE INTO recipe_tags (recipe_id, tag_id) VALUES ?", [
+          tagIds.map((tagId) => [recipeId, tagId]),
+        ]);
+      }
+
+      revision = await recordRecipeRevision(recipeId, userId, "restore", conn, rev);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    await removePhotoFiles(removedStepPhotos.map((p) => p.storage_key));
+
+    return res.status(200).json({ data: { revision, restoredFrom: rev, skippedIngredients } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// ----------------------------------------------
+// RECIPE REVIEWS
+// ----------------------------------------------
+
+const REVIEW_BODY_MAX_LENGTH = 2000;
+
+// Validates rating/body from a request body; partial = PATCH (vsa polja neobvezna).
+// Returns { error } | { rating?, body? }
+function validateReviewFields(input, partial) {
+  const { rating, body } = input || {};
+  const out = {};
+
+  if (rating !== undefined || !partial) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: "rating must be an integer between 1 and 5" };
+    }
+    out.rating = rating;
+  }
+
+  if (body !== undefined) {
+    if (body !== null && typeof body !== "string") return { error: "body must be a string or null" };
+    const text = body === null ? "" : body.trim();
+    if (text.length > REVIEW_BODY_MAX_LENGTH) {
+      return { error: `body must be at most ${REVIEW_BODY_MAX_LENGTH} chars` };
+    }
+    out.body = text || null;
+  }
+
+  if (Object.keys(out).length === 0) return { error: "No fields to update" };
+  return out;
+}
+
+// GET /public/recipes/:id/reviews
+/**
+ * @openapi
+ * /public/recipes/{id}/reviews:
+ *   get:
+ *     tags: [Reviews]
+ *     summary: Mnenja o javnem receptu (najnovejša najprej) + povzetek ocen
+ *     description: Prijava ni potrebna; s tokenom dobiš `isMine` in `myReview`.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: rating
+ *         schema: { type: integer, minimum: 1, maximum: 5 }
+ *         description: Samo mnenja z izbrano oceno
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/RatingSummary'
+ *                         - type: object
+ *                           properties:
+ *                             distribution:
+ *                               type: object
+ *                               example: { "1": 0, "2": 0, "3": 1, "4": 0, "5": 2 }
+ *                     myReview:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Review'
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Review' }
+ *                     page: { type: integer, example: 1 }
+ *                     pageSize: { type: integer, example: 20 }
+ *                     total: { type: integer, example: 3 }
+ *       400:
+ *         description: Invalid id / rating
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/public/recipes/:id/reviews", authOptional, async (req, res) => {
+  try {
+    const userId = req.user ? Number(req.user.sub) : null;
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const rating = req.query.rating === undefined ? null : Number(req.query.rating);
+    if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "rating must be an integer between 1 and 5" },
+      });
+    }
+
+    const [recipes] = await pool.query("SELECT id FROM recipes WHERE id = ? AND is_public = 1 LIMIT 1", [recipeId]);
+    if (recipes.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+
+    const { page, pageSize, offset } = pickPagination(req, 1, 20, 100);
+
+    const [distRows] = await pool.query(
+      "SELECT rating, COUNT(*) AS count FROM recipe_reviews WHERE recipe_id = ? GROUP BY rating",
+      [recipeId]
+    );
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let sum = 0;
+    for (const d of distRows) {
+      distribution[d.rating] = d.count;
+      count += d.count;
+      sum += d.rating * d.count;
+    }
+
+    let where = "WHERE rv.recipe_id = ?";
+    const params = [recipeId];
+    if (rating !== null) {
+      where += " AND rv.rating = ?";
+      params.push(rating);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT rv.id, rv.user_id, u.full_name AS author_name, rv.rating, rv.body, rv.created_at, rv.updated_at
+       FROM recipe_reviews rv
+       JOIN users u ON u.id = rv.user_id
+       ${where}
+       ORDER BY rv.created_at DESC, rv.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, offset]
+    );
+
+    const toReview = (r) => ({
+      id: r.id,
+      rating: r.rating,
+      body: r.body,
+      author: { id: r.user_id, displayName: r.author_name },
+      isMine: userId !== null && r.user_id === userId,
+      created_at: r.created_at,
+      updated_at: r.updated_at,
+    });
+
+    let myReview = null;
+    if (userId !== null) {
+      const [mine] = await pool.query(
+        `SELECT rv.id, rv.user_id, u.full_name AS author_name, rv.rating, rv.body, rv.created_at, rv.updated_at
+         FROM recipe_reviews rv
+         JOIN users u ON u.id = rv.user_id
+         WHERE rv.recipe_id = ? AND rv.user_id = ?
+         LIMIT 1`,
+        [recipeId, userId]
+      );
+      if (mine.length > 0) myReview = toReview(mine[0]);
+    }
+
+    return res.status(200).json({
+      data: {
+        summary: { ...ratingSummary(count > 0 ? sum / count : null, count), distribution },
+        myReview,
+        items: rows.map(toReview),
+        page,
+        pageSize,
+        total: rating === null ? count : distribution[rating],
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /recipes/:id/reviews
+/**
+ * @openapi
+ * /recipes/{id}/reviews:
+ *   post:
+ *     tags: [Reviews]
+ *     summary: Oceni javni recept (eno mnenje na uporabnika in recept)
+ *     description: Svojega recepta ni mogoče oceniti. Obstoječe mnenje uredi s PATCH /recipes/{id}/reviews/{reviewId}.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ErrorResponse'
- *     Conflict:
- *       description: Conflict (duplicate)
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating: { type: integer, minimum: 1, maximum: 5, example: 5 }
+ *               body: { type: string, nullable: true, maxLength: 2000, example: "Odlične, dodala sem še cimet." }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 12 }
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       403:
+ *         description: Lasten recept (FORBIDDEN) / email ni potrjen (EMAIL_NOT_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found (ali ni javen)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       409:
+ *         description: Recept si že ocenil
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.post("/recipes/:id/reviews", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
+
+    const userId = Number(req.user.sub);
+
+    const fields = validateReviewFields(req.body, false);
+    if (fields.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: fields.error } });
+    }
+
+    const [recipes] = await pool.query("SELECT user_id FROM recipes WHERE id = ? AND is_public = 1 LIMIT 1", [
+      recipeId,
+    ]);
+    if (recipes.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
+    if (recipes[0].user_id === userId) {
+      return res.status(403).json({
+        error: { code: "FORBIDDEN", message: "You cannot review your own recipe" },
+      });
+    }
+
+    if (!(await assertVerifiedFor("reviews", userId))) {
+      return emailNotVerified(res);
+    }
+
+    const [existing] = await pool.query(
+      "SELECT id FROM recipe_reviews WHERE recipe_id = ? AND user_id = ? LIMIT 1",
+      [recipeId, userId]
+    );
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: { code: "CONFLICT", message: "You have already reviewed this recipe" },
+      });
+    }
+
+    let result;
+    try {
+      [result] = await pool.query(
+        `INSERT INTO recipe_reviews (recipe_id, user_id, rating, body, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [recipeId, userId, fields.rating, fields.body ?? null]
+      );
+    } catch (e) {
+      // vzporedna zahteva je mnenje vstavila med preverjanjem in INSERT-om
+      if (e.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "You have already reviewed this recipe" },
+        });
+      }
+      throw e;
+    }
+
+    return res.status(201).json({ data: { id: result.insertId } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// PATCH /recipes/:id/reviews/:reviewId
+/**
+ * @openapi
+ * /recipes/{id}/reviews/{reviewId}:
+ *   patch:
+ *     tags: [Reviews]
+ *     summary: Uredi svoje mnenje
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ErrorResponse'
+ *             type: object
+ *             properties:
+ *               rating: { type: integer, minimum: 1, maximum: 5, example: 4 }
+ *               body: { type: string, nullable: true, maxLength: 2000 }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated: { type: boolean, example: true }
+ *       400:
+ *         description: Validation error / no fields
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Review not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
  */
+app.patch("/recipes/:id/reviews/:reviewId", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    const reviewId = parseId(req.params.reviewId);
+    if (!recipeId || !reviewId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
 
+    const fields = validateReviewFields(req.body, true);
+    if (fields.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: fields.error } });
+    }
 
+    const updates = Object.keys(fields).map((f) => `${f} = ?`);
+    const [result] = await pool.query(
+      `UPDATE recipe_reviews
+       SET ${updates.join(", ")}, updated_at = NOW()
+       WHERE id = ? AND recipe_id = ? AND user_id = ?`,
+      [...Object.values(fields), reviewId, recipeId, req.user.sub]
+    );
 
-// API routes
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Review not found" } });
+    }
 
-// Health check
+    return res.status(200).json({ data: { updated: true } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// DELETE /recipes/:id/reviews/:reviewId
 /**
  * @openapi
- * /health:
- *   get:
- *     tags: [System]
- *     summary: Health check + DB connectivity test
+ * /recipes/{id}/reviews/{reviewId}:
+ *   delete:
+ *     tags: [Reviews]
+ *     summary: Izbriše mnenje (svoje; moderator/admin lahko katerokoli)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     responses:
- *       200:
- *         description: OK
+ *       204:
+ *         description: Deleted
+ *       400:
+ *         description: Invalid id
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status: { type: string, example: "ok" }
- *                 db:
- *                   type: object
- *                   properties:
- *                     ok: { type: integer, example: 1 }
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Review not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       500:
- *         description: DB or server error
+ *         description: Server error
  */
-app.get("/health", async (req, res) => {
+app.delete("/recipes/:id/reviews/:reviewId", authRequired, async (req, res) => {
   try {
-    const [rows] = await pool.query("SELECT 1 AS ok");
-    res.status(200).json({ status: "ok", pool: rows[0] });
+    const recipeId = parseId(req.params.id);
+    const reviewId = parseId(req.params.reviewId);
+    if (!recipeId || !reviewId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    }
+
+    const userId = req.user.sub;
+    const [users] = await pool.query("SELECT role FROM users WHERE id = ? LIMIT 1", [userId]);
+    const isModerator = users.length > 0 && ["moderator", "admin"].includes(users[0].role);
+
+    const [result] = await pool.query(
+      `DELETE FROM recipe_reviews
+       WHERE id = ? AND recipe_id = ?${isModerator ? "" : " AND user_id = ?"}`,
+      isModerator ? [reviewId, recipeId] : [reviewId, recipeId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Review not found" } });
+    }
+
+    return res.status(204).send();
   } catch (err) {
-    res.status(500).json({ status: "error", message: err.message });
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
 
 // ----------------------------------------------
-// AUTHENTICATION AND USER MANAGEMENT 
+// FAVORITES & COLLECTIONS
 // ----------------------------------------------
 
-// POST /auth/register
+const COLLECTION_NAME_MAX_LENGTH = 100;
+const COLLECTION_DESCRIPTION_MAX_LENGTH = 1000;
+
+// Validates name/description; partial = PATCH. Returns { error } | { name?, description? }
+function validateCollectionFields(input, partial) {
+  const { name, description } = input || {};
+  const out = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || name.trim().length < 1 || name.trim().length > COLLECTION_NAME_MAX_LENGTH) {
+      return { error: `name is required (1-${COLLECTION_NAME_MAX_LENGTH} chars)` };
+    }
+    out.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== "string") {
+      return { error: "description must be a string or null" };
+    }
+    if (description && description.length > COLLECTION_DESCRIPTION_MAX_LENGTH) {
+      return { error: `description must be at most ${COLLECTION_DESCRIPTION_MAX_LENGTH} chars` };
+    }
+    out.description = description ? description.trim() || null : null;
+  }
+
+  if (Object.keys(out).length === 0) return { error: "No fields to update" };
+  return out;
+}
+
+// Helper: own or public recipe (favorites and collections may hold both)
+async function assertRecipeVisible(recipeId, userId) {
+  const [rows] = await pool.query(
+    "SELECT id FROM recipes WHERE id = ? AND (user_id = ? OR is_public = 1) LIMIT 1",
+    [recipeId, userId]
+  );
+  return rows.length > 0;
+}
+
+// PUT /recipes/:id/favorite
 /**
  * @openapi
- * /auth/register:
- *   post:
- *     tags: [Auth]
- *     summary: Registracija uporabnika
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [email, password, fullName]
- *             properties:
- *               email:
- *                 type: string
- *                 example: test-user@test.com
- *               password:
- *                 type: string
- *                 example: SuperGeslo123!
- *               fullName:
- *                 type: string
- *                 example: Test User
+ * /recipes/{id}/favorite:
+ *   put:
+ *     tags: [Collections]
+ *     summary: Označi recept kot priljubljen (svoj ali javni)
+ *     description: Idempotentno. Seznam priljubljenih je GET /recipes?favorites=true.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     responses:
- *       201:
- *         description: Created
+ *       200:
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
@@ -375,87 +9687,117 @@ app.get("/health", async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *                     tokens:
- *                       $ref: '#/components/schemas/Tokens'
+ *                     isFavorite: { type: boolean, example: true }
  *       400:
- *         $ref: '#/components/responses/ValidationError'
- *       409:
- *         $ref: '#/components/responses/Conflict'
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       500:
  *         description: Server error
  */
-
-app.post("/auth/register", async (req, res) => {
+app.put("/recipes/:id/favorite", authRequired, async (req, res) => {
   try {
-    const { email, password, fullName = null } = req.body || {};
-
-    if (!email || typeof email !== "string" || !email.includes("@")) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "Invalid email" },
-      });
-    }
-    if (!password || typeof password !== "string" || password.length < 8) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "Password must be at least 8 characters" },
-      });
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
     }
 
-    // Check if exists
-    const [existing] = await pool.query(
-      "SELECT id FROM users WHERE email = ? LIMIT 1",
-      [email.trim().toLowerCase()]
-    );
-    if (existing.length > 0) {
-      return res.status(409).json({
-        error: { code: "CONFLICT", message: "Email already registered" },
-      });
+    const userId = req.user.sub;
+    if (!(await assertRecipeVisible(recipeId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
     }
 
-    const passwordHash = await bcrypt.hash(password, 12);
-
-    // Insert user (PRILAGODI ime stolpcev, če se razlikujejo)
-    const [result] = await pool.query(
-      `INSERT INTO users (email, password_hash, full_name, created_at, updated_at)
-       VALUES (?, ?, ?, NOW(), NOW())`,
-      [email.trim().toLowerCase(), passwordHash, fullName]
-    );
+    await pool.query("INSERT IGNORE INTO recipe_favorites (user_id, recipe_id, created_at) VALUES (?, ?, NOW())", [
+      userId,
+      recipeId,
+    ]);
 
-    const userId = result.insertId;
+    return res.status(200).json({ data: { isFavorite: true } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
 
-    const accessToken = signAccessToken({ sub: String(userId), email: email.trim().toLowerCase() });
-    const refreshToken = signRefreshToken({ sub: String(userId) });
+// DELETE /recipes/:id/favorite
+/**
+ * @openapi
+ * /recipes/{id}/favorite:
+ *   delete:
+ *     tags: [Collections]
+ *     summary: Odstrani recept iz priljubljenih
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     responses:
+ *       204:
+ *         description: Removed (tudi če ni bil priljubljen)
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.delete("/recipes/:id/favorite", authRequired, async (req, res) => {
+  try {
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    }
 
-    return res.status(201).json({
-      data: {
-        user: { id: userId, email: email.trim().toLowerCase(), fullName },
-        tokens: { accessToken, refreshToken },
-      },
-    });
+    await pool.query("DELETE FROM recipe_favorites WHERE user_id = ? AND recipe_id = ?", [req.user.sub, recipeId]);
+
+    return res.status(204).send();
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// POST /auth/login
+// POST /recipes/:id/cooked
 /**
  * @openapi
- * /auth/login:
+ * /recipes/{id}/cooked:
  *   post:
- *     tags: [Auth]
- *     summary: Login user and receive tokens
+ *     tags: [Recipes]
+ *     summary: Zabeleži, da sem recept skuhal (za sort=lastCooked)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [email, password]
  *             properties:
- *               email: { type: string, example: "test-user@test.com" }
- *               password: { type: string, example: "SuperGeslo123!" }
+ *               cookedAt: { type: string, format: date-time, description: "Privzeto zdaj; ne sme biti v prihodnosti" }
  *     responses:
  *       200:
  *         description: OK
@@ -467,82 +9809,83 @@ app.post("/auth/register", async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *                     tokens:
- *                       $ref: '#/components/schemas/Tokens'
+ *                     lastCookedAt: { type: string, format: date-time }
+ *                     cookCount: { type: integer, example: 3 }
  *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *         description: Invalid id or cookedAt
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       401:
- *         $ref: '#/components/responses/Unauthorized'
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       500:
  *         description: Server error
  */
-app.post("/auth/login", async (req, res) => {
+app.post("/recipes/:id/cooked", authRequired, async (req, res) => {
   try {
-    const { email, password } = req.body || {};
-
-    if (!email || !password) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "email and password are required" },
-      });
+    const recipeId = parseId(req.params.id);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
     }
 
-    const [rows] = await pool.query(
-      `SELECT id, email, password_hash, full_name
-       FROM users
-       WHERE email = ?
-       LIMIT 1`,
-      [email.trim().toLowerCase()]
-    );
-
-    if (rows.length === 0) {
-      return res.status(401).json({
-        error: { code: "UNAUTHORIZED", message: "Invalid credentials" },
-      });
+    let cookedAt = new Date();
+    const { cookedAt: cookedAtRaw } = req.body || {};
+    if (cookedAtRaw !== undefined && cookedAtRaw !== null) {
+      cookedAt = new Date(cookedAtRaw);
+      const invalid = typeof cookedAtRaw !== "string" || Number.isNaN(cookedAt.getTime());
+      if (invalid || cookedAt.getTime() > Date.now() + 60 * 1000) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "cookedAt must be a date-time that is not in the future" },
+        });
+      }
     }
 
-    const user = rows[0];
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) {
-      return res.status(401).json({
-        error: { code: "UNAUTHORIZED", message: "Invalid credentials" },
-      });
+    const userId = req.user.sub;
+    if (!(await assertRecipeVisible(recipeId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
     }
 
-    const accessToken = signAccessToken({ sub: String(user.id), email: user.email });
-    const refreshToken = signRefreshToken({ sub: String(user.id) });
+    // starejši vnos (cookedAt za nazaj) poveča le števec
+    await pool.query(
+      `INSERT INTO recipe_cooks (user_id, recipe_id, cook_count, last_cooked_at) VALUES (?, ?, 1, ?)
+       ON DUPLICATE KEY UPDATE cook_count = cook_count + 1, last_cooked_at = GREATEST(last_cooked_at, VALUES(last_cooked_at))`,
+      [userId, recipeId, cookedAt]
+    );
 
-    return res.status(200).json({
-      data: {
-        user: { id: user.id, email: user.email, fullName: user.full_name },
-        tokens: { accessToken, refreshToken },
-      },
-    });
+    const [rows] = await pool.query(
+      "SELECT last_cooked_at, cook_count FROM recipe_cooks WHERE user_id = ? AND recipe_id = ?",
+      [userId, recipeId]
+    );
+
+    return res.status(200).json({ data: { lastCookedAt: rows[0].last_cooked_at, cookCount: rows[0].cook_count } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// POST /auth/refresh
+// GET /collections
 /**
  * @openapi
- * /auth/refresh:
- *   post:
- *     tags: [Auth]
- *     summary: Osveži access token (in običajno tudi refresh token)
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [refreshToken]
- *             properties:
- *               refreshToken:
- *                 type: string
- *                 example: eyJhbGciOi...
+ * /collections:
+ *   get:
+ *     tags: [Collections]
+ *     summary: Moje zbirke receptov
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: recipeId
+ *         schema: { type: integer, format: int64 }
+ *         description: Doda `containsRecipe` (ali je recept že v zbirki)
  *     responses:
  *       200:
  *         description: OK
@@ -554,121 +9897,152 @@ app.post("/auth/login", async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     tokens:
- *                       $ref: '#/components/schemas/Tokens'
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Collection' }
  *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *         description: Invalid recipeId
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       401:
- *         $ref: '#/components/responses/Unauthorized'
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       500:
  *         description: Server error
  */
-app.post("/auth/refresh", async (req, res) => {
+app.get("/collections", authRequired, async (req, res) => {
   try {
-    const { refreshToken } = req.body || {};
-    if (!refreshToken) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "refreshToken is required" },
-      });
-    }
-
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (e) {
-      return res.status(401).json({
-        error: { code: "UNAUTHORIZED", message: "Invalid refresh token" },
-      });
-    }
-
-    const userId = decoded.sub;
+    const userId = req.user.sub;
 
-    // (opcijsko) preveri, da user še obstaja
-    const [rows] = await pool.query("SELECT id, email FROM users WHERE id = ? LIMIT 1", [userId]);
-    if (rows.length === 0) {
-      return res.status(401).json({
-        error: { code: "UNAUTHORIZED", message: "User not found" },
-      });
+    let recipeId = null;
+    if (req.query.recipeId !== undefined) {
+      recipeId = parseId(req.query.recipeId);
+      if (!recipeId) {
+        return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipeId" } });
+      }
     }
 
-    const accessToken = signAccessToken({ sub: String(rows[0].id), email: rows[0].email });
-    const newRefreshToken = signRefreshToken({ sub: String(rows[0].id) });
+    // recipeCount šteje le recepte, ki so mi še vidni (tuj recept je lahko medtem postal zaseben)
+    const [rows] = await pool.query(
+      `SELECT c.id, c.name, c.description, c.created_at, c.updated_at,
+              (SELECT COUNT(*) FROM collection_recipes cr
+               JOIN recipes r ON r.id = cr.recipe_id
+               WHERE cr.collection_id = c.id AND (r.user_id = ? OR r.is_public = 1)) AS recipeCount
+              ${recipeId ? ", EXISTS (SELECT 1 FROM collection_recipes cr WHERE cr.collection_id = c.id AND cr.recipe_id = ?) AS containsRecipe" : ""}
+       FROM collections c
+       WHERE c.user_id = ?
+       ORDER BY c.name ASC`,
+      recipeId ? [userId, recipeId, userId] : [userId, userId]
+    );
 
-    return res.status(200).json({
-      data: { tokens: { accessToken, refreshToken: newRefreshToken } },
-    });
+    const items = rows.map((c) => (recipeId ? { ...c, containsRecipe: Boolean(c.containsRecipe) } : c));
+    return res.status(200).json({ data: { items } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// GET /auth/me
+// POST /collections
 /**
  * @openapi
- * /auth/me:
- *   get:
- *     tags: [Auth]
- *     summary: Podatki prijavljenega uporabnika
+ * /collections:
+ *   post:
+ *     tags: [Collections]
+ *     summary: Ustvari zbirko
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, maxLength: 100, example: "Božič" }
+ *               description: { type: string, nullable: true, example: "Piškoti in potica" }
  *     responses:
- *       200:
- *         description: OK
+ *       201:
+ *         description: Created
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 data:
- *                   $ref: '#/components/schemas/User'
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 3 }
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       409:
+ *         description: Zbirka s tem imenom že obstaja
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       401:
- *         $ref: '#/components/responses/Unauthorized'
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       500:
  *         description: Server error
  */
-app.get("/auth/me", authRequired, async (req, res) => {
-  const userId = req.user.sub;
+app.post("/collections", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
 
-  const [rows] = await pool.query(
-    "SELECT id, email, full_name FROM users WHERE id = ? LIMIT 1",
-    [userId]
-  );
+    const fields = validateCollectionFields(req.body, false);
+    if (fields.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: fields.error } });
+    }
 
-  if (rows.length === 0) {
-    return res.status(404).json({ error: { code: "NOT_FOUND", message: "User not found" } });
-  }
+    let result;
+    try {
+      [result] = await pool.query(
+        `INSERT INTO collections (user_id, name, description, created_at, updated_at)
+         VALUES (?, ?, ?, NOW(), NOW())`,
+        [userId, fields.name, fields.description ?? null]
+      );
+    } catch (e) {
+      // uq_collections_user_name: ime je že zasedeno (tudi ob vzporedni zahtevi)
+      if (e.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "Collection with this name already exists" },
+        });
+      }
+      throw e;
+    }
 
-  return res.status(200).json({
-    data: { id: rows[0].id, email: rows[0].email, fullName: rows[0].full_name },
-  });
+    return res.status(201).json({ data: { id: result.insertId } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
 });
 
-
-// ----------------------------------------------
-// RECIPE MANAGEMENT
-// ----------------------------------------------
-
-// GET /recipes
+// GET /collections/:id
 /**
  * @openapi
- * /recipes:
+ * /collections/{id}:
  *   get:
- *     tags: [Recipes]
- *     summary: Seznam receptov (s pagination + search)
+ *     tags: [Collections]
+ *     summary: Zbirka z urejenim seznamom id-jev receptov
+ *     description: Recepte s podrobnostmi (filtri, iskanje, paginacija) vrne GET /recipes?collectionId={id}.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: search
- *         schema: { type: string }
- *         description: Išče po title/description (LIKE %search%)
- *       - in: query
- *         name: page
- *         schema: { type: integer, minimum: 1, default: 1 }
- *       - in: query
- *         name: pageSize
- *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     responses:
  *       200:
  *         description: OK
@@ -678,14 +10052,24 @@ app.get("/auth/me", authRequired, async (req, res) => {
  *               type: object
  *               properties:
  *                 data:
- *                   type: object
- *                   properties:
- *                     items:
- *                       type: array
- *                       items: { $ref: '#/components/schemas/RecipeListItem' }
- *                     page: { type: integer, example: 1 }
- *                     pageSize: { type: integer, example: 20 }
- *                     total: { type: integer, example: 3 }
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Collection'
+ *                     - type: object
+ *                       properties:
+ *                         recipeIds:
+ *                           type: array
+ *                           items: { type: integer, format: int64 }
+ *                           example: [4, 12, 9]
+ *       400:
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Collection not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
  *       401:
  *         description: Unauthorized
  *         content:
@@ -694,35 +10078,40 @@ app.get("/auth/me", authRequired, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.get("/recipes", authRequired, async (req, res) => {
+app.get("/collections/:id", authRequired, async (req, res) => {
   try {
-    const userId = req.user.sub;
-
-    const search = (req.query.search || "").toString().trim();
-    const page = Math.max(1, parseInt(req.query.page || "1", 10));
-    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || "20", 10)));
-    const offset = (page - 1) * pageSize;
-
-    let where = "WHERE user_id = ?";
-    const params = [userId];
-
-    if (search) {
-      where += " AND (title LIKE ? OR description LIKE ?)";
-      params.push(`%${search}%`, `%${search}%`);
+    const collectionId = parseId(req.params.id);
+    if (!collectionId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid collection id" } });
     }
 
-    const [countRows] = await pool.query(`SELECT COUNT(*) AS total FROM recipes ${where}`, params);
-    const [items] = await pool.query(
-      `SELECT id, title, description, servings, created_at, updated_at
-       FROM recipes
-       ${where}
-       ORDER BY updated_at DESC
-       LIMIT ? OFFSET ?`,
-      [...params, pageSize, offset]
+    const userId = req.user.sub;
+    const [rows] = await pool.query(
+      `SELECT id, name, description, created_at, updated_at
+       FROM collections
+       WHERE id = ? AND user_id = ?
+       LIMIT 1`,
+      [collectionId, userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
+    }
+
+    const [recipes] = await pool.query(
+      `SELECT cr.recipe_id
+       FROM collection_recipes cr
+       JOIN recipes r ON r.id = cr.recipe_id
+       WHERE cr.collection_id = ? AND (r.user_id = ? OR r.is_public = 1)
+       ORDER BY cr.position ASC`,
+      [collectionId, userId]
     );
 
     return res.status(200).json({
-      data: { items, page, pageSize, total: countRows[0].total },
+      data: {
+        ...rows[0],
+        recipeCount: recipes.length,
+        recipeIds: recipes.map((r) => r.recipe_id),
+      },
     });
   } catch (err) {
     console.error(err);
@@ -730,33 +10119,32 @@ app.get("/recipes", authRequired, async (req, res) => {
   }
 });
 
-// POST /recipes
+// PATCH /collections/:id
 /**
  * @openapi
- * /recipes:
- *   post:
- *     tags: [Recipes]
- *     summary: Ustvari recept
+ * /collections/{id}:
+ *   patch:
+ *     tags: [Collections]
+ *     summary: Preimenuj zbirko / spremeni opis
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [title]
  *             properties:
- *               title: { type: string, example: "Palačinke" }
- *               description: { type: string, nullable: true, example: "Hitre" }
- *               instructions: { type: string, nullable: true, example: "Zmešaj..." }
- *               prepTimeMinutes: { type: integer, nullable: true, example: 10 }
- *               cookTimeMinutes: { type: integer, nullable: true, example: 10 }
- *               servings: { type: integer, nullable: true, example: 4 }
- *               isPublic: { type: integer, example: 0, description: "0/1" }
+ *               name: { type: string, maxLength: 100, example: "Hitra večerja" }
+ *               description: { type: string, nullable: true }
  *     responses:
- *       201:
- *         description: Created
+ *       200:
+ *         description: Updated
  *         content:
  *           application/json:
  *             schema:
@@ -765,9 +10153,19 @@ app.get("/recipes", authRequired, async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     id: { type: integer, format: int64, example: 1 }
+ *                     updated: { type: boolean, example: true }
  *       400:
- *         description: Validation error
+ *         description: Validation error / no fields
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Collection not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       409:
+ *         description: Zbirka s tem imenom že obstaja
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
@@ -779,47 +10177,55 @@ app.get("/recipes", authRequired, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.post("/recipes", authRequired, async (req, res) => {
+app.patch("/collections/:id", authRequired, async (req, res) => {
   try {
-    const userId = req.user.sub;
+    const collectionId = parseId(req.params.id);
+    if (!collectionId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid collection id" } });
+    }
 
-    const {
-      title,
-      description = null,
-      instructions = null,
-      prepTimeMinutes = null,
-      cookTimeMinutes = null,
-      servings = null,
-      isPublic = 0,
-    } = req.body || {};
+    const userId = req.user.sub;
+    const fields = validateCollectionFields(req.body, true);
+    if (fields.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: fields.error } });
+    }
 
-    if (!title || typeof title !== "string" || title.trim().length < 2) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "title is required (min 2 chars)" },
-      });
+    if (!(await assertCollectionOwnership(collectionId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
     }
 
-    const [result] = await pool.query(
-      `INSERT INTO recipes
-       (user_id, title, description, instructions, prep_time_minutes, cook_time_minutes, servings, is_public, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [userId, title.trim(), description, instructions, prepTimeMinutes, cookTimeMinutes, servings, isPublic ? 1 : 0]
-    );
+    const updates = Object.keys(fields).map((f) => `${f} = ?`);
+    try {
+      await pool.query(
+        `UPDATE collections
+         SET ${updates.join(", ")}, updated_at = NOW()
+         WHERE id = ? AND user_id = ?`,
+        [...Object.values(fields), collectionId, userId]
+      );
+    } catch (e) {
+      // uq_collections_user_name: ime ima že druga zbirka
+      if (e.code === "ER_DUP_ENTRY") {
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "Collection with this name already exists" },
+        });
+      }
+      throw e;
+    }
 
-    return res.status(201).json({ data: { id: result.insertId } });
+    return res.status(200).json({ data: { updated: true } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// GET /recipes/:id
+// DELETE /collections/:id
 /**
  * @openapi
- * /recipes/{id}:
- *   get:
- *     tags: [Recipes]
- *     summary: Vrne recept + njegove sestavine (recipe_ingredients)
+ * /collections/{id}:
+ *   delete:
+ *     tags: [Collections]
+ *     summary: Izbriše zbirko (recepti ostanejo)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -828,38 +10234,15 @@ app.post("/recipes", authRequired, async (req, res) => {
  *         required: true
  *         schema: { type: integer, format: int64 }
  *     responses:
- *       200:
- *         description: OK
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: object
- *                   properties:
- *                     recipe: { $ref: '#/components/schemas/Recipe' }
- *                     ingredients:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           recipeIngredientId: { type: integer, format: int64 }
- *                           ingredientId: { type: integer, format: int64 }
- *                           ingredientName: { type: string }
- *                           ingredientCategory: { type: string, nullable: true }
- *                           quantity: { type: number }
- *                           unit: { type: string, nullable: true }
- *                           note: { type: string, nullable: true }
- *                           created_at: { type: string, format: date-time }
- *                           updated_at: { type: string, format: date-time }
+ *       204:
+ *         description: Deleted
  *       400:
  *         description: Invalid id
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
  *       404:
- *         description: Not found (ni tvoj recept ali ne obstaja)
+ *         description: Collection not found
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
@@ -871,63 +10254,36 @@ app.post("/recipes", authRequired, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.get("/recipes/:id", authRequired, async (req, res) => {
+app.delete("/collections/:id", authRequired, async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    if (!Number.isInteger(recipeId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    const collectionId = parseId(req.params.id);
+    if (!collectionId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid collection id" } });
     }
 
-    const userId = req.user.sub;
-
-    const [rows] = await pool.query(
-      `SELECT id, user_id, title, description, instructions,
-              prep_time_minutes, cook_time_minutes, servings, is_public,
-              created_at, updated_at
-       FROM recipes
-       WHERE id = ? AND user_id = ?
-       LIMIT 1`,
-      [recipeId, userId]
-    );
-
-    if (rows.length === 0) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    const [result] = await pool.query("DELETE FROM collections WHERE id = ? AND user_id = ?", [
+      collectionId,
+      req.user.sub,
+    ]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
     }
 
-    const recipe = rows[0];
-
-    const [ingredients] = await pool.query(
-      `SELECT
-         ri.id AS recipeIngredientId,
-         ri.ingredient_id AS ingredientId,
-         i.name AS ingredientName,
-         i.category AS ingredientCategory,
-         ri.quantity,
-         ri.unit,
-         ri.note,
-         ri.created_at,
-         ri.updated_at
-       FROM recipe_ingredients ri
-       JOIN ingredients i ON i.id = ri.ingredient_id
-       WHERE ri.recipe_id = ?
-       ORDER BY ri.id ASC`,
-      [recipeId]
-    );
-
-    return res.status(200).json({ data: { ...recipe, ingredients } });
+    return res.status(204).send();
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// PATCH /recipes/:id
+// POST /collections/:id/recipes
 /**
  * @openapi
- * /recipes/{id}:
- *   patch:
- *     tags: [Recipes]
- *     summary: Posodobi recept (partial update)
+ * /collections/{id}/recipes:
+ *   post:
+ *     tags: [Collections]
+ *     summary: Dodaj recept (svoj ali javni) v zbirko
+ *     description: Brez `position` se recept doda na konec; sicer se vstavi na to mesto (1 = prvi).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -941,18 +10297,13 @@ app.get("/recipes/:id", authRequired, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             description: "Pošlji samo polja, ki jih spreminjaš."
+ *             required: [recipeId]
  *             properties:
- *               title: { type: string, example: "Nove palačinke" }
- *               description: { type: string, nullable: true }
- *               instructions: { type: string, nullable: true }
- *               prepTimeMinutes: { type: integer, nullable: true }
- *               cookTimeMinutes: { type: integer, nullable: true }
- *               servings: { type: integer, nullable: true }
- *               isPublic: { type: integer, example: 1 }
+ *               recipeId: { type: integer, format: int64, example: 12 }
+ *               position: { type: integer, minimum: 1, example: 1 }
  *     responses:
- *       200:
- *         description: Updated
+ *       201:
+ *         description: Added
  *         content:
  *           application/json:
  *             schema:
@@ -961,14 +10312,20 @@ app.get("/recipes/:id", authRequired, async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     updated: { type: boolean, example: true }
+ *                     recipeId: { type: integer, format: int64, example: 12 }
+ *                     position: { type: integer, example: 4 }
  *       400:
- *         description: Validation error / no fields
+ *         description: Validation error
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
  *       404:
- *         description: Recipe not found
+ *         description: Collection / recipe not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       409:
+ *         description: Recept je že v zbirki
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
@@ -980,107 +10337,207 @@ app.get("/recipes/:id", authRequired, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.patch("/recipes/:id", authRequired, async (req, res) => {
+app.post("/collections/:id/recipes", authRequired, async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    if (!Number.isInteger(recipeId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    const collectionId = parseId(req.params.id);
+    if (!collectionId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid collection id" } });
     }
 
     const userId = req.user.sub;
-    const ok = await assertRecipeOwnership(recipeId, userId);
-    if (!ok) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    const { position } = req.body || {};
+    const recipeId = parseId((req.body || {}).recipeId);
+    if (!recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "recipeId is required" } });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "position must be a positive integer" },
+      });
     }
 
-    const {
-      title,
-      description,
-      instructions,
-      prepTimeMinutes,
-      cookTimeMinutes,
-      servings,
-      isPublic,
-    } = req.body || {};
+    if (!(await assertCollectionOwnership(collectionId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
+    }
+    if (!(await assertRecipeVisible(recipeId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    }
 
-    const updates = [];
-    const params = [];
+    let newPosition;
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
 
-    if (title !== undefined) {
-      if (typeof title !== "string" || title.trim().length < 2) {
-        return res.status(400).json({
-          error: { code: "VALIDATION_ERROR", message: "title must be at least 2 chars" },
+      const [entries] = await conn.query(
+        "SELECT recipe_id, position FROM collection_recipes WHERE collection_id = ? FOR UPDATE",
+        [collectionId]
+      );
+      if (entries.some((e) => e.recipe_id === recipeId)) {
+        await conn.rollback();
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "Recipe is already in this collection" },
         });
       }
-      updates.push("title = ?");
-      params.push(title.trim());
-    }
-
-    if (description !== undefined) {
-      updates.push("description = ?");
-      params.push(description);
-    }
 
-    if (instructions !== undefined) {
-      updates.push("instructions = ?");
-      params.push(instructions);
-    }
+      const last = entries.reduce((max, e) => Math.max(max, e.position), 0);
+      newPosition = position === undefined ? last + 1 : Math.min(position, last + 1);
+      await conn.query(
+        "UPDATE collection_recipes SET position = position + 1 WHERE collection_id = ? AND position >= ?",
+        [collectionId, newPosition]
+      );
+      await conn.query(
+        "INSERT INTO collection_recipes (collection_id, recipe_id, position, added_at) VALUES (?, ?, ?, NOW())",
+        [collectionId, recipeId, newPosition]
+      );
+      await conn.query("UPDATE collections SET updated_at = NOW() WHERE id = ?", [collectionId]);
 
-    if (prepTimeMinutes !== undefined) {
-      updates.push("prep_time_minutes = ?");
-      params.push(prepTimeMinutes);
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
     }
 
-    if (cookTimeMinutes !== undefined) {
-      updates.push("cook_time_minutes = ?");
-      params.push(cookTimeMinutes);
-    }
+    return res.status(201).json({ data: { recipeId, position: newPosition } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
 
-    if (servings !== undefined) {
-      updates.push("servings = ?");
-      params.push(servings);
+// PUT /collections/:id/recipes/order
+/**
+ * @openapi
+ * /collections/{id}/recipes/order:
+ *   put:
+ *     tags: [Collections]
+ *     summary: Nastavi vrstni red receptov v zbirki
+ *     description: recipeIds mora vsebovati vse (vidne) recepte zbirke natanko enkrat, kot jih vrne GET /collections/{id}.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recipeIds]
+ *             properties:
+ *               recipeIds:
+ *                 type: array
+ *                 items: { type: integer, format: int64 }
+ *                 example: [9, 4, 12]
+ *     responses:
+ *       200:
+ *         description: Reordered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recipeIds:
+ *                       type: array
+ *                       items: { type: integer, format: int64 }
+ *       400:
+ *         description: recipeIds ni permutacija receptov v zbirki
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       404:
+ *         description: Collection not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.put("/collections/:id/recipes/order", authRequired, async (req, res) => {
+  try {
+    const collectionId = parseId(req.params.id);
+    if (!collectionId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid collection id" } });
     }
 
-    if (isPublic !== undefined) {
-      updates.push("is_public = ?");
-      params.push(isPublic ? 1 : 0);
+    const userId = req.user.sub;
+    if (!(await assertCollectionOwnership(collectionId, userId))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
     }
 
-    if (updates.length === 0) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "No fields to update" },
-      });
+    const { recipeIds } = req.body || {};
+    if (!Array.isArray(recipeIds)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "recipeIds must be an array" } });
     }
+    const ids = recipeIds.map(Number);
 
-    updates.push("updated_at = NOW()");
-
-    params.push(recipeId, userId);
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [entries] = await conn.query(
+        `SELECT cr.recipe_id, (r.user_id = ? OR r.is_public = 1) AS visible
+         FROM collection_recipes cr
+         JOIN recipes r ON r.id = cr.recipe_id
+         WHERE cr.collection_id = ?
+         ORDER BY cr.position ASC
+         FOR UPDATE`,
+        [userId, collectionId]
+      );
+      const visible = new Set(entries.filter((e) => e.visible).map((e) => e.recipe_id));
+      const isPermutation =
+        ids.length === visible.size && new Set(ids).size === ids.length && ids.every((id) => visible.has(id));
+      if (!isPermutation) {
+        await conn.rollback();
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: "recipeIds must list every recipe of the collection exactly once" },
+        });
+      }
 
-    const [result] = await pool.query(
-      `UPDATE recipes
-       SET ${updates.join(", ")}
-       WHERE id = ? AND user_id = ?`,
-      params
-    );
+      // recepti, ki so medtem postali zasebni, ostanejo na koncu v dosedanjem vrstnem redu
+      const order = [...ids, ...entries.filter((e) => !e.visible).map((e) => e.recipe_id)];
+      for (let i = 0; i < order.length; i++) {
+        await conn.query(
+          "UPDATE collection_recipes SET position = ? WHERE collection_id = ? AND recipe_id = ?",
+          [i + 1, collectionId, order[i]]
+        );
+      }
+      await conn.query("UPDATE collections SET updated_at = NOW() WHERE id = ?", [collectionId]);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
     }
 
-    return res.status(200).json({ data: { updated: true } });
+    return res.status(200).json({ data: { recipeIds: ids } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// DELETE /recipes/:id
+// DELETE /collections/:id/recipes/:recipeId
 /**
  * @openapi
- * /recipes/{id}:
+ * /collections/{id}/recipes/{recipeId}:
  *   delete:
- *     tags: [Recipes]
- *     summary: Izbriše recept
+ *     tags: [Collections]
+ *     summary: Odstrani recept iz zbirke
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1088,16 +10545,20 @@ app.patch("/recipes/:id", authRequired, async (req, res) => {
  *         name: id
  *         required: true
  *         schema: { type: integer, format: int64 }
+ *       - in: path
+ *         name: recipeId
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     responses:
  *       204:
- *         description: Deleted
+ *         description: Removed
  *       400:
  *         description: Invalid id
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
  *       404:
- *         description: Recipe not found
+ *         description: Collection not found / recept ni v zbirki
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
@@ -1109,22 +10570,49 @@ app.patch("/recipes/:id", authRequired, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.delete("/recipes/:id", authRequired, async (req, res) => {
+app.delete("/collections/:id/recipes/:recipeId", authRequired, async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    if (!Number.isInteger(recipeId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    const collectionId = parseId(req.params.id);
+    const recipeId = parseId(req.params.recipeId);
+    if (!collectionId || !recipeId) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
     }
 
-    const userId = req.user.sub;
+    if (!(await assertCollectionOwnership(collectionId, req.user.sub))) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Collection not found" } });
+    }
 
-    const [result] = await pool.query(
-      "DELETE FROM recipes WHERE id = ? AND user_id = ?",
-      [recipeId, userId]
-    );
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+      const [entries] = await conn.query(
+        "SELECT position FROM collection_recipes WHERE collection_id = ? AND recipe_id = ? FOR UPDATE",
+        [collectionId, recipeId]
+      );
+      if (entries.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({
+          error: { code: "NOT_FOUND", message: "Recipe is not in this collection" },
+        });
+      }
+
+      await conn.query("DELETE FROM collection_recipes WHERE collection_id = ? AND recipe_id = ?", [
+        collectionId,
+        recipeId,
+      ]);
+      await conn.query(
+        "UPDATE collection_recipes SET position = position - 1 WHERE collection_id = ? AND position > ?",
+        [collectionId, entries[0].position]
+      );
+      await conn.query("UPDATE collections SET updated_at = NOW() WHERE id = ?", [collectionId]);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
     }
 
     return res.status(204).send();
@@ -1136,23 +10624,30 @@ app.delete("/recipes/:id", authRequired, async (req, res) => {
 
 
 // ----------------------------------------------
-// RECIPE INGREDIENT MANAGEMENT
+// GLOBAL INGREDIENT MANAGEMENT
 // ----------------------------------------------
 
-// GET /recipes/:id/ingredients
+// GET /ingredients
 /**
  * @openapi
- * /recipes/{id}/ingredients:
+ * /ingredients:
  *   get:
- *     tags: [Recipe Ingredients]
- *     summary: Seznam sestavin recepta (recipe_ingredients)
+ *     tags: [Ingredients]
+ *     summary: Globalni seznam sestavin (search + pagination)
+ *     description: Vrne potrjene sestavine in lastne predloge s statusom pending.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: integer, format: int64 }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: Išče po name/category
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
  *     responses:
  *       200:
  *         description: OK
@@ -1166,14 +10661,107 @@ app.delete("/recipes/:id", authRequired, async (req, res) => {
  *                   properties:
  *                     items:
  *                       type: array
- *                       items: { $ref: '#/components/schemas/RecipeIngredientItem' }
+ *                       items: { $ref: '#/components/schemas/Ingredient' }
+ *                     page: { type: integer }
+ *                     pageSize: { type: integer }
+ *                     total: { type: integer }
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Error' }
+ *       500:
+ *         description: Server error
+ */
+app.get("/ingredients", authRequired, async (req, res) => {
+  try {
+    const userId = req.user.sub;
+    const search = (req.query.search || "").toString().trim();
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || "20", 10)));
+    const offset = (page - 1) * pageSize;
+
+    // potrjene sestavine + lastni predlogi, ki še čakajo na potrditev
+    let where = "WHERE (status = 'approved' OR created_by_user_id = ?)";
+    const params = [userId];
+
+    if (search) {
+      where += " AND (name LIKE ? OR category LIKE ?)";
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    const [countRows] = await pool.query(
+      `SELECT COUNT(*) AS total FROM ingredients ${where}`,
+      params
+    );
+
+    const [items] = await pool.query(
+      `SELECT i.id, i.name, i.category, i.default_unit, i.density_g_per_ml, i.piece_weight_g,
+              ${NUTRIENT_COLUMNS_SQL}, ${DIET_COLUMNS.join(", ")},
+              i.status, i.created_by_user_id, i.created_at, i.updated_at
+       FROM ingredients i
+       ${where}
+       ORDER BY name ASC
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, offset]
+    );
+    const allergens = await loadIngredientAllergens(items.map((i) => i.id));
+
+    return res.status(200).json({
+      data: {
+        items: items.map((i) => ({ ...i, allergens: allergens.get(i.id) })),
+        page,
+        pageSize,
+        total: countRows[0].total,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+// POST /ingredients
+/**
+ * @openapi
+ * /ingredients:
+ *   post:
+ *     tags: [Ingredients]
+ *     summary: Ustvari globalno sestavino
+ *     description: Sestavine navadnih uporabnikov dobijo status pending, moderatorjev/adminov approved.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: "Moka" }
+ *               category: { type: string, nullable: true, example: "Suho" }
+ *               defaultUnit: { type: string, nullable: true, example: "g" }
+ *     responses:
+ *       201:
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer, format: int64, example: 5 }
+ *                     status: { type: string, example: "pending" }
  *       400:
- *         description: Invalid recipe id
+ *         description: Validation error
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
- *       404:
- *         description: Recipe not found (ni tvoj)
+ *       409:
+ *         description: Conflict (ingredient že obstaja)
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
@@ -1185,38 +10773,93 @@ app.delete("/recipes/:id", authRequired, async (req, res) => {
  *       500:
  *         description: Server error
  */
-app.get("/recipes/:id/ingredients", authRequired, async (req, res) => {
+app.post("/ingredients", authRequired, async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    if (!Number.isInteger(recipeId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
+    const userId = req.user.sub;
+    const { name, category = null, defaultUnit = null } = req.body || {};
+
+    if (!name || typeof name !== "string" || name.trim().length < 2) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "name is required (min 2 chars)" },
+      });
     }
 
-    const userId = req.user.sub;
-    const ok = await assertRecipeOwnership(recipeId, userId);
-    if (!ok) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    const cleanName = name.trim();
+
+    // prepreči duplikate po imenu (optional; če imaš unique constraint bo to 409)
+    const [existing] = await pool.query("SELECT id FROM ingredients WHERE name = ? LIMIT 1", [cleanName]);
+    if (existing.length > 0) {
+      return res.status(409).json({
+        error: { code: "CONFLICT", message: "Ingredient already exists" },
+      });
     }
 
-    const [items] = await pool.query(
-      `SELECT
-         ri.id,
-         ri.recipe_id,
-         ri.ingredient_id,
-         i.name AS ingredient_name,
-         i.category AS ingredient_category,
-         ri.quantity,
-         ri.unit,
-         ri.note,
-         ri.created_at,
-         ri.updated_at
-       FROM recipe_ingredients ri
-       JOIN ingredients i ON i.id = ri.ingredient_id
-       WHERE ri.recipe_id = ?
-       ORDER BY ri.id ASC`,
-      [recipeId]
+    // predlogi navadnih uporabnikov čakajo na potrditev moderatorja
+    const status = (await isCatalogModerator(userId)) ? "approved" : "pending";
+
+    const [result] = await pool.query(
+      `INSERT INTO ingredients (name, category, default_unit, status, created_by_user_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+      [cleanName, category, defaultUnit, status, userId]
     );
 
+    return res.status(201).json({ data: { id: result.insertId, status } });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
+
+
+// ----------------------------------------------
+// UNITS & CONVERSION
+// ----------------------------------------------
+
+// GET /units
+/**
+ * @openapi
+ * /units:
+ *   get:
+ *     tags: [Units]
+ *     summary: Katalog enot (kanonične enote, dimenzije, faktorji, sopomenke)
+ *     description: Faktor je v osnovni enoti dimenzije (mass -> g, volume -> ml, count -> kos). Prijava ni potrebna.
+ *     security:
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: dimension
+ *         schema: { type: string, enum: [mass, volume, count] }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Unit' }
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+app.get("/units", async (req, res) => {
+  try {
+    const dimension = req.query.dimension ? req.query.dimension.toString() : null;
+    if (dimension && !["mass", "volume", "count"].includes(dimension)) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "dimension must be mass, volume or count" },
+      });
+    }
+
+    const catalog = await loadUnitsCatalog();
+    const items = catalog.units.filter((u) => !dimension || u.dimension === dimension);
+
     return res.status(200).json({ data: { items } });
   } catch (err) {
     console.error(err);
@@ -1224,56 +10867,34 @@ app.get("/recipes/:id/ingredients", authRequired, async (req, res) => {
   }
 });
 
-// POST /recipes/:id/ingredients
+// POST /units/convert
 /**
  * @openapi
- * /recipes/{id}/ingredients:
+ * /units/convert:
  *   post:
- *     tags: [Recipe Ingredients]
- *     summary: Doda sestavino v recept (po ingredientId ali ingredientName)
+ *     tags: [Units]
+ *     summary: Pretvori količino med enotama
+ *     description: |
+ *       Enoti sta lahko kanonični kodi ali sopomenki (npr. "dkg", "žlice", "cup").
+ *       Pretvorba med volumnom in maso zahteva ingredientId z gostoto (density_g_per_ml),
+ *       med kosi in maso pa težo kosa (piece_weight_g). Prijava ni potrebna.
  *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: integer, format: int64 }
+ *       - {}
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [quantity]
+ *             required: [quantity, from, to]
  *             properties:
- *               ingredientId:
- *                 type: integer
- *                 format: int64
- *                 nullable: true
- *                 example: 5
- *               ingredientName:
- *                 type: string
- *                 nullable: true
- *                 example: "Moka"
- *               quantity:
- *                 type: number
- *                 example: 200
- *               unit:
- *                 type: string
- *                 nullable: true
- *                 example: "g"
- *               note:
- *                 type: string
- *                 nullable: true
- *                 example: "tip 500"
- *           examples:
- *             byId:
- *               value: { "ingredientId": 5, "quantity": 200, "unit": "g", "note": "tip 500" }
- *             byName:
- *               value: { "ingredientName": "Moka", "quantity": 200, "unit": "g" }
+ *               quantity: { type: number, example: 2 }
+ *               from: { type: string, example: "skodelica" }
+ *               to: { type: string, example: "g" }
+ *               ingredientId: { type: integer, format: int64, nullable: true, example: 5 }
  *     responses:
- *       201:
- *         description: Created
+ *       200:
+ *         description: OK
  *         content:
  *           application/json:
  *             schema:
@@ -1282,96 +10903,203 @@ app.get("/recipes/:id/ingredients", authRequired, async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     id: { type: integer, format: int64, example: 12 }
+ *                     quantity: { type: number, example: 254.4 }
+ *                     unit: { type: string, example: "g" }
+ *                     from:
+ *                       type: object
+ *                       properties:
+ *                         quantity: { type: number, example: 2 }
+ *                         unit: { type: string, example: "skodelica" }
+ *                     via:
+ *                       type: array
+ *                       description: Uporabljeni podatki sestavine (prazno, če gre za isto dimenzijo)
+ *                       items: { type: string, enum: [density, piece_weight] }
  *       400:
- *         description: Validation error (quantity, ingredientId/ingredientName)
+ *         description: Neznana enota / manjka gostota ali teža kosa
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Error' }
  *       404:
- *         description: Recipe not found
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *         $ref: '#/components/responses/NotFound'
  *       500:
  *         description: Server error
  */
-app.post("/recipes/:id/ingredients", authRequired, async (req, res) => {
+app.post("/units/convert", async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    if (!Number.isInteger(recipeId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid recipe id" } });
-    }
+    const { quantity, from, to, ingredientId = null } = req.body || {};
 
-    const userId = req.user.sub;
-    const ok = await assertRecipeOwnership(recipeId, userId);
-    if (!ok) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    const q = Number(quantity);
+    if (!Number.isFinite(q) || q < 0) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "quantity must be a non-negative number" },
+      });
     }
 
-    let { ingredientId, ingredientName, quantity, unit = null, note = null } = req.body || {};
-
-    // validate quantity
-    const q = Number(quantity);
-    if (!Number.isFinite(q) || q <= 0) {
+    const catalog = await loadUnitsCatalog();
+    const fromUnit = resolveUnit(from, catalog);
+    const toUnit = resolveUnit(to, catalog);
+    if (!fromUnit || !toUnit) {
       return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "quantity must be a positive number" },
+        error: { code: "VALIDATION_ERROR", message: `Unknown unit: ${!fromUnit ? from : to}` },
       });
     }
 
-    // determine ingredientId
-    if (!ingredientId) {
-      if (!ingredientName || typeof ingredientName !== "string" || ingredientName.trim().length < 2) {
-        return res.status(400).json({
-          error: { code: "VALIDATION_ERROR", message: "ingredientId or ingredientName is required" },
-        });
+    let ingredient = null;
+    if (ingredientId !== null) {
+      const id = parseId(ingredientId);
+      if (!id) {
+        return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid ingredientId" } });
       }
+      const [rows] = await pool.query(
+        `SELECT id, density_g_per_ml, piece_weight_g
+         FROM ingredients
+         WHERE id = ? AND status = 'approved'
+         LIMIT 1`,
+        [id]
+      );
+      if (rows.length === 0) {
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Ingredient not found" } });
+      }
+      ingredient = rows[0];
+    }
 
-      const cleanName = ingredientName.trim();
+    const result = convertQuantity(q, fromUnit, toUnit, ingredient);
+    if (result.error) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: result.error } });
+    }
 
-      // find existing
-      const [found] = await pool.query("SELECT id, default_unit FROM ingredients WHERE name = ? LIMIT 1", [cleanName]);
+    return res.status(200).json({
+      data: {
+        quantity: Number(result.quantity.toFixed(4)),
+        unit: toUnit.code,
+        from: { quantity: q, unit: fromUnit.code },
+        via: result.via,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
+  }
+});
 
-      if (found.length > 0) {
-        ingredientId = found[0].id;
-        if (!unit) unit = found[0].default_unit || unit;
-      } else {
-        // create new ingredient
-        const [created] = await pool.query(
-          `INSERT INTO ingredients (name, category, default_unit, created_at, updated_at)
-           VALUES (?, NULL, ?, NOW(), NOW())`,
-          [cleanName, unit]
-        );
-        ingredientId = created.insertId;
-      }
+
+
+// ----------------------------------------------
+// ADMIN: INGREDIENTS CATALOG MODERATION & ROLES
+// ----------------------------------------------
+
+// GET /admin/ingredients
+/**
+ * @openapi
+ * /admin/ingredients:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Sestavine za moderacijo (privzeto pending)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, approved], default: pending }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *     responses:
+ *       200:
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Ingredient'
+ *                           - type: object
+ *                             properties:
+ *                               created_by_email: { type: string, nullable: true }
+ *                               usage_count: { type: integer, example: 2 }
+ *                     page: { type: integer }
+ *                     pageSize: { type: integer }
+ *                     total: { type: integer }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (samo moderator/admin)
+ *       500:
+ *         description: Server error
+ */
+app.get("/admin/ingredients", authRequired, requireRole("moderator", "admin"), async (req, res) => {
+  try {
+    const { page, pageSize, offset } = pickPagination(req, 1, 20, 100);
+    const status = (req.query.status || "pending").toString().trim();
+    const search = (req.query.search || "").toString().trim();
+
+    const where = ["i.status = ?"];
+    const params = [status];
+
+    if (search) {
+      where.push("i.name LIKE ?");
+      params.push(`%${search}%`);
     }
 
-    // insert recipe_ingredient
-    const [result] = await pool.query(
-      `INSERT INTO recipe_ingredients (recipe_id, ingredient_id, quantity, unit, note, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
-      [recipeId, ingredientId, q, unit, note]
+    const whereSql = `WHERE ${where.join(" AND ")}`;
+
+    const [countRows] = await pool.query(
+      `SELECT COUNT(*) AS total FROM ingredients i ${whereSql}`,
+      params
     );
 
-    return res.status(201).json({ data: { id: result.insertId } });
+    const [items] = await pool.query(
+      `SELECT
+         i.id, i.name, i.category, i.default_unit, i.density_g_per_ml, i.piece_weight_g,
+         ${NUTRIENT_COLUMNS_SQL},
+         ${DIET_COLUMNS.map((c) => `i.${c}`).join(", ")},
+         i.status, i.created_by_user_id,
+         u.email AS created_by_email,
+         (SELECT COUNT(*) FROM recipe_ingredients ri WHERE ri.ingredient_id = i.id) AS usage_count,
+         i.created_at, i.updated_at
+       FROM ingredients i
+       LEFT JOIN users u ON u.id = i.created_by_user_id
+       ${whereSql}
+       ORDER BY i.created_at ASC, i.id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, pageSize, offset]
+    );
+    const allergens = await loadIngredientAllergens(items.map((i) => i.id));
+
+    return res.status(200).json({
+      data: {
+        items: items.map((i) => ({ ...i, allergens: allergens.get(i.id) })),
+        page,
+        pageSize,
+        total: countRows[0].total,
+      },
+    });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// PATCH /recipes/:id/ingredients/:riId
+// PATCH /admin/ingredients/:id
 /**
  * @openapi
- * /recipes/{id}/ingredients/{riId}:
+ * /admin/ingredients/{id}:
  *   patch:
- *     tags: [Recipe Ingredients]
- *     summary: Posodobi postavko recipe_ingredients (quantity/unit/note)
+ *     tags: [Admin]
+ *     summary: Uredi sestavino v katalogu (popravek imena, kategorije, enote, gostote, teže kosa, hranilnih vrednosti, alergenov, diet)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1379,10 +11107,6 @@ app.post("/recipes/:id/ingredients", authRequired, async (req, res) => {
  *         name: id
  *         required: true
  *         schema: { type: integer, format: int64 }
- *       - in: path
- *         name: riId
- *         required: true
- *         schema: { type: integer, format: int64 }
  *     requestBody:
  *       required: true
  *       content:
@@ -1390,102 +11114,187 @@ app.post("/recipes/:id/ingredients", authRequired, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               quantity: { type: number, example: 250 }
- *               unit: { type: string, example: "g" }
- *               note: { type: string, nullable: true, example: "polnozrnata" }
+ *               name: { type: string, example: "Moka" }
+ *               category: { type: string, nullable: true, example: "Osnovno" }
+ *               defaultUnit: { type: string, nullable: true, example: "g" }
+ *               densityGPerMl: { type: number, nullable: true, example: 0.53 }
+ *               pieceWeightG: { type: number, nullable: true, example: 60 }
+ *               nutrition:
+ *                 type: object
+ *                 description: Hranilne vrednosti na 100 g; pošlji samo ključe, ki jih spreminjaš (null pobriše)
+ *                 properties:
+ *                   kcal: { type: number, nullable: true, example: 364 }
+ *                   protein: { type: number, nullable: true, example: 10.3 }
+ *                   fat: { type: number, nullable: true, example: 1 }
+ *                   carbs: { type: number, nullable: true, example: 76.3 }
+ *                   fibre: { type: number, nullable: true, example: 2.7 }
+ *                   salt: { type: number, nullable: true, example: 0 }
+ *               allergens:
+ *                 type: array
+ *                 description: Celoten seznam alergenov (zamenja obstoječega); sestavina postane allergens_verified, tudi s praznim seznamom
+ *                 items: { $ref: '#/components/schemas/Allergen' }
+ *                 example: ["gluten"]
+ *               diet:
+ *                 type: object
+ *                 description: Prehranske oznake; pošlji samo ključe, ki jih spreminjaš (null = ni podatka)
+ *                 properties:
+ *                   vegan: { type: boolean, nullable: true, example: true }
+ *                   vegetarian: { type: boolean, nullable: true, example: true }
+ *                   gluten_free: { type: boolean, nullable: true, example: false }
+ *                   lactose_free: { type: boolean, nullable: true, example: true }
  *     responses:
  *       200:
  *         description: Updated
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: object
- *                   properties:
- *                     updated: { type: boolean, example: true }
  *       400:
- *         description: Validation error / no fields
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
- *       404:
- *         description: Recipe ali recipe ingredient ne obstaja
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (samo moderator/admin)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
  *       500:
  *         description: Server error
  */
-app.patch("/recipes/:id/ingredients/:riId", authRequired, async (req, res) => {
+app.patch("/admin/ingredients/:id", authRequired, requireRole("moderator", "admin"), async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    const riId = Number(req.params.riId);
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
 
-    if (!Number.isInteger(recipeId) || !Number.isInteger(riId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
+    const { name, category, defaultUnit, densityGPerMl, pieceWeightG, nutrition, allergens, diet } = req.body || {};
+
+    const fields = [];
+    const params = [];
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim().length < 2) {
+        return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "name must be at least 2 chars" } });
+      }
+      const [dup] = await pool.query(
+        "SELECT id FROM ingredients WHERE name = ? AND id <> ? LIMIT 1",
+        [name.trim(), id]
+      );
+      if (dup.length > 0) {
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "Ingredient with this name already exists (use reject with mergeIntoId)" },
+        });
+      }
+      fields.push("name = ?");
+      params.push(name.trim());
     }
 
-    const userId = req.user.sub;
-    const ok = await assertRecipeOwnership(recipeId, userId);
-    if (!ok) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
+    if (category !== undefined) {
+      fields.push("category = ?");
+      params.push(category);
+    }
+
+    if (defaultUnit !== undefined) {
+      fields.push("default_unit = ?");
+      params.push(defaultUnit);
+    }
+
+    for (const [value, column, label] of [
+      [densityGPerMl, "density_g_per_ml", "densityGPerMl"],
+      [pieceWeightG, "piece_weight_g", "pieceWeightG"],
+    ]) {
+      if (value === undefined) continue;
+      if (value !== null && !(Number.isFinite(value) && value > 0)) {
+        return res.status(400).json({
+          error: { code: "VALIDATION_ERROR", message: `${label} must be a positive number or null` },
+        });
+      }
+      fields.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    if (nutrition !== undefined) {
+      if (!nutrition || typeof nutrition !== "object" || Array.isArray(nutrition)) {
+        return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "nutrition must be an object" } });
+      }
+      for (const [key, value] of Object.entries(nutrition)) {
+        if (!Object.hasOwn(NUTRIENTS, key)) {
+          return res.status(400).json({
+            error: { code: "VALIDATION_ERROR", message: `Unknown nutrient: ${key} (${Object.keys(NUTRIENTS).join(", ")})` },
+          });
+        }
+        if (value !== null && !(Number.isFinite(value) && value >= 0 && (key === "kcal" ? value <= 900 : value <= 100))) {
+          return res.status(400).json({
+            error: { code: "VALIDATION_ERROR", message: `nutrition.${key} must be a number per 100 g or null` },
+          });
+        }
+        fields.push(`${NUTRIENTS[key]} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (diet !== undefined) {
+      if (!diet || typeof diet !== "object" || Array.isArray(diet)) {
+        return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "diet must be an object" } });
+      }
+      for (const [key, value] of Object.entries(diet)) {
+        if (!Object.hasOwn(DIETS, key)) {
+          return res.status(400).json({
+            error: { code: "VALIDATION_ERROR", message: `Unknown diet: ${key} (${Object.keys(DIETS).join(", ")})` },
+          });
+        }
+        if (value !== null && typeof value !== "boolean") {
+          return res.status(400).json({
+            error: { code: "VALIDATION_ERROR", message: `diet.${key} must be true, false or null` },
+          });
+        }
+        fields.push(`${DIETS[key].column} = ?`);
+        params.push(value === null ? null : Number(value));
+      }
     }
 
-    const { quantity, unit, note } = req.body || {};
-
-    const updates = [];
-    const params = [];
-
-    if (quantity !== undefined) {
-      const q = Number(quantity);
-      if (!Number.isFinite(q) || q <= 0) {
+    let allergenCodes = null;
+    if (allergens !== undefined) {
+      if (!Array.isArray(allergens) || allergens.some((code) => !ALLERGENS.includes(code))) {
         return res.status(400).json({
-          error: { code: "VALIDATION_ERROR", message: "quantity must be a positive number" },
+          error: { code: "VALIDATION_ERROR", message: `allergens must be an array of: ${ALLERGENS.join(", ")}` },
         });
       }
-      updates.push("quantity = ?");
-      params.push(q);
+      allergenCodes = [...new Set(allergens)];
+      fields.push("allergens_verified = 1");
     }
 
-    if (unit !== undefined) {
-      updates.push("unit = ?");
-      params.push(unit);
+    if (!fields.length) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "No fields to update" } });
     }
 
-    if (note !== undefined) {
-      updates.push("note = ?");
-      params.push(note);
-    }
+    fields.push("updated_at = NOW()");
 
-    if (updates.length === 0) {
-      return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "No fields to update" },
-      });
-    }
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
 
-    updates.push("updated_at = NOW()");
+      const [result] = await conn.query(
+        `UPDATE ingredients SET ${fields.join(", ")} WHERE id = ?`,
+        [...params, id]
+      );
 
-    // ensure this row belongs to the recipe
-    params.push(recipeId, riId);
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: { code: "NOT_FOUND", message: "Ingredient not found" } });
+      }
 
-    const [result] = await pool.query(
-      `UPDATE recipe_ingredients
-       SET ${updates.join(", ")}
-       WHERE recipe_id = ? AND id = ?`,
-      params
-    );
+      if (allergenCodes) {
+        await conn.query("DELETE FROM ingredient_allergens WHERE ingredient_id = ?", [id]);
+        if (allergenCodes.length) {
+          await conn.query("INSERT INTO ingredient_allergens (ingredient_id, allergen) VALUES ?", [
+            allergenCodes.map((code) => [id, code]),
+          ]);
+        }
+      }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        error: { code: "NOT_FOUND", message: "Recipe ingredient not found" },
-      });
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
     }
 
     return res.status(200).json({ data: { updated: true } });
@@ -1495,14 +11304,13 @@ app.patch("/recipes/:id/ingredients/:riId", authRequired, async (req, res) => {
   }
 });
 
-
-// DELETE /recipes/:id/ingredients/:riId
+// POST /admin/ingredients/:id/approve
 /**
  * @openapi
- * /recipes/{id}/ingredients/{riId}:
- *   delete:
- *     tags: [Recipe Ingredients]
- *     summary: Izbriše postavko iz recepta (recipe_ingredients)
+ * /admin/ingredients/{id}/approve:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Potrdi predlagano sestavino
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1510,231 +11318,236 @@ app.patch("/recipes/:id/ingredients/:riId", authRequired, async (req, res) => {
  *         name: id
  *         required: true
  *         schema: { type: integer, format: int64 }
- *       - in: path
- *         name: riId
- *         required: true
- *         schema: { type: integer, format: int64 }
  *     responses:
- *       204:
- *         description: Deleted
- *       400:
- *         description: Invalid id
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
- *       404:
- *         description: Recipe ali recipe ingredient not found
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *       200:
+ *         description: Approved
  *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (samo moderator/admin)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
  *         description: Server error
  */
-app.delete("/recipes/:id/ingredients/:riId", authRequired, async (req, res) => {
+app.post("/admin/ingredients/:id/approve", authRequired, requireRole("moderator", "admin"), async (req, res) => {
   try {
-    const recipeId = Number(req.params.id);
-    const riId = Number(req.params.riId);
-
-    if (!Number.isInteger(recipeId) || !Number.isInteger(riId)) {
-      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
-    }
-
-    const userId = req.user.sub;
-    const ok = await assertRecipeOwnership(recipeId, userId);
-    if (!ok) {
-      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Recipe not found" } });
-    }
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
 
     const [result] = await pool.query(
-      `DELETE FROM recipe_ingredients
-       WHERE recipe_id = ? AND id = ?`,
-      [recipeId, riId]
+      "UPDATE ingredients SET status = 'approved', updated_at = NOW() WHERE id = ?",
+      [id]
     );
 
     if (result.affectedRows === 0) {
-      return res.status(404).json({
-        error: { code: "NOT_FOUND", message: "Recipe ingredient not found" },
-      });
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Ingredient not found" } });
     }
 
-    return res.status(204).send();
+    return res.status(200).json({ data: { updated: true } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-
-
-// ----------------------------------------------
-// GLOBAL INGREDIENT MANAGEMENT
-// ----------------------------------------------
-
-// GET /ingredients
+// POST /admin/ingredients/:id/reject
 /**
  * @openapi
- * /ingredients:
- *   get:
- *     tags: [Ingredients]
- *     summary: Globalni seznam sestavin (search + pagination)
+ * /admin/ingredients/{id}/reject:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Zavrne sestavino (izbriše jo ali združi v obstoječo)
+ *     description: |
+ *       Z `mergeIntoId` se vse uporabe (recepti, inventar, nakupovalni listki) prestavijo na
+ *       izbrano sestavino, nato se zavrnjena izbriše. Brez `mergeIntoId` je brisanje mogoče
+ *       samo, če sestavine ne uporablja noben recept.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: search
- *         schema: { type: string }
- *         description: Išče po name/category
- *       - in: query
- *         name: page
- *         schema: { type: integer, minimum: 1, default: 1 }
- *       - in: query
- *         name: pageSize
- *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mergeIntoId: { type: integer, format: int64, example: 5 }
  *     responses:
- *       200:
- *         description: OK
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: object
- *                   properties:
- *                     items:
- *                       type: array
- *                       items: { $ref: '#/components/schemas/IngredientListItem' }
- *                     page: { type: integer }
- *                     pageSize: { type: integer }
- *                     total: { type: integer }
+ *       204:
+ *         description: Rejected
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Unauthorized
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (samo moderator/admin)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Sestavina je v uporabi, pošlji mergeIntoId
  *         content:
  *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Server error
  */
-app.get("/ingredients", authRequired, async (req, res) => {
+app.post("/admin/ingredients/:id/reject", authRequired, requireRole("moderator", "admin"), async (req, res) => {
   try {
-    const search = (req.query.search || "").toString().trim();
-    const page = Math.max(1, parseInt(req.query.page || "1", 10));
-    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || "20", 10)));
-    const offset = (page - 1) * pageSize;
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
 
-    let where = "";
-    const params = [];
+    const mergeIntoId = req.body?.mergeIntoId !== undefined ? parseId(req.body.mergeIntoId) : null;
+    if (req.body?.mergeIntoId !== undefined && (!mergeIntoId || mergeIntoId === id)) {
+      return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid mergeIntoId" } });
+    }
 
-    if (search) {
-      where = "WHERE name LIKE ? OR category LIKE ?";
-      params.push(`%${search}%`, `%${search}%`);
+    const [rows] = await pool.query("SELECT id FROM ingredients WHERE id = ? LIMIT 1", [id]);
+    if (!rows.length) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "Ingredient not found" } });
     }
 
-    const [countRows] = await pool.query(
-      `SELECT COUNT(*) AS total FROM ingredients ${where}`,
-      params
-    );
+    if (!mergeIntoId) {
+      const [used] = await pool.query(
+        "SELECT COUNT(*) AS n FROM recipe_ingredients WHERE ingredient_id = ?",
+        [id]
+      );
+      if (used[0].n > 0) {
+        return res.status(409).json({
+          error: { code: "CONFLICT", message: "Ingredient is used in recipes; pass mergeIntoId" },
+        });
+      }
+      await pool.query("DELETE FROM ingredients WHERE id = ?", [id]);
+      return res.status(204).send();
+    }
 
-    const [items] = await pool.query(
-      `SELECT id, name, category, default_unit, created_at, updated_at
-       FROM ingredients
-       ${where}
-       ORDER BY name ASC
-       LIMIT ? OFFSET ?`,
-      [...params, pageSize, offset]
+    const [target] = await pool.query(
+      "SELECT id FROM ingredients WHERE id = ? AND status = 'approved' LIMIT 1",
+      [mergeIntoId]
     );
+    if (!target.length) {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "mergeIntoId must be an approved ingredient" },
+      });
+    }
 
-    return res.status(200).json({
-      data: { items, page, pageSize, total: countRows[0].total },
-    });
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      // recept ima lahko vsako sestavino samo enkrat (uq_recipe_ingredient):
+      // kjer cilj že obstaja, ostane obstoječa vrstica, podvojena se izbriše
+      await conn.query(
+        "UPDATE IGNORE recipe_ingredients SET ingredient_id = ?, updated_at = NOW() WHERE ingredient_id = ?",
+        [mergeIntoId, id]
+      );
+      // povezave korakov s podvojeno vrstico prenesemo na ohranjeno, sicer bi jih DELETE (CASCADE) pobrisal
+      await conn.query(
+        `INSERT IGNORE INTO recipe_step_ingredients (step_id, recipe_ingredient_id)
+         SELECT rsi.step_id, keep.id
+         FROM recipe_step_ingredients rsi
+         JOIN recipe_ingredients dup ON dup.id = rsi.recipe_ingredient_id
+         JOIN recipe_ingredients keep ON keep.recipe_id = dup.recipe_id AND keep.ingredient_id = ?
+         WHERE dup.ingredient_id = ?`,
+        [mergeIntoId, id]
+      );
+      await conn.query("DELETE FROM recipe_ingredients WHERE ingredient_id = ?", [id]);
+      await conn.query(
+        "UPDATE inventory_items SET ingredient_id = ?, updated_at = NOW() WHERE ingredient_id = ?",
+        [mergeIntoId, id]
+      );
+      await conn.query(
+        "UPDATE shopping_list_items SET ingredient_id = ?, updated_at = NOW() WHERE ingredient_id = ?",
+        [mergeIntoId, id]
+      );
+      await conn.query("DELETE FROM ingredients WHERE id = ?", [id]);
+
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    return res.status(204).send();
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
   }
 });
 
-// POST /ingredients
+// PATCH /admin/users/:id/role
 /**
  * @openapi
- * /ingredients:
- *   post:
- *     tags: [Ingredients]
- *     summary: Ustvari globalno sestavino
+ * /admin/users/{id}/role:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Nastavi vlogo uporabnika (samo admin)
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer, format: int64 }
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name]
+ *             required: [role]
  *             properties:
- *               name: { type: string, example: "Moka" }
- *               category: { type: string, nullable: true, example: "Suho" }
- *               defaultUnit: { type: string, nullable: true, example: "g" }
+ *               role: { type: string, enum: [user, moderator, admin], example: "moderator" }
  *     responses:
- *       201:
- *         description: Created
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 data:
- *                   type: object
- *                   properties:
- *                     id: { type: integer, format: int64, example: 5 }
+ *       200:
+ *         description: Updated
  *       400:
- *         description: Validation error
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
- *       409:
- *         description: Conflict (ingredient že obstaja)
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/Error' }
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden (samo admin)
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
  *         description: Server error
  */
-app.post("/ingredients", authRequired, async (req, res) => {
+app.patch("/admin/users/:id/role", authRequired, requireRole("admin"), async (req, res) => {
   try {
-    const { name, category = null, defaultUnit = null } = req.body || {};
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: { code: "VALIDATION_ERROR", message: "Invalid id" } });
 
-    if (!name || typeof name !== "string" || name.trim().length < 2) {
+    const role = req.body?.role;
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
-        error: { code: "VALIDATION_ERROR", message: "name is required (min 2 chars)" },
+        error: { code: "VALIDATION_ERROR", message: `role must be one of: ${ROLES.join(", ")}` },
       });
     }
 
-    const cleanName = name.trim();
-
-    // prepreči duplikate po imenu (optional; če imaš unique constraint bo to 409)
-    const [existing] = await pool.query("SELECT id FROM ingredients WHERE name = ? LIMIT 1", [cleanName]);
-    if (existing.length > 0) {
-      return res.status(409).json({
-        error: { code: "CONFLICT", message: "Ingredient already exists" },
+    // admin si ne more sam odvzeti pravic (da ne ostanemo brez admina)
+    if (id === Number(req.user.sub) && role !== "admin") {
+      return res.status(400).json({
+        error: { code: "VALIDATION_ERROR", message: "You cannot demote yourself" },
       });
     }
 
     const [result] = await pool.query(
-      `INSERT INTO ingredients (name, category, default_unit, created_at, updated_at)
-       VALUES (?, ?, ?, NOW(), NOW())`,
-      [cleanName, category, defaultUnit]
+      "UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?",
+      [role, id]
     );
 
-    return res.status(201).json({ data: { id: result.insertId } });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: { code: "NOT_FOUND", message: "User not found" } });
+    }
+
+    return res.status(200).json({ data: { updated: true } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: { code: "INTERNAL_ERROR", message: err.message } });
@@ -3318,8 +13131,24 @@ app.post("/shopping-lists/:id/items:clearChecked", authRequired, async (req, res
 });
 
 
-// START SERVER
+// START SERVER (samo ob zagonu z node; testi modul naložijo z require)
 const PORT = Number(process.env.PORT || 3000);
-app.listen(PORT, () => {
-  console.log(`API running on port ${PORT}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`API running on port ${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  pool,
+  createAuthThrottle,
+  createMemoryThrottleStore,
+  throttleEmailKey,
+  base32Encode,
+  totpCode,
+  verifyTotp,
+  requiredPatScope,
+  diffTextLines,
+  diffRecipeSnapshots,
+};
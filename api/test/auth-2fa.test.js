@@ -0,0 +1,126 @@
+// IP naslov se v teh testih ne blokira; zaklepanje 2fa:<userId> po 8 napačnih kodah
+process.env.AUTH_THROTTLE_FREE_ATTEMPTS = "100";
+process.env.AUTH_LOCKOUT_THRESHOLD = "8";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const bcrypt = require("bcrypt");
+const { useFakeDb, startServer } = require("./helpers");
+const { base32Encode, totpCode, verifyTotp } = require("../src/index");
+
+const secret = base32Encode(crypto.randomBytes(20));
+const passwordHash = bcrypt.hashSync("Geslo1234", 4);
+const users = ["ana", "bor", "cene", "dana"].map((name, i) => ({
+  id: i + 1,
+  email: `${name}@example.com`,
+  password_hash: passwordHash,
+  full_name: null,
+  email_verified_at: null,
+  totp_secret: secret,
+  totp_enabled_at: new Date(),
+  totp_last_step: null,
+}));
+const recoveryCodes = [{ user_id: 1, code_hash: crypto.createHash("sha256").update("abcde-12345").digest("hex") }];
+
+useFakeDb([
+  [/FROM users\s+WHERE email = \?/, ([email]) => users.filter((u) => u.email === email)],
+  [/FROM users\s+WHERE id = \? AND totp_enabled_at IS NOT NULL/, ([id]) => users.filter((u) => String(u.id) === id)],
+  [
+    /UPDATE users SET totp_last_step = \?/,
+    ([step, id]) => {
+      const user = users.find((u) => u.id === id && (u.totp_last_step === null || u.totp_last_step < step));
+      if (user) user.totp_last_step = step;
+      return { affectedRows: user ? 1 : 0 };
+    },
+  ],
+  [
+    /UPDATE totp_recovery_codes SET used_at = NOW\(\)/,
+    ([userId, codeHash]) => {
+      const code = recoveryCodes.find((c) => c.user_id === userId && c.code_hash === codeHash && !c.used_at);
+      if (code) code.used_at = new Date();
+      return { affectedRows: code ? 1 : 0 };
+    },
+  ],
+  [/INSERT INTO refresh_tokens/, () => ({ insertId: 1, affectedRows: 1 })],
+]);
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+const currentCode = () => totpCode(secret, Math.floor(Date.now() / 1000 / 30));
+
+async function challenge(email) {
+  const res = await api.request("POST", "/auth/login", { body: { email, password: "Geslo1234" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.twoFactorRequired, true);
+  return res.body.data.challengeToken;
+}
+
+function secondFactor(challengeToken, code) {
+  return api.request("POST", "/auth/login/2fa", { body: { challengeToken, code } });
+}
+
+test("totpCode matches the RFC 6238 SHA-1 test vectors", () => {
+  const rfcSecret = base32Encode(Buffer.from("12345678901234567890"));
+  assert.equal(rfcSecret, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(totpCode(rfcSecret, Math.floor(59 / 30)), "287082");
+  assert.equal(totpCode(rfcSecret, Math.floor(1111111109 / 30)), "081804");
+});
+
+test("verifyTotp accepts the current step once and rejects malformed codes", () => {
+  const step = verifyTotp(secret, currentCode());
+  assert.ok(step !== null);
+  assert.equal(verifyTotp(secret, currentCode(), step), null);
+  assert.equal(verifyTotp(secret, "12345"), null);
+  assert.equal(verifyTotp(secret, "abcdef"), null);
+});
+
+test("login with TOTP issues tokens and rejects a replayed code", async () => {
+  const code = currentCode();
+  const res = await secondFactor(await challenge("ana@example.com"), code);
+  assert.equal(res.status, 200);
+  assert.ok(res.body.data.tokens.accessToken);
+
+  const replay = await secondFactor(await challenge("ana@example.com"), code);
+  assert.equal(replay.status, 401);
+});
+
+test("a recovery code works only once", async () => {
+  assert.equal((await secondFactor(await challenge("ana@example.com"), "ABCDE-12345")).status, 200);
+  assert.equal((await secondFactor(await challenge("ana@example.com"), "abcde-12345")).status, 401);
+});
+
+test("a challenge stops accepting codes after 5 failures, also in parallel", async () => {
+  const token = await challenge("bor@example.com");
+  const results = await Promise.all(Array.from({ length: 8 }, () => secondFactor(token, "000000")));
+  const messages = results.map((r) => r.body.error.message);
+  assert.equal(messages.filter((m) => m === "Invalid code").length, 5);
+  assert.ok(results.every((r) => r.status === 401));
+
+  // tudi pravilna koda ne pomaga, treba se je znova prijaviti
+  const res = await secondFactor(token, currentCode());
+  assert.equal(res.status, 401);
+  assert.match(res.body.error.message, /log in again/);
+  assert.equal((await secondFactor(await challenge("bor@example.com"), currentCode())).status, 200);
+});
+
+test("the account is locked out after too many wrong codes across challenges", async () => {
+  const first = await challenge("cene@example.com");
+  for (let i = 0; i < 5; i++) assert.equal((await secondFactor(first, "000000")).status, 401);
+  const second = await challenge("cene@example.com");
+  for (let i = 0; i < 3; i++) assert.equal((await secondFactor(second, "000000")).status, 401);
+
+  const res = await secondFactor(await challenge("cene@example.com"), currentCode());
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get("retry-after")) > 60);
+});
+
+test("challenge tokens are not accepted as access tokens", async () => {
+  const token = await challenge("dana@example.com");
+  const res = await api.request("GET", "/auth/me", { token });
+  assert.equal(res.status, 401);
+});
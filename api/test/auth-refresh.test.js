@@ -0,0 +1,107 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const { useFakeDb, startServer } = require("./helpers");
+
+const users = [
+  {
+    id: 1,
+    email: "ana@example.com",
+    password_hash: bcrypt.hashSync("Geslo1234", 4),
+    full_name: "Ana",
+    email_verified_at: null,
+    totp_enabled_at: null,
+  },
+];
+const refreshTokens = [];
+
+useFakeDb([
+  [/FROM users\s+WHERE email = \?/, ([email]) => users.filter((u) => u.email === email)],
+  [
+    /INSERT INTO refresh_tokens/,
+    ([userId, tokenHash, familyId]) => {
+      const row = { id: refreshTokens.length + 1, user_id: userId, token_hash: tokenHash, family_id: familyId };
+      refreshTokens.push({ ...row, revoked_at: null, replaced_by_id: null });
+      return { insertId: row.id, affectedRows: 1 };
+    },
+  ],
+  [
+    /FROM refresh_tokens rt\s+JOIN users u/,
+    ([tokenHash, userId]) =>
+      refreshTokens
+        .filter((t) => t.token_hash === tokenHash && String(t.user_id) === String(userId))
+        .map((t) => ({ ...t, email: users.find((u) => u.id === t.user_id).email })),
+  ],
+  [
+    /UPDATE refresh_tokens SET revoked_at = NOW\(\) WHERE id = \? AND revoked_at IS NULL/,
+    ([id]) => {
+      const t = refreshTokens.find((r) => r.id === id && !r.revoked_at);
+      if (t) t.revoked_at = new Date();
+      return { affectedRows: t ? 1 : 0 };
+    },
+  ],
+  [
+    /UPDATE refresh_tokens SET revoked_at = NOW\(\) WHERE family_id = \? AND revoked_at IS NULL/,
+    ([familyId]) => {
+      const family = refreshTokens.filter((r) => r.family_id === familyId && !r.revoked_at);
+      for (const t of family) t.revoked_at = new Date();
+      return { affectedRows: family.length };
+    },
+  ],
+  [
+    /UPDATE refresh_tokens SET replaced_by_id = \? WHERE id = \?/,
+    ([nextId, id]) => {
+      refreshTokens.find((r) => r.id === id).replaced_by_id = nextId;
+      return { affectedRows: 1 };
+    },
+  ],
+]);
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+async function login() {
+  const res = await api.request("POST", "/auth/login", { body: { email: "ana@example.com", password: "Geslo1234" } });
+  assert.equal(res.status, 200);
+  return res.body.data.tokens;
+}
+
+test("refresh rotates the token within the same session", async () => {
+  const { refreshToken } = await login();
+
+  const res = await api.request("POST", "/auth/refresh", { body: { refreshToken } });
+  assert.equal(res.status, 200);
+  const rotated = res.body.data.tokens;
+  assert.ok(rotated.accessToken);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+
+  const [old, next] = refreshTokens.slice(-2);
+  assert.ok(old.revoked_at);
+  assert.equal(old.replaced_by_id, next.id);
+  assert.equal(next.family_id, old.family_id);
+  assert.equal(next.revoked_at, null);
+});
+
+test("reusing a rotated refresh token revokes the whole session", async () => {
+  const { refreshToken } = await login();
+  const first = await api.request("POST", "/auth/refresh", { body: { refreshToken } });
+  assert.equal(first.status, 200);
+
+  const reuse = await api.request("POST", "/auth/refresh", { body: { refreshToken } });
+  assert.equal(reuse.status, 401);
+  assert.match(reuse.body.error.message, /reuse/i);
+
+  // tudi nov token iz te družine ne velja več
+  const next = await api.request("POST", "/auth/refresh", {
+    body: { refreshToken: first.body.data.tokens.refreshToken },
+  });
+  assert.equal(next.status, 401);
+});
+
+test("refresh rejects tokens that are not signed by the server", async () => {
+  const res = await api.request("POST", "/auth/refresh", { body: { refreshToken: "not-a-jwt" } });
+  assert.equal(res.status, 401);
+});
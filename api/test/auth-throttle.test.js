@@ -0,0 +1,105 @@
+// 2 prosta poskusa, nato 1 s, 2 s, 4 s ...; e-mail se zaklene po 4 poskusih za 15 min
+process.env.AUTH_THROTTLE_FREE_ATTEMPTS = "2";
+process.env.AUTH_LOCKOUT_THRESHOLD = "4";
+process.env.AUTH_LOCKOUT_MINUTES = "15";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const { app, useFakeDb, startServer } = require("./helpers");
+const { createAuthThrottle, createMemoryThrottleStore, throttleEmailKey } = require("../src/index");
+
+const passwordHash = bcrypt.hashSync("Geslo1234", 4);
+const users = ["ana@example.com", "bor@example.com"].map((email, i) => ({
+  id: i + 1,
+  email,
+  password_hash: passwordHash,
+  full_name: null,
+  email_verified_at: null,
+  totp_enabled_at: null,
+}));
+
+useFakeDb([
+  [/FROM users\s+WHERE email = \?/, ([email]) => users.filter((u) => u.email === email)],
+  [/INSERT INTO refresh_tokens/, () => ({ insertId: 1, affectedRows: 1 })],
+]);
+
+let api;
+before(async () => {
+  // ločeni IP naslovi prek X-Forwarded-For, da se testi med seboj ne blokirajo
+  app.set("trust proxy", true);
+  api = await startServer();
+});
+after(() => api.close());
+
+function login(ip, email, password) {
+  return api.request("POST", "/auth/login", { body: { email, password }, headers: { "X-Forwarded-For": ip } });
+}
+
+test("parallel attempts can't skip the backoff", async () => {
+  const throttle = createAuthThrottle(createMemoryThrottleStore());
+  const waits = await Promise.all(Array.from({ length: 10 }, () => throttle.attempt(["ip:10.0.0.1"])));
+  assert.equal(waits.filter((w) => w === 0).length, 3);
+  assert.ok(waits.filter((w) => w > 0).every((w) => w === 1));
+});
+
+test("e-mail keys lock out after the threshold, IP keys only back off", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  const throttle = createAuthThrottle(createMemoryThrottleStore());
+
+  for (let i = 0; i < 4; i++) {
+    if (i > 0) t.mock.timers.tick(10_000);
+    assert.equal(await throttle.attempt(["ip:10.0.0.2", "email:x"]), 0);
+  }
+  assert.equal(await throttle.attempt(["email:x"]), 15 * 60);
+  assert.equal(await throttle.attempt(["ip:10.0.0.2"]), 2);
+});
+
+test("release() uncounts a successful attempt and reset() clears the key", async () => {
+  const throttle = createAuthThrottle(createMemoryThrottleStore());
+  for (let i = 0; i < 3; i++) await throttle.attempt(["ip:10.0.0.3", "email:y"]);
+  assert.equal(await throttle.attempt(["ip:10.0.0.3"]), 1);
+
+  await throttle.release(["ip:10.0.0.3"]);
+  await throttle.reset(["email:y"]);
+  assert.equal(await throttle.attempt(["ip:10.0.0.3"]), 0);
+  assert.equal(await throttle.attempt(["email:y"]), 0);
+});
+
+test("e-mail throttle keys are hashed and normalized", () => {
+  const key = throttleEmailKey(`${"a".repeat(10_000)}@example.com`);
+  assert.ok(key.length <= 255);
+  assert.equal(throttleEmailKey(" Ana@Example.com "), throttleEmailKey("ana@example.com"));
+});
+
+test("parallel wrong passwords from one IP are throttled", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 8 }, (_, i) => login("10.1.0.1", `user${i}@example.com`, "napacno"))
+  );
+  assert.deepEqual(results.map((r) => r.status).sort(), [401, 401, 401, 429, 429, 429, 429, 429]);
+  assert.equal(results.find((r) => r.status === 429).headers.get("retry-after"), "1");
+});
+
+test("parallel wrong passwords for one account lock it out", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 8 }, (_, i) => login(`10.2.0.${i}`, "ana@example.com", "napacno"))
+  );
+  assert.equal(results.filter((r) => r.status === 401).length, 3);
+
+  // tudi pravilno geslo z drugega IP-ja ne obide blokade
+  const res = await login("10.2.1.1", "ana@example.com", "Geslo1234");
+  assert.equal(res.status, 429);
+});
+
+test("a successful login does not count against the IP", async () => {
+  assert.equal((await login("10.3.0.1", "nihce@example.com", "napacno")).status, 401);
+  assert.equal((await login("10.3.0.1", "nihce@example.com", "napacno")).status, 401);
+  assert.equal((await login("10.3.0.1", "bor@example.com", "Geslo1234")).status, 200);
+  assert.equal((await login("10.3.0.1", "nihce@example.com", "napacno")).status, 401);
+  assert.equal((await login("10.3.0.1", "nihce@example.com", "napacno")).status, 429);
+});
+
+test("very long e-mails are rejected as invalid credentials", async () => {
+  const res = await login("10.4.0.1", `${"a".repeat(5000)}@example.com`, "napacno");
+  assert.equal(res.status, 401);
+});
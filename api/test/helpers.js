@@ -0,0 +1,73 @@
+// Test helpers: env for the app, a fake MySQL pool (no database needed) and a small HTTP client.
+// Testne datoteke nastavijo morebitne dodatne env spremenljivke, preden naložijo ta modul.
+const { once } = require("node:events");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_ACCESS_SECRET ??= "test-access-secret";
+process.env.JWT_REFRESH_SECRET ??= "test-refresh-secret";
+process.env.MAIL_TRANSPORT ??= "console";
+
+const { app, pool } = require("../src/index");
+
+// Replaces pool.query / pool.getConnection with handlers [[regex, (params, match) => rows | result]].
+// Prvi regex, ki se ujema s SQL, odgovori; neznan SQL vrže napako, da manjkajoči handler takoj opazimo.
+function useFakeDb(handlers) {
+  const queries = [];
+
+  async function query(sql, params = []) {
+    queries.push({ sql, params });
+    for (const [pattern, handler] of handlers) {
+      const match = sql.match(pattern);
+      if (match) return [await handler(params, match), []];
+    }
+    throw new Error(`Unexpected SQL: ${sql.replace(/\s+/g, " ").trim()}`);
+  }
+
+  const conn = {
+    query,
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    release() {},
+  };
+
+  pool.query = query;
+  pool.getConnection = async () => conn;
+  return { queries };
+}
+
+// Starts the app on a random port; request() returns { status, headers, body } with parsed JSON.
+// Z app.set("trust proxy", true) lahko test z X-Forwarded-For loči IP naslove (ključi ip:...).
+async function startServer() {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, path, { body, token, headers: extra } = {}) {
+      const headers = { ...extra };
+      if (body !== undefined) headers["Content-Type"] = "application/json";
+      if (token) headers.Authorization = `Bearer ${token}`;
+
+      const res = await fetch(base + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Access token for an existing session (sid = refresh token family)
+function accessTokenFor(userId, { email = `user${userId}@example.com`, sid = "test-session" } = {}) {
+  return jwt.sign({ sub: String(userId), email, sid }, process.env.JWT_ACCESS_SECRET, { expiresIn: "5m" });
+}
+
+module.exports = { app, pool, useFakeDb, startServer, accessTokenFor };
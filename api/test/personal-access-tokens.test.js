@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const bcrypt = require("bcrypt");
+const { useFakeDb, startServer, accessTokenFor } = require("./helpers");
+const { requiredPatScope } = require("../src/index");
+
+const users = [{ id: 1, email: "ana@example.com", full_name: "Ana", password_hash: bcrypt.hashSync("Geslo1234", 4) }];
+const tokens = [];
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+useFakeDb([
+  [
+    /INSERT INTO personal_access_tokens/,
+    ([userId, name, tokenHash, , scopes]) => {
+      tokens.push({ id: tokens.length + 1, user_id: Number(userId), name, token_hash: tokenHash, scopes });
+      return { insertId: tokens.length, affectedRows: 1 };
+    },
+  ],
+  [
+    /SELECT id, user_id, scopes\s+FROM personal_access_tokens\s+WHERE token_hash = \?/,
+    ([tokenHash]) => tokens.filter((t) => t.token_hash === tokenHash && !t.revoked_at),
+  ],
+  [/UPDATE personal_access_tokens SET last_used_at/, () => ({ affectedRows: 1 })],
+  [
+    /UPDATE personal_access_tokens SET revoked_at = NOW\(\) WHERE user_id = \? AND revoked_at IS NULL/,
+    ([userId]) => {
+      const active = tokens.filter((t) => String(t.user_id) === String(userId) && !t.revoked_at);
+      for (const t of active) t.revoked_at = new Date();
+      return { affectedRows: active.length };
+    },
+  ],
+  [/FROM users WHERE id = \? LIMIT 1/, ([id]) => users.filter((u) => String(u.id) === String(id))],
+  [/UPDATE users SET password_hash = \?/, () => ({ affectedRows: 1 })],
+  [/UPDATE refresh_tokens SET revoked_at = NOW\(\)/, () => ({ affectedRows: 0 })],
+]);
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+async function createPat(scopes) {
+  const res = await api.request("POST", "/auth/tokens", {
+    token: accessTokenFor(1),
+    body: { name: "skripta", scopes },
+  });
+  assert.equal(res.status, 201);
+  return res.body.data.token;
+}
+
+test("requiredPatScope maps API areas and methods to scopes", () => {
+  assert.equal(requiredPatScope({ path: "/recipes/5", method: "GET" }), "recipes:read");
+  assert.equal(requiredPatScope({ path: "/public/recipes", method: "GET" }), "recipes:read");
+  assert.equal(requiredPatScope({ path: "/inventory/3", method: "PATCH" }), "inventory:write");
+  assert.equal(requiredPatScope({ path: "/shopping-lists", method: "POST" }), "shopping:write");
+  assert.equal(requiredPatScope({ path: "/recipesx", method: "GET" }), null);
+  assert.equal(requiredPatScope({ path: "/auth/me", method: "GET" }), null);
+  assert.equal(requiredPatScope({ path: "/admin/ingredients", method: "GET" }), null);
+});
+
+test("tokens are stored hashed and only accept known scopes", async () => {
+  const token = await createPat(["recipes:read"]);
+  assert.match(token, /^mrp_/);
+  assert.equal(tokens.at(-1).token_hash, sha256(token));
+
+  const res = await api.request("POST", "/auth/tokens", {
+    token: accessTokenFor(1),
+    body: { name: "skripta", scopes: ["recipes:admin"] },
+  });
+  assert.equal(res.status, 400);
+});
+
+test("a token reaches only the areas and methods of its scopes", async () => {
+  const token = await createPat(["recipes:read"]);
+
+  // 400 (neveljaven id) pomeni, da je avtentikacija uspela
+  assert.equal((await api.request("GET", "/recipes/abc", { token })).status, 400);
+
+  const write = await api.request("POST", "/recipes", { token, body: { title: "Palačinke" } });
+  assert.equal(write.status, 403);
+  assert.match(write.body.error.message, /recipes:write/);
+  assert.equal((await api.request("GET", "/inventory/items", { token })).status, 403);
+  assert.equal((await api.request("GET", "/auth/me", { token })).status, 403);
+  assert.equal((await api.request("POST", "/auth/tokens", { token, body: {} })).status, 403);
+});
+
+test("unknown and revoked tokens are rejected", async () => {
+  assert.equal((await api.request("GET", "/recipes/abc", { token: "mrp_neobstaja" })).status, 401);
+
+  const token = await createPat(["recipes:read"]);
+  tokens.at(-1).revoked_at = new Date();
+  assert.equal((await api.request("GET", "/recipes/abc", { token })).status, 401);
+});
+
+test("changing the password revokes all tokens", async () => {
+  const token = await createPat(["recipes:read", "inventory:read"]);
+
+  const res = await api.request("POST", "/auth/me/password", {
+    token: accessTokenFor(1),
+    body: { currentPassword: "Geslo1234", newPassword: "NovoGeslo1234" },
+  });
+  assert.equal(res.status, 204);
+  assert.equal((await api.request("GET", "/recipes/abc", { token })).status, 401);
+});
@@ -0,0 +1,302 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeDb, startServer, accessTokenFor } = require("./helpers");
+const { diffTextLines, diffRecipeSnapshots } = require("../src/index");
+
+// In-memory tabele za en recept uporabnika 1 (sestavini 10, 11; korak 1 uporablja sestavino 10; oznaka 1)
+const db = {
+  recipes: [
+    {
+      id: 1,
+      user_id: 1,
+      title: "Palačinke",
+      description: null,
+      instructions: "Zmešaj.\nSpeci.",
+      prep_time_minutes: 10,
+      cook_time_minutes: 20,
+      servings: 4,
+    },
+  ],
+  ingredients: [
+    { id: 5, name: "Moka" },
+    { id: 6, name: "Mleko" },
+  ],
+  recipeIngredients: [
+    { id: 10, recipe_id: 1, ingredient_id: 5, quantity: "300.00", unit: "g", note: null },
+    { id: 11, recipe_id: 1, ingredient_id: 6, quantity: "0.50", unit: "l", note: null },
+  ],
+  steps: [{ id: 1, recipe_id: 1, position: 1, instruction: "Zmešaj moko in mleko.", duration_seconds: null }],
+  stepLinks: [{ step_id: 1, recipe_ingredient_id: 10 }],
+  tags: [{ id: 1, type: "free", name: "sladica", slug: "sladica" }],
+  recipeTags: [{ recipe_id: 1, tag_id: 1 }],
+  revisions: [],
+};
+const nextId = { recipeIngredients: 100, steps: 100, tags: 100 };
+
+const rowsOf = (recipeId, table) => db[table].filter((r) => r.recipe_id === recipeId);
+const deleteWhere = (table, predicate) => {
+  const before = db[table].length;
+  db[table] = db[table].filter((r) => !predicate(r));
+  return { affectedRows: before - db[table].length };
+};
+// ON DELETE CASCADE na recipe_step_ingredients
+const dropOrphanLinks = () => {
+  db.stepLinks = db.stepLinks.filter(
+    (l) => db.steps.some((s) => s.id === l.step_id) && db.recipeIngredients.some((ri) => ri.id === l.recipe_ingredient_id)
+  );
+};
+
+useFakeDb([
+  // recipes
+  [/SELECT id FROM recipes WHERE id = \? AND user_id = \?/, ([id, userId]) =>
+    db.recipes.filter((r) => r.id === id && String(r.user_id) === String(userId))],
+  [/SELECT id FROM recipes WHERE id = \? FOR UPDATE/, ([id]) => db.recipes.filter((r) => r.id === id)],
+  [/SELECT title, description, instructions, prep_time_minutes/, ([id]) => db.recipes.filter((r) => r.id === id)],
+  [
+    /UPDATE recipes\s+SET title = \?/,
+    ([title, description, instructions, prep, cook, servings, id]) => {
+      Object.assign(db.recipes.find((r) => r.id === id), {
+        title,
+        description,
+        instructions,
+        prep_time_minutes: prep,
+        cook_time_minutes: cook,
+        servings,
+      });
+      return { affectedRows: 1 };
+    },
+  ],
+
+  // recipe_ingredients
+  [/SELECT ri\.id, ri\.ingredient_id, i\.name, ri\.quantity/, ([recipeId]) =>
+    rowsOf(recipeId, "recipeIngredients").map((ri) => ({
+      ...ri,
+      name: db.ingredients.find((i) => i.id === ri.ingredient_id).name,
+    })).sort((a, b) => a.id - b.id)],
+  [/SELECT id FROM recipe_ingredients WHERE recipe_id = \? AND id IN \(\?\)/, ([recipeId, ids]) =>
+    rowsOf(recipeId, "recipeIngredients").filter((ri) => ids.includes(ri.id))],
+  [/SELECT id, ingredient_id FROM recipe_ingredients WHERE recipe_id = \?/, ([recipeId]) =>
+    rowsOf(recipeId, "recipeIngredients")],
+  [/SELECT id FROM ingredients WHERE id IN \(\?\)/, ([ids]) => db.ingredients.filter((i) => ids.includes(i.id))],
+  [/DELETE FROM recipe_ingredients\s+WHERE recipe_id = \? AND id = \?/, ([recipeId, id]) => {
+    const result = deleteWhere("recipeIngredients", (ri) => ri.recipe_id === recipeId && ri.id === id);
+    dropOrphanLinks();
+    return result;
+  }],
+  [/DELETE FROM recipe_ingredients WHERE id IN \(\?\)/, ([ids]) => {
+    const result = deleteWhere("recipeIngredients", (ri) => ids.includes(ri.id));
+    dropOrphanLinks();
+    return result;
+  }],
+  [/UPDATE recipe_ingredients\s+SET ingredient_id = \?/, ([ingredientId, quantity, unit, note, id]) => {
+    Object.assign(db.recipeIngredients.find((ri) => ri.id === id), {
+      ingredient_id: ingredientId,
+      quantity: quantity === null ? null : Number(quantity).toFixed(2),
+      unit,
+      note,
+    });
+    return { affectedRows: 1 };
+  }],
+  [/INSERT INTO recipe_ingredients/, ([recipeId, ingredientId, quantity, unit, note]) => {
+    const id = nextId.recipeIngredients++;
+    db.recipeIngredients.push({
+      id,
+      recipe_id: recipeId,
+      ingredient_id: ingredientId,
+      quantity: quantity === null ? null : Number(quantity).toFixed(2),
+      unit,
+      note,
+    });
+    return { insertId: id, affectedRows: 1 };
+  }],
+
+  // recipe_steps, recipe_step_ingredients, recipe_photos
+  [/SELECT rs\.id, rs\.position, rs\.instruction/, ([recipeId]) =>
+    rowsOf(recipeId, "steps")
+      .map((s) => ({ ...s, photo_key: null }))
+      .sort((a, b) => a.position - b.position || a.id - b.id)],
+  [/SELECT rsi\.step_id, rsi\.recipe_ingredient_id/, ([recipeId]) =>
+    db.stepLinks
+      .filter((l) => rowsOf(recipeId, "steps").some((s) => s.id === l.step_id))
+      .sort((a, b) => a.recipe_ingredient_id - b.recipe_ingredient_id)],
+  [/SELECT COUNT\(\*\) AS count FROM recipe_steps WHERE recipe_id = \?/, ([recipeId]) => [
+    { count: rowsOf(recipeId, "steps").length },
+  ]],
+  [/SELECT id FROM recipe_steps WHERE recipe_id = \?/, ([recipeId]) => rowsOf(recipeId, "steps")],
+  [/UPDATE recipe_steps SET position = position \+ 1/, ([recipeId, position]) => {
+    for (const s of rowsOf(recipeId, "steps")) if (s.position >= position) s.position += 1;
+    return { affectedRows: 1 };
+  }],
+  [/INSERT INTO recipe_steps \(recipe_id, position, instruction, duration_seconds/, ([recipeId, position, instruction, duration]) => {
+    const id = nextId.steps++;
+    db.steps.push({ id, recipe_id: recipeId, position, instruction, duration_seconds: duration });
+    return { insertId: id, affectedRows: 1 };
+  }],
+  [/UPDATE recipe_steps SET position = \?, instruction = \?, duration_seconds = \?/, ([position, instruction, duration, id]) => {
+    Object.assign(db.steps.find((s) => s.id === id), { position, instruction, duration_seconds: duration });
+    return { affectedRows: 1 };
+  }],
+  [/SELECT storage_key FROM recipe_photos WHERE step_id IN \(\?\)/, () => []],
+  [/DELETE FROM recipe_steps WHERE id IN \(\?\)/, ([ids]) => {
+    const result = deleteWhere("steps", (s) => ids.includes(s.id));
+    dropOrphanLinks();
+    return result;
+  }],
+  [/DELETE FROM recipe_step_ingredients WHERE step_id = \?/, ([stepId]) =>
+    deleteWhere("stepLinks", (l) => l.step_id === stepId)],
+  [/INSERT INTO recipe_step_ingredients \(step_id, recipe_ingredient_id\) VALUES \?/, ([values]) => {
+    for (const [stepId, riId] of values) db.stepLinks.push({ step_id: stepId, recipe_ingredient_id: riId });
+    return { affectedRows: values.length };
+  }],
+
+  // tags
+  [/SELECT t\.id, t\.type, t\.name\s+FROM recipe_tags rt/, ([recipeId]) =>
+    rowsOf(recipeId, "recipeTags").map((rt) => db.tags.find((t) => t.id === rt.tag_id))],
+  [/DELETE FROM recipe_tags WHERE recipe_id = \? AND tag_id = \?/, ([recipeId, tagId]) =>
+    deleteWhere("recipeTags", (rt) => rt.recipe_id === recipeId && rt.tag_id === tagId)],
+  [/DELETE FROM recipe_tags WHERE recipe_id = \?/, ([recipeId]) =>
+    deleteWhere("recipeTags", (rt) => rt.recipe_id === recipeId)],
+  [/INSERT IGNORE INTO tags \(type, name, slug\) VALUES \?/, ([values]) => {
+    for (const [type, name, slug] of values) {
+      if (!db.tags.some((t) => t.type === type && t.slug === slug)) {
+        db.tags.push({ id: nextId.tags++, type, name, slug });
+      }
+    }
+    return { affectedRows: values.length };
+  }],
+  [/SELECT id, type, slug FROM tags WHERE \(type, slug\) IN \(\?\)/, ([pairs]) =>
+    db.tags.filter((t) => pairs.some(([type, slug]) => t.type === type && t.slug === slug))],
+  [/INSERT IGNORE INTO recipe_tags \(recipe_id, tag_id\) VALUES \?/, ([values]) => {
+    for (const [recipeId, tagId] of values) {
+      if (!db.recipeTags.some((rt) => rt.recipe_id === recipeId && rt.tag_id === tagId)) {
+        db.recipeTags.push({ recipe_id: recipeId, tag_id: tagId });
+      }
+    }
+    return { affectedRows: values.length };
+  }],
+
+  // recipe_revisions (snapshot in changes kot JSON niz, kot ju vrne MariaDB)
+  [/SELECT id FROM recipe_revisions WHERE recipe_id = \? LIMIT 1/, ([recipeId]) => rowsOf(recipeId, "revisions")],
+  [/SELECT revision, snapshot FROM recipe_revisions WHERE recipe_id = \? ORDER BY revision DESC LIMIT 1/, ([recipeId]) =>
+    rowsOf(recipeId, "revisions").slice(-1)],
+  [/SELECT snapshot FROM recipe_revisions WHERE recipe_id = \? AND revision = \?/, ([recipeId, revision]) =>
+    rowsOf(recipeId, "revisions").filter((r) => r.revision === revision)],
+  [/INSERT INTO recipe_revisions/, ([recipeId, revision, userId, action, restoredFrom, snapshot, changes]) => {
+    db.revisions.push({
+      recipe_id: recipeId,
+      revision,
+      user_id: userId,
+      action,
+      restored_from_revision: restoredFrom,
+      snapshot,
+      changes,
+    });
+    return { insertId: db.revisions.length, affectedRows: 1 };
+  }],
+]);
+
+let api;
+const token = accessTokenFor(1);
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+const lastRevision = () => db.revisions.at(-1);
+const snapshotOf = (revision) => JSON.parse(db.revisions.find((r) => r.revision === revision).snapshot);
+
+test("diffTextLines reports changed lines around a common prefix and suffix", () => {
+  assert.deepEqual(diffTextLines("a\nb\nc\nd", "a\nx\nc\nd\ne"), [
+    { op: "=", text: "a" },
+    { op: "-", text: "b" },
+    { op: "+", text: "x" },
+    { op: "=", text: "c" },
+    { op: "=", text: "d" },
+    { op: "+", text: "e" },
+  ]);
+  assert.deepEqual(diffTextLines(null, "a"), [{ op: "+", text: "a" }]);
+  assert.deepEqual(diffTextLines("a", "a"), [{ op: "=", text: "a" }]);
+});
+
+test("diffTextLines falls back to a block replacement for huge texts", () => {
+  const from = Array.from({ length: 20_000 }, (_, i) => `vrstica ${i}`).join("\n");
+  const to = Array.from({ length: 20_000 }, (_, i) => `druga ${i}`).join("\n");
+  const started = Date.now();
+  const lines = diffTextLines(`glava\n${from}\nnoga`, `glava\n${to}\nnoga`);
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(lines.length, 40_002);
+  assert.deepEqual(lines[0], { op: "=", text: "glava" });
+  assert.equal(lines.filter((l) => l.op === "-").length, 20_000);
+  assert.deepEqual(lines.at(-1), { op: "=", text: "noga" });
+});
+
+test("diffRecipeSnapshots compares fields, ingredients, steps and tags", () => {
+  const from = {
+    title: "A",
+    ingredients: [{ recipeIngredientId: 10, ingredientName: "Moka", ingredientId: 5, quantity: 300 }],
+    steps: [{ stepId: 1, position: 1, instruction: "a", durationSeconds: null, recipeIngredientIds: [10] }],
+    tags: [{ tagId: 1, type: "free", name: "sladica" }],
+  };
+  const to = structuredClone(from);
+  to.title = "B";
+  to.ingredients[0].quantity = 250;
+  to.steps[0].recipeIngredientIds = [];
+  to.steps.push({ stepId: 2, position: 2, instruction: "b", durationSeconds: 60, recipeIngredientIds: [] });
+  to.tags = [];
+
+  const diff = diffRecipeSnapshots(from, to);
+  assert.deepEqual(diff.fields.title, { from: "A", to: "B" });
+  assert.deepEqual(diff.ingredients.changed[0].changes, { quantity: { from: 300, to: 250 } });
+  assert.deepEqual(diff.steps.changed, [{ stepId: 1, changes: { recipeIngredientIds: { from: [10], to: [] } } }]);
+  assert.deepEqual(diff.steps.added.map((s) => s.stepId), [2]);
+  assert.deepEqual(diff.tags.removed.map((t) => t.tagId), [1]);
+  assert.deepEqual(diffRecipeSnapshots(from, from).steps, { added: [], removed: [], changed: [] });
+});
+
+test("step and tag changes are recorded as revisions", async () => {
+  const added = await api.request("POST", "/recipes/1/steps", {
+    token,
+    body: { instruction: "Speci na vroči ponvi.", recipeIngredientIds: [11] },
+  });
+  assert.equal(added.status, 201);
+  assert.deepEqual(db.revisions.map((r) => r.action), ["baseline", "step_add"]);
+  assert.deepEqual(JSON.parse(lastRevision().changes).steps.added.map((s) => s.instruction), ["Speci na vroči ponvi."]);
+
+  assert.equal((await api.request("DELETE", "/recipes/1/tags/1", { token })).status, 204);
+  assert.equal(lastRevision().action, "tags_update");
+  assert.deepEqual(JSON.parse(lastRevision().changes).tags.removed, [{ tagId: 1, type: "free", name: "sladica" }]);
+
+  // brisanje sestavine odstrani tudi povezavo s korakom 1
+  assert.equal((await api.request("DELETE", "/recipes/1/ingredients/10", { token })).status, 204);
+  assert.deepEqual(JSON.parse(lastRevision().changes).steps.changed, [
+    { stepId: 1, changes: { recipeIngredientIds: { from: [10], to: [] } } },
+  ]);
+});
+
+test("restore brings back steps with their ingredient links and tags", async () => {
+  const res = await api.request("POST", "/recipes/1/revisions/1/restore", { token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.restoredFrom, 1);
+  assert.equal(lastRevision().action, "restore");
+  assert.equal(lastRevision().restored_from_revision, 1);
+
+  const baseline = snapshotOf(1);
+  const restored = snapshotOf(res.body.data.revision);
+  // izbrisana postavka dobi nov id, korak pa povezavo na novo postavko
+  const flour = restored.ingredients.find((i) => i.ingredientId === 5);
+  assert.notEqual(flour.recipeIngredientId, 10);
+  assert.deepEqual(restored.steps, [{ ...baseline.steps[0], recipeIngredientIds: [flour.recipeIngredientId] }]);
+  assert.deepEqual(restored.tags, baseline.tags);
+  const withoutRowIds = (items) =>
+    items.map(({ recipeIngredientId, ...i }) => i).sort((a, b) => a.ingredientId - b.ingredientId);
+  assert.deepEqual(withoutRowIds(restored.ingredients), withoutRowIds(baseline.ingredients));
+  assert.equal(db.steps.length, 1);
+});
+
+test("restoring the current state records no new revision", async () => {
+  const count = db.revisions.length;
+  const res = await api.request("POST", `/recipes/1/revisions/${lastRevision().revision}/restore`, { token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.revision, null);
+  assert.equal(db.revisions.length, count);
+});
@@ -23,6 +23,74 @@ SET time_zone = "+00:00";
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `auth_throttle`
+--
+
+CREATE TABLE `auth_throttle` (
+  `throttle_key` varchar(255) NOT NULL,
+  `failures` int(11) NOT NULL DEFAULT 0,
+  `last_failure_ms` bigint(20) NOT NULL,
+  `blocked_until_ms` bigint(20) NOT NULL DEFAULT 0
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `collection_recipes`
+--
+
+CREATE TABLE `collection_recipes` (
+  `collection_id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `position` int(11) NOT NULL,
+  `added_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `collections`
+--
+
+CREATE TABLE `collections` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `description` text DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `email_verification_tokens`
+--
+
+CREATE TABLE `email_verification_tokens` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `ingredient_allergens`
+--
+
+CREATE TABLE `ingredient_allergens` (
+  `ingredient_id` bigint(20) UNSIGNED NOT NULL,
+  `allergen` enum('gluten','crustaceans','eggs','fish','peanuts','soybeans','milk','nuts','celery','mustard','sesame','sulphites','lupin','molluscs') NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `ingredients`
 --
@@ -32,6 +100,21 @@ CREATE TABLE `ingredients` (
   `name` varchar(255) NOT NULL,
   `category` varchar(100) DEFAULT NULL,
   `default_unit` varchar(50) DEFAULT NULL,
+  `density_g_per_ml` decimal(10,4) DEFAULT NULL,
+  `piece_weight_g` decimal(10,2) DEFAULT NULL,
+  `kcal_per_100g` decimal(7,2) DEFAULT NULL,
+  `protein_g_per_100g` decimal(6,2) DEFAULT NULL,
+  `fat_g_per_100g` decimal(6,2) DEFAULT NULL,
+  `carbs_g_per_100g` decimal(6,2) DEFAULT NULL,
+  `fibre_g_per_100g` decimal(6,2) DEFAULT NULL,
+  `salt_g_per_100g` decimal(6,2) DEFAULT NULL,
+  `is_vegan` tinyint(1) DEFAULT NULL,
+  `is_vegetarian` tinyint(1) DEFAULT NULL,
+  `is_gluten_free` tinyint(1) DEFAULT NULL,
+  `is_lactose_free` tinyint(1) DEFAULT NULL,
+  `allergens_verified` tinyint(1) NOT NULL DEFAULT 0,
+  `status` varchar(20) NOT NULL DEFAULT 'approved',
+  `created_by_user_id` bigint(20) UNSIGNED DEFAULT NULL,
   `created_at` datetime NOT NULL DEFAULT current_timestamp(),
   `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -58,6 +141,156 @@ CREATE TABLE `inventory_items` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `password_reset_tokens`
+--
+
+CREATE TABLE `password_reset_tokens` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `personal_access_tokens`
+--
+
+CREATE TABLE `personal_access_tokens` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `token_prefix` varchar(16) NOT NULL,
+  `scopes` varchar(500) NOT NULL,
+  `expires_at` datetime DEFAULT NULL,
+  `last_used_at` datetime DEFAULT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_cooks`
+--
+
+CREATE TABLE `recipe_cooks` (
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `cook_count` int(10) UNSIGNED NOT NULL DEFAULT 1,
+  `last_cooked_at` datetime NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_favorites`
+--
+
+CREATE TABLE `recipe_favorites` (
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_photos`
+--
+
+CREATE TABLE `recipe_photos` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `step_id` bigint(20) UNSIGNED DEFAULT NULL COMMENT 'NULL = naslovna fotografija recepta',
+  `storage_key` varchar(255) NOT NULL,
+  `width` int(11) NOT NULL,
+  `height` int(11) NOT NULL,
+  `size_bytes` int(11) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_reviews`
+--
+
+CREATE TABLE `recipe_reviews` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `rating` tinyint(3) UNSIGNED NOT NULL CHECK (`rating` between 1 and 5),
+  `body` text DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_revisions`
+--
+
+CREATE TABLE `recipe_revisions` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `revision` int(11) NOT NULL COMMENT 'zaporedna številka znotraj recepta (1, 2, ...)',
+  `user_id` bigint(20) UNSIGNED DEFAULT NULL COMMENT 'kdo je spremenil; NULL = stanje pred beleženjem zgodovine',
+  `action` varchar(30) NOT NULL COMMENT 'create, update, ingredient_add/update/remove, step_add/update/remove/reorder, steps_generate, tags_update, import, fork, restore, baseline',
+  `restored_from_revision` int(11) DEFAULT NULL,
+  `snapshot` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`snapshot`)),
+  `changes` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`changes`)),
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_step_ingredients`
+--
+
+CREATE TABLE `recipe_step_ingredients` (
+  `step_id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_ingredient_id` bigint(20) UNSIGNED NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_steps`
+--
+
+CREATE TABLE `recipe_steps` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `position` int(11) NOT NULL,
+  `instruction` text NOT NULL,
+  `duration_seconds` int(11) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recipe_tags`
+--
+
+CREATE TABLE `recipe_tags` (
+  `recipe_id` bigint(20) UNSIGNED NOT NULL,
+  `tag_id` bigint(20) UNSIGNED NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `recipes`
 --
@@ -72,6 +305,8 @@ CREATE TABLE `recipes` (
   `cook_time_minutes` int(11) DEFAULT NULL,
   `servings` int(11) DEFAULT NULL,
   `is_public` tinyint(1) NOT NULL DEFAULT 0,
+  `forked_from_recipe_id` bigint(20) UNSIGNED DEFAULT NULL,
+  `forked_from_user_id` bigint(20) UNSIGNED DEFAULT NULL,
   `created_at` datetime NOT NULL DEFAULT current_timestamp(),
   `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -102,7 +337,11 @@ CREATE TABLE `recipe_ingredients` (
 CREATE TABLE `refresh_tokens` (
   `id` bigint(20) UNSIGNED NOT NULL,
   `user_id` bigint(20) UNSIGNED NOT NULL,
-  `token` varchar(500) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `family_id` char(36) NOT NULL,
+  `replaced_by_id` bigint(20) UNSIGNED DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
   `expires_at` datetime NOT NULL,
   `created_at` datetime NOT NULL DEFAULT current_timestamp(),
   `revoked_at` datetime DEFAULT NULL
@@ -144,6 +383,140 @@ CREATE TABLE `shopping_list_items` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `tags`
+--
+
+CREATE TABLE `tags` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `type` enum('meal','cuisine','diet','free') NOT NULL DEFAULT 'free',
+  `name` varchar(100) NOT NULL,
+  `slug` varchar(100) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `totp_recovery_codes`
+--
+
+CREATE TABLE `totp_recovery_codes` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `user_id` bigint(20) UNSIGNED NOT NULL,
+  `code_hash` char(64) NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `unit_aliases`
+--
+
+CREATE TABLE `unit_aliases` (
+  `alias` varchar(50) NOT NULL,
+  `unit_id` bigint(20) UNSIGNED NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+--
+-- Dumping data for table `unit_aliases`
+--
+
+INSERT INTO `unit_aliases` (`alias`, `unit_id`) VALUES
+('mg', 1),
+('g', 2),
+('gr', 2),
+('gram', 2),
+('grami', 2),
+('gramov', 2),
+('grams', 2),
+('dag', 3),
+('dkg', 3),
+('kg', 4),
+('kilogram', 4),
+('oz', 5),
+('ounce', 5),
+('lb', 6),
+('lbs', 6),
+('pound', 6),
+('ml', 7),
+('cl', 8),
+('dl', 9),
+('l', 10),
+('liter', 10),
+('litra', 10),
+('litrov', 10),
+('litre', 10),
+('ščepec', 11),
+('ščep', 11),
+('pinch', 11),
+('žlička', 12),
+('žličke', 12),
+('žličk', 12),
+('kl', 12),
+('tsp', 12),
+('teaspoon', 12),
+('žlica', 13),
+('žlice', 13),
+('žlic', 13),
+('žl', 13),
+('el', 13),
+('tbsp', 13),
+('tablespoon', 13),
+('skodelica', 14),
+('skodelice', 14),
+('skodelic', 14),
+('cup', 14),
+('cups', 14),
+('kos', 15),
+('kosa', 15),
+('kosi', 15),
+('kosov', 15),
+('kom', 15),
+('pcs', 15),
+('piece', 15),
+('pieces', 15);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `units`
+--
+
+CREATE TABLE `units` (
+  `id` bigint(20) UNSIGNED NOT NULL,
+  `code` varchar(20) NOT NULL,
+  `name` varchar(50) NOT NULL,
+  `dimension` enum('mass','volume','count') NOT NULL,
+  `factor` decimal(18,6) NOT NULL COMMENT 'v osnovni enoti dimenzije: g, ml, kos',
+  `created_at` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+--
+-- Dumping data for table `units`
+--
+
+INSERT INTO `units` (`id`, `code`, `name`, `dimension`, `factor`) VALUES
+(1, 'mg', 'miligram', 'mass', 0.001000),
+(2, 'g', 'gram', 'mass', 1.000000),
+(3, 'dag', 'dekagram', 'mass', 10.000000),
+(4, 'kg', 'kilogram', 'mass', 1000.000000),
+(5, 'oz', 'unča', 'mass', 28.349500),
+(6, 'lb', 'funt', 'mass', 453.592370),
+(7, 'ml', 'mililiter', 'volume', 1.000000),
+(8, 'cl', 'centiliter', 'volume', 10.000000),
+(9, 'dl', 'deciliter', 'volume', 100.000000),
+(10, 'l', 'liter', 'volume', 1000.000000),
+(11, 'ščepec', 'ščepec', 'volume', 0.300000),
+(12, 'žlička', 'žlička', 'volume', 5.000000),
+(13, 'žlica', 'žlica', 'volume', 15.000000),
+(14, 'skodelica', 'skodelica', 'volume', 240.000000),
+(15, 'kos', 'kos', 'count', 1.000000);
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `users`
 --
@@ -153,6 +526,11 @@ CREATE TABLE `users` (
   `email` varchar(255) NOT NULL,
   `password_hash` varchar(255) NOT NULL,
   `full_name` varchar(255) DEFAULT NULL,
+  `role` varchar(20) NOT NULL DEFAULT 'user',
+  `email_verified_at` datetime DEFAULT NULL,
+  `totp_secret` varchar(64) DEFAULT NULL,
+  `totp_enabled_at` datetime DEFAULT NULL,
+  `totp_last_step` bigint(20) DEFAULT NULL,
   `created_at` datetime NOT NULL DEFAULT current_timestamp(),
   `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -161,12 +539,51 @@ CREATE TABLE `users` (
 -- Indexes for dumped tables
 --
 
+--
+-- Indexes for table `auth_throttle`
+--
+ALTER TABLE `auth_throttle`
+  ADD PRIMARY KEY (`throttle_key`),
+  ADD KEY `idx_auth_throttle_last_failure` (`last_failure_ms`);
+
+--
+-- Indexes for table `collection_recipes`
+--
+ALTER TABLE `collection_recipes`
+  ADD PRIMARY KEY (`collection_id`,`recipe_id`),
+  ADD KEY `idx_collection_recipes_recipe` (`recipe_id`);
+
+--
+-- Indexes for table `collections`
+--
+ALTER TABLE `collections`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_collections_user_name` (`user_id`,`name`);
+
+--
+-- Indexes for table `email_verification_tokens`
+--
+ALTER TABLE `email_verification_tokens`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_email_verification_token` (`token_hash`),
+  ADD KEY `idx_email_verification_tokens_user_id` (`user_id`);
+
+--
+-- Indexes for table `ingredient_allergens`
+--
+ALTER TABLE `ingredient_allergens`
+  ADD PRIMARY KEY (`ingredient_id`,`allergen`),
+  ADD KEY `idx_ingredient_allergens_allergen` (`allergen`);
+
 --
 -- Indexes for table `ingredients`
 --
 ALTER TABLE `ingredients`
   ADD PRIMARY KEY (`id`),
-  ADD UNIQUE KEY `uq_ingredients_name` (`name`);
+  ADD UNIQUE KEY `uq_ingredients_name` (`name`),
+  ADD KEY `idx_ingredients_status` (`status`),
+  ADD KEY `idx_ingredients_created_by` (`created_by_user_id`),
+  ADD FULLTEXT KEY `ft_ingredients_name` (`name`);
 
 --
 -- Indexes for table `inventory_items`
@@ -177,12 +594,92 @@ ALTER TABLE `inventory_items`
   ADD KEY `idx_inventory_ingredient_id` (`ingredient_id`),
   ADD KEY `idx_inventory_expires_at` (`expires_at`);
 
+--
+-- Indexes for table `password_reset_tokens`
+--
+ALTER TABLE `password_reset_tokens`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_password_reset_token` (`token_hash`),
+  ADD KEY `idx_password_reset_tokens_user_id` (`user_id`);
+
+--
+-- Indexes for table `personal_access_tokens`
+--
+ALTER TABLE `personal_access_tokens`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_personal_access_token` (`token_hash`),
+  ADD KEY `idx_personal_access_tokens_user_id` (`user_id`);
+
+--
+-- Indexes for table `recipe_cooks`
+--
+ALTER TABLE `recipe_cooks`
+  ADD PRIMARY KEY (`user_id`,`recipe_id`),
+  ADD KEY `idx_recipe_cooks_recipe` (`recipe_id`);
+
+--
+-- Indexes for table `recipe_favorites`
+--
+ALTER TABLE `recipe_favorites`
+  ADD PRIMARY KEY (`user_id`,`recipe_id`),
+  ADD KEY `idx_recipe_favorites_recipe` (`recipe_id`);
+
+--
+-- Indexes for table `recipe_photos`
+--
+ALTER TABLE `recipe_photos`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_recipe_photos_recipe` (`recipe_id`),
+  ADD KEY `idx_recipe_photos_step` (`step_id`);
+
+--
+-- Indexes for table `recipe_reviews`
+--
+ALTER TABLE `recipe_reviews`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_recipe_reviews_recipe_user` (`recipe_id`,`user_id`),
+  ADD KEY `idx_recipe_reviews_user` (`user_id`);
+
+--
+-- Indexes for table `recipe_revisions`
+--
+ALTER TABLE `recipe_revisions`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_recipe_revisions_recipe_revision` (`recipe_id`,`revision`),
+  ADD KEY `idx_recipe_revisions_user` (`user_id`);
+
+--
+-- Indexes for table `recipe_step_ingredients`
+--
+ALTER TABLE `recipe_step_ingredients`
+  ADD PRIMARY KEY (`step_id`,`recipe_ingredient_id`),
+  ADD KEY `idx_recipe_step_ingredients_ri` (`recipe_ingredient_id`);
+
+--
+-- Indexes for table `recipe_steps`
+--
+ALTER TABLE `recipe_steps`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_recipe_steps_recipe_position` (`recipe_id`,`position`),
+  ADD FULLTEXT KEY `ft_recipe_steps_instruction` (`instruction`);
+
+--
+-- Indexes for table `recipe_tags`
+--
+ALTER TABLE `recipe_tags`
+  ADD PRIMARY KEY (`recipe_id`,`tag_id`),
+  ADD KEY `idx_recipe_tags_tag` (`tag_id`);
+
 --
 -- Indexes for table `recipes`
 --
 ALTER TABLE `recipes`
   ADD PRIMARY KEY (`id`),
-  ADD KEY `idx_recipes_user_id` (`user_id`);
+  ADD KEY `idx_recipes_user_id` (`user_id`),
+  ADD KEY `idx_recipes_forked_from` (`forked_from_recipe_id`),
+  ADD KEY `idx_recipes_forked_from_user` (`forked_from_user_id`),
+  ADD FULLTEXT KEY `ft_recipes_title` (`title`),
+  ADD FULLTEXT KEY `ft_recipes_search` (`title`,`description`,`instructions`);
 
 --
 -- Indexes for table `recipe_ingredients`
@@ -198,8 +695,9 @@ ALTER TABLE `recipe_ingredients`
 --
 ALTER TABLE `refresh_tokens`
   ADD PRIMARY KEY (`id`),
-  ADD UNIQUE KEY `uq_refresh_token` (`token`),
-  ADD KEY `idx_refresh_tokens_user_id` (`user_id`);
+  ADD UNIQUE KEY `uq_refresh_token` (`token_hash`),
+  ADD KEY `idx_refresh_tokens_user_id` (`user_id`),
+  ADD KEY `idx_refresh_tokens_family_id` (`family_id`);
 
 --
 -- Indexes for table `shopping_lists`
@@ -217,6 +715,36 @@ ALTER TABLE `shopping_list_items`
   ADD KEY `idx_shopping_items_ingredient_id` (`ingredient_id`),
   ADD KEY `idx_shopping_items_from_recipe` (`from_recipe_id`);
 
+--
+-- Indexes for table `tags`
+--
+ALTER TABLE `tags`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_tags_type_slug` (`type`,`slug`),
+  ADD KEY `idx_tags_slug` (`slug`);
+
+--
+-- Indexes for table `totp_recovery_codes`
+--
+ALTER TABLE `totp_recovery_codes`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_totp_recovery_code` (`user_id`,`code_hash`);
+
+--
+-- Indexes for table `unit_aliases`
+--
+ALTER TABLE `unit_aliases`
+  ADD PRIMARY KEY (`alias`),
+  ADD KEY `idx_unit_aliases_unit` (`unit_id`);
+
+--
+-- Indexes for table `units`
+--
+ALTER TABLE `units`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_units_code` (`code`),
+  ADD KEY `idx_units_dimension` (`dimension`);
+
 --
 -- Indexes for table `users`
 --
@@ -228,6 +756,18 @@ ALTER TABLE `users`
 -- AUTO_INCREMENT for dumped tables
 --
 
+--
+-- AUTO_INCREMENT for table `collections`
+--
+ALTER TABLE `collections`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `email_verification_tokens`
+--
+ALTER TABLE `email_verification_tokens`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `ingredients`
 --
@@ -240,6 +780,42 @@ ALTER TABLE `ingredients`
 ALTER TABLE `inventory_items`
   MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `password_reset_tokens`
+--
+ALTER TABLE `password_reset_tokens`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `personal_access_tokens`
+--
+ALTER TABLE `personal_access_tokens`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `recipe_photos`
+--
+ALTER TABLE `recipe_photos`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `recipe_reviews`
+--
+ALTER TABLE `recipe_reviews`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `recipe_revisions`
+--
+ALTER TABLE `recipe_revisions`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `recipe_steps`
+--
+ALTER TABLE `recipe_steps`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `recipes`
 --
@@ -270,6 +846,24 @@ ALTER TABLE `shopping_lists`
 ALTER TABLE `shopping_list_items`
   MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `tags`
+--
+ALTER TABLE `tags`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `totp_recovery_codes`
+--
+ALTER TABLE `totp_recovery_codes`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `units`
+--
+ALTER TABLE `units`
+  MODIFY `id` bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=16;
+
 --
 -- AUTO_INCREMENT for table `users`
 --
@@ -280,6 +874,37 @@ ALTER TABLE `users`
 -- Constraints for dumped tables
 --
 
+--
+-- Constraints for table `collection_recipes`
+--
+ALTER TABLE `collection_recipes`
+  ADD CONSTRAINT `fk_collection_recipes_collection` FOREIGN KEY (`collection_id`) REFERENCES `collections` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_collection_recipes_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `collections`
+--
+ALTER TABLE `collections`
+  ADD CONSTRAINT `fk_collections_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `email_verification_tokens`
+--
+ALTER TABLE `email_verification_tokens`
+  ADD CONSTRAINT `fk_email_verification_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `ingredient_allergens`
+--
+ALTER TABLE `ingredient_allergens`
+  ADD CONSTRAINT `fk_ingredient_allergens_ingredient` FOREIGN KEY (`ingredient_id`) REFERENCES `ingredients` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `ingredients`
+--
+ALTER TABLE `ingredients`
+  ADD CONSTRAINT `fk_ingredients_created_by` FOREIGN KEY (`created_by_user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
 --
 -- Constraints for table `inventory_items`
 --
@@ -287,11 +912,80 @@ ALTER TABLE `inventory_items`
   ADD CONSTRAINT `fk_inventory_ingredient` FOREIGN KEY (`ingredient_id`) REFERENCES `ingredients` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `fk_inventory_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `password_reset_tokens`
+--
+ALTER TABLE `password_reset_tokens`
+  ADD CONSTRAINT `fk_password_reset_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `personal_access_tokens`
+--
+ALTER TABLE `personal_access_tokens`
+  ADD CONSTRAINT `fk_personal_access_tokens_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_cooks`
+--
+ALTER TABLE `recipe_cooks`
+  ADD CONSTRAINT `fk_recipe_cooks_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_cooks_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_favorites`
+--
+ALTER TABLE `recipe_favorites`
+  ADD CONSTRAINT `fk_recipe_favorites_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_favorites_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_photos`
+--
+ALTER TABLE `recipe_photos`
+  ADD CONSTRAINT `fk_recipe_photos_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_photos_step` FOREIGN KEY (`step_id`) REFERENCES `recipe_steps` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_reviews`
+--
+ALTER TABLE `recipe_reviews`
+  ADD CONSTRAINT `fk_recipe_reviews_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_reviews_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_revisions`
+--
+ALTER TABLE `recipe_revisions`
+  ADD CONSTRAINT `fk_recipe_revisions_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_revisions_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `recipe_step_ingredients`
+--
+ALTER TABLE `recipe_step_ingredients`
+  ADD CONSTRAINT `fk_recipe_step_ingredients_ri` FOREIGN KEY (`recipe_ingredient_id`) REFERENCES `recipe_ingredients` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_step_ingredients_step` FOREIGN KEY (`step_id`) REFERENCES `recipe_steps` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_steps`
+--
+ALTER TABLE `recipe_steps`
+  ADD CONSTRAINT `fk_recipe_steps_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `recipe_tags`
+--
+ALTER TABLE `recipe_tags`
+  ADD CONSTRAINT `fk_recipe_tags_recipe` FOREIGN KEY (`recipe_id`) REFERENCES `recipes` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipe_tags_tag` FOREIGN KEY (`tag_id`) REFERENCES `tags` (`id`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `recipes`
 --
 ALTER TABLE `recipes`
-  ADD CONSTRAINT `fk_recipes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+  ADD CONSTRAINT `fk_recipes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_recipes_forked_from` FOREIGN KEY (`forked_from_recipe_id`) REFERENCES `recipes` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_recipes_forked_from_user` FOREIGN KEY (`forked_from_user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL;
 
 --
 -- Constraints for table `recipe_ingredients`
@@ -319,6 +1013,18 @@ ALTER TABLE `shopping_list_items`
   ADD CONSTRAINT `fk_shopping_items_ingredient` FOREIGN KEY (`ingredient_id`) REFERENCES `ingredients` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `fk_shopping_items_list` FOREIGN KEY (`shopping_list_id`) REFERENCES `shopping_lists` (`id`) ON DELETE CASCADE,
   ADD CONSTRAINT `fk_shopping_items_recipe` FOREIGN KEY (`from_recipe_id`) REFERENCES `recipes` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `totp_recovery_codes`
+--
+ALTER TABLE `totp_recovery_codes`
+  ADD CONSTRAINT `fk_totp_recovery_codes_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `unit_aliases`
+--
+ALTER TABLE `unit_aliases`
+  ADD CONSTRAINT `fk_unit_aliases_unit` FOREIGN KEY (`unit_id`) REFERENCES `units` (`id`) ON DELETE CASCADE;
 COMMIT;
 
 /*!40101 SET CHARACTER_SET_CLIENT=@OLD_CHARACTER_SET_CLIENT */;